@@ -0,0 +1,276 @@
+import { ScrollTrigger } from './env.js';
+
+// First-party interaction analytics: section and card dwell times and the contact form funnel.
+// Nothing is recorded under Do-Not-Track / Global Privacy Control or until the visitor allows it in
+// the consent banner. Batches go to the banner's data-endpoint with sendBeacon; without an endpoint
+// the events only reach the ?analytics=debug view.
+export class SOCAnalytics {
+    static init(banner = document.querySelector('.analytics-consent')) {
+        SOCAnalytics.storageKey = 'soc-analytics-consent';
+        SOCAnalytics.lifecycle = new AbortController();
+        const signal = SOCAnalytics.lifecycle.signal;
+        const config = banner ? banner.dataset : {};
+
+        SOCAnalytics.banner = banner;
+        SOCAnalytics.endpoint = SOCAnalytics.resolveEndpoint(config.endpoint);
+        SOCAnalytics.batchSize = parseInt(config.batchSize) || 20;
+        SOCAnalytics.flushInterval = parseInt(config.flushInterval) || 30000;
+        SOCAnalytics.session = SOCAnalytics.sessionId();
+        SOCAnalytics.queue = [];
+        SOCAnalytics.log = [];
+        SOCAnalytics.dwells = new Map();
+        SOCAnalytics.suspended = [];
+        SOCAnalytics.sections = [];
+        SOCAnalytics.flushTimer = null;
+        SOCAnalytics.initialized = true;
+
+        if (banner) {
+            banner.querySelector('.analytics-accept').addEventListener('click', () => SOCAnalytics.setConsent('granted'), { signal });
+            banner.querySelector('.analytics-decline').addEventListener('click', () => SOCAnalytics.setConsent('denied'), { signal });
+        }
+        SOCAnalytics.settings = document.querySelector('.analytics-settings');
+        if (SOCAnalytics.settings) {
+            SOCAnalytics.settings.hidden = SOCAnalytics.doNotTrack;
+            SOCAnalytics.settings.addEventListener('click', () => SOCAnalytics.showBanner(), { signal });
+        }
+
+        // Leaving the tab closes the open dwells and sends what is queued; coming back reopens them
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                SOCAnalytics.suspended = [...SOCAnalytics.dwells.values()];
+                SOCAnalytics.suspended.forEach(dwell => SOCAnalytics.dwellEnd(dwell.kind, dwell.id));
+                SOCAnalytics.flush();
+            } else {
+                SOCAnalytics.suspended.forEach(dwell => SOCAnalytics.dwellStart(dwell.kind, dwell.id, dwell.data));
+                SOCAnalytics.suspended = [];
+            }
+        }, { signal });
+        window.addEventListener('pagehide', () => {
+            [...SOCAnalytics.dwells.values()].forEach(dwell => SOCAnalytics.dwellEnd(dwell.kind, dwell.id));
+            SOCAnalytics.flush();
+        }, { signal });
+
+        SOCAnalytics.watchSections();
+        if (SOCAnalytics.enabled) {
+            SOCAnalytics.start();
+        } else if (!SOCAnalytics.doNotTrack && SOCAnalytics.consent === null) {
+            SOCAnalytics.showBanner();
+        }
+        if (new URLSearchParams(window.location.search).get('analytics') === 'debug') SOCAnalytics.showDebug();
+    }
+
+    static get doNotTrack() {
+        return navigator.doNotTrack === '1' || window.doNotTrack === '1' || navigator.globalPrivacyControl === true;
+    }
+
+    // 'granted', 'denied' or null while the visitor hasn't chosen
+    static get consent() {
+        try {
+            const choice = localStorage.getItem(SOCAnalytics.storageKey);
+            return choice === 'granted' || choice === 'denied' ? choice : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    static get enabled() {
+        return Boolean(SOCAnalytics.initialized) && !SOCAnalytics.doNotTrack && SOCAnalytics.consent === 'granted';
+    }
+
+    static setConsent(choice) {
+        try {
+            localStorage.setItem(SOCAnalytics.storageKey, choice);
+        } catch (error) {
+            console.warn('Analytics choice could not be saved:', error);
+        }
+        if (SOCAnalytics.banner) SOCAnalytics.banner.hidden = true;
+
+        if (SOCAnalytics.enabled) {
+            SOCAnalytics.start();
+        } else {
+            // Withdrawing consent drops everything not yet sent
+            SOCAnalytics.stop();
+            SOCAnalytics.queue = [];
+            SOCAnalytics.log = [];
+        }
+        SOCAnalytics.renderDebug();
+    }
+
+    static showBanner() {
+        if (SOCAnalytics.banner && !SOCAnalytics.doNotTrack) SOCAnalytics.banner.hidden = false;
+    }
+
+    // randomUUID() only exists in secure contexts; getRandomValues() also works over plain http://
+    static sessionId() {
+        if (crypto.randomUUID) return crypto.randomUUID();
+        return [...crypto.getRandomValues(new Uint8Array(16))].map(byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    // Only same-origin endpoints are used, so events never go to a third party
+    static resolveEndpoint(configured = '') {
+        if (!configured) return null;
+        try {
+            const url = new URL(configured, window.location.href);
+            if (url.origin === window.location.origin) return url.href;
+        } catch (error) {
+            // Reported below
+        }
+        console.warn('Ignoring analytics endpoint that is not first-party:', configured);
+        return null;
+    }
+
+    static start() {
+        clearInterval(SOCAnalytics.flushTimer);
+        SOCAnalytics.flushTimer = setInterval(() => SOCAnalytics.flush(), SOCAnalytics.flushInterval);
+        // Sections already on screen when consent arrives start their dwell now
+        SOCAnalytics.sections.forEach(({ section, trigger }) => {
+            if (trigger.isActive) SOCAnalytics.dwellStart('section', section.id);
+        });
+    }
+
+    static stop() {
+        clearInterval(SOCAnalytics.flushTimer);
+        SOCAnalytics.flushTimer = null;
+        SOCAnalytics.dwells.clear();
+        SOCAnalytics.suspended = [];
+    }
+
+    // The section crossing the middle of the viewport is the one being read
+    static watchSections() {
+        if (typeof ScrollTrigger === 'undefined') return;
+        document.querySelectorAll('main > section[id]').forEach(section => {
+            const trigger = ScrollTrigger.create({
+                trigger: section,
+                start: 'top center',
+                end: 'bottom center',
+                onToggle: self => {
+                    if (self.isActive) {
+                        SOCAnalytics.dwellStart('section', section.id);
+                    } else {
+                        SOCAnalytics.dwellEnd('section', section.id);
+                    }
+                }
+            });
+            SOCAnalytics.sections.push({ section, trigger });
+        });
+    }
+
+    // Records { name, ...data, t } with t in milliseconds since the page loaded; a no-op without consent
+    static track(name, data = {}) {
+        if (!SOCAnalytics.enabled) return null;
+        const event = { name, ...data, t: Math.round(performance.now()) };
+        SOCAnalytics.queue.push(event);
+        SOCAnalytics.log.push(event);
+        if (SOCAnalytics.log.length > SOCAnalytics.logLimit) SOCAnalytics.log.shift();
+        if (SOCAnalytics.queue.length >= SOCAnalytics.batchSize) SOCAnalytics.flush();
+        SOCAnalytics.renderDebug();
+        return event;
+    }
+
+    // Dwell timers, keyed by kind and id: dwellEnd() records '<kind>.dwell' with the time in ms.
+    // Glances shorter than minDwell are dropped.
+    static dwellStart(kind, id, data = {}) {
+        if (!SOCAnalytics.enabled || SOCAnalytics.dwells.has(`${kind}:${id}`)) return;
+        SOCAnalytics.dwells.set(`${kind}:${id}`, { kind, id, data, since: performance.now() });
+    }
+
+    static dwellEnd(kind, id) {
+        const key = `${kind}:${id}`;
+        const dwell = SOCAnalytics.initialized && SOCAnalytics.dwells.get(key);
+        if (!dwell) return;
+        SOCAnalytics.dwells.delete(key);
+        const ms = Math.round(performance.now() - dwell.since);
+        if (ms >= SOCAnalytics.minDwell) SOCAnalytics.track(`${kind}.dwell`, { id, ms, ...dwell.data });
+    }
+
+    // Sends the queued events as one beacon. Without an endpoint they are dropped from the queue
+    // (the debug log keeps them); a refused beacon puts them back for the next flush.
+    static flush() {
+        if (!SOCAnalytics.initialized || !SOCAnalytics.queue.length) return false;
+        const events = SOCAnalytics.queue.splice(0);
+        if (!SOCAnalytics.endpoint) return false;
+
+        const body = JSON.stringify({
+            session: SOCAnalytics.session,
+            page: window.location.pathname,
+            sentAt: new Date().toISOString(),
+            events
+        });
+        const sent = Boolean(navigator.sendBeacon) && navigator.sendBeacon(SOCAnalytics.endpoint, new Blob([body], { type: 'application/json' }));
+        if (sent) {
+            events.forEach(event => {
+                event.sent = true;
+            });
+        } else {
+            // Refused batches are retried, but only the newest events are kept so the body stops growing
+            SOCAnalytics.queue.unshift(...events);
+            SOCAnalytics.queue.splice(0, Math.max(0, SOCAnalytics.queue.length - SOCAnalytics.queueLimit));
+        }
+        SOCAnalytics.renderDebug();
+        return sent;
+    }
+
+    // Local view of the captured events, newest first - opened with ?analytics=debug or from the console
+    static showDebug() {
+        if (SOCAnalytics.debugPanel) return;
+        const panel = SOCAnalytics.debugPanel = document.createElement('details');
+        panel.className = 'analytics-debug';
+        panel.open = true;
+        panel.innerHTML = `
+            <summary>Analytics</summary>
+            <p class="analytics-debug-status"></p>
+            <div class="analytics-debug-actions">
+                <button type="button" data-action="flush">Flush now</button>
+                <button type="button" data-action="clear">Clear log</button>
+            </div>
+            <ol class="analytics-debug-events" reversed></ol>
+        `;
+        panel.addEventListener('click', (event) => {
+            const action = event.target.dataset.action;
+            if (action === 'flush') SOCAnalytics.flush();
+            if (action === 'clear') {
+                SOCAnalytics.log = [];
+                SOCAnalytics.renderDebug();
+            }
+        }, { signal: SOCAnalytics.lifecycle.signal });
+        document.body.appendChild(panel);
+        SOCAnalytics.renderDebug();
+    }
+
+    static renderDebug() {
+        const panel = SOCAnalytics.debugPanel;
+        if (!panel) return;
+
+        const consent = SOCAnalytics.doNotTrack ? 'off (Do Not Track)' : SOCAnalytics.consent || 'not chosen';
+        panel.querySelector('.analytics-debug-status').textContent =
+            `Consent: ${consent} · endpoint: ${SOCAnalytics.endpoint || 'none (local only)'} · queued: ${SOCAnalytics.queue.length}`;
+        panel.querySelector('.analytics-debug-events').replaceChildren(...SOCAnalytics.log.slice().reverse().map(event => {
+            const { name, t, sent, ...data } = event;
+            const item = document.createElement('li');
+            item.textContent = `${(t / 1000).toFixed(1)}s ${name} ${JSON.stringify(data)}${sent ? ' ✓' : ''}`;
+            return item;
+        }));
+    }
+
+    static destroy() {
+        if (!SOCAnalytics.initialized) return;
+        SOCAnalytics.flush();
+        SOCAnalytics.stop();
+        SOCAnalytics.lifecycle.abort();
+        SOCAnalytics.sections.forEach(({ trigger }) => trigger.kill());
+        SOCAnalytics.sections = [];
+        if (SOCAnalytics.debugPanel) {
+            SOCAnalytics.debugPanel.remove();
+            SOCAnalytics.debugPanel = null;
+        }
+        SOCAnalytics.initialized = false;
+    }
+}
+
+// Until init() runs, track() and the dwell timers do nothing
+SOCAnalytics.initialized = false;
+SOCAnalytics.debugPanel = null;
+SOCAnalytics.dwells = new Map();
+SOCAnalytics.minDwell = 500;
+SOCAnalytics.logLimit = 200;
+SOCAnalytics.queueLimit = 100;
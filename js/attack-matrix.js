@@ -0,0 +1,226 @@
+import { SOCI18n } from './i18n.js';
+import { SOCPortfolio } from './portfolio.js';
+import { SOCProfileRenderer } from './profile.js';
+import { SOCRouter } from './router.js';
+
+// MITRE ATT&CK coverage - the bundled matrix subset, heat-mapped by how many projects cover each technique
+export class SOCAttackMatrix {
+    static async load(url = 'data/attack.json') {
+        const response = await fetch(url, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`Failed to load ATT&CK data from ${url} (HTTP ${response.status})`);
+        }
+        return response.json();
+    }
+
+    // Sub-techniques (T1078.004) count towards their parent cell
+    static parentId(id) {
+        return id.split('.')[0];
+    }
+
+    // Projects covering each parent technique, in profile order
+    static coverage(profile) {
+        const coverage = new Map();
+        profile.projects.forEach(project => {
+            (project.techniques || []).forEach(id => {
+                const parent = SOCAttackMatrix.parentId(id);
+                if (!coverage.has(parent)) coverage.set(parent, []);
+                if (!coverage.get(parent).includes(project)) coverage.get(parent).push(project);
+            });
+        });
+        return coverage;
+    }
+
+    constructor(root, attack, profile, { projects = document.querySelector('.projects-grid'), filter = null } = {}) {
+        this.root = root;
+        this.attack = attack;
+        this.profile = profile;
+        this.projects = projects;
+        this.filter = filter;
+        this.coverage = SOCAttackMatrix.coverage(profile);
+        this.selected = null;
+        this.lifecycle = new AbortController();
+
+        const known = new Set(attack.techniques.map(technique => technique.id));
+        this.coverage.forEach((projects, id) => {
+            if (!known.has(id)) console.warn(`ATT&CK matrix: ${id} is not in the bundled subset and is not shown`);
+        });
+
+        this.render();
+        this.bindTechniqueLinks();
+        // Project titles and triage steps in the detail follow the language
+        SOCI18n.onChange(() => {
+            if (this.selected) this.select(this.selected);
+        }, this.lifecycle.signal);
+
+        // The filter bar owns the card filter; follow it when its technique chip changes or comes from the URL
+        if (filter) {
+            filter.onChange((state, previous) => {
+                if (this.syncing || state.technique === previous.technique) return;
+                if (state.technique !== this.selected) this.select(state.technique);
+            });
+            if (filter.state.technique) this.select(filter.state.technique);
+        }
+    }
+
+    render() {
+        const el = SOCProfileRenderer.el;
+        const signal = this.lifecycle.signal;
+        const covered = this.attack.techniques.filter(technique => this.coverage.has(technique.id)).length;
+
+        const legend = el('div', 'attack-legend', null, { 'aria-hidden': 'true' });
+        legend.append(SOCI18n.bind(el('span', 'attack-legend-label'), 'attack.legend'));
+        ['0', '1', '2', '3+'].forEach((label, level) => {
+            legend.appendChild(el('span', `attack-legend-swatch attack-heat-${level}`, label));
+        });
+        const summary = el('div', 'attack-summary');
+        summary.append(
+            SOCI18n.bind(el('span', 'attack-summary-text'), 'attack.summary', {
+                covered,
+                total: this.attack.techniques.length,
+                projects: this.profile.projects.length
+            }),
+            legend
+        );
+
+        const grid = el('div', 'attack-grid');
+        this.attack.tactics.forEach(tactic => {
+            const techniques = this.attack.techniques.filter(technique => technique.tactics.includes(tactic.id));
+            const tacticCovered = techniques.filter(technique => this.coverage.has(technique.id)).length;
+            const column = el('div', 'attack-tactic', null, { 'data-tactic': tactic.id, 'role': 'group', 'aria-labelledby': `attack-${tactic.id}` });
+            const heading = el('h3', 'attack-tactic-name', tactic.name, { 'id': `attack-${tactic.id}` });
+            heading.appendChild(el('span', 'attack-tactic-count', `${tacticCovered}/${techniques.length}`));
+            const list = el('ul', 'attack-cells');
+            techniques.forEach(technique => {
+                const count = (this.coverage.get(technique.id) || []).length;
+                const cell = el('button', `attack-cell attack-heat-${Math.min(count, 3)}`, null, {
+                    'type': 'button',
+                    'data-technique': technique.id,
+                    'aria-pressed': 'false'
+                });
+                SOCI18n.bind(cell, 'attack.cell', { id: technique.id, name: technique.name, count }, 'aria-label');
+                cell.append(el('span', 'attack-cell-id', technique.id), el('span', 'attack-cell-name', technique.name));
+                cell.addEventListener('click', () => this.select(this.selected === technique.id ? null : technique.id), { signal });
+                const item = el('li');
+                item.appendChild(cell);
+                list.appendChild(item);
+            });
+            column.append(heading, list);
+            grid.appendChild(column);
+        });
+
+        this.detail = el('div', 'attack-detail', null, { 'aria-live': 'polite' });
+        this.detail.hidden = true;
+        this.root.replaceChildren(summary, grid, this.detail);
+
+        this.root.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape' && this.selected) this.select(null);
+        }, { signal });
+    }
+
+    // The technique pills on the project cards jump to their matrix cell
+    bindTechniqueLinks() {
+        if (!this.projects) return;
+        const signal = this.lifecycle.signal;
+        this.projects.querySelectorAll('.technique-item[data-technique]').forEach(pill => {
+            pill.setAttribute('role', 'button');
+            pill.setAttribute('tabindex', '0');
+            SOCI18n.bind(pill, 'attack.show', null, 'title');
+            const open = () => {
+                const id = SOCAttackMatrix.parentId(pill.dataset.technique);
+                this.select(id);
+                const cell = this.root.querySelector(`.attack-cell[data-technique="${id}"]`);
+                if (cell) {
+                    SOCPortfolio.focusContent(`.attack-cell[data-technique="${id}"]`);
+                    cell.focus({ preventScroll: true });
+                }
+            };
+            pill.addEventListener('click', open, { signal });
+            pill.addEventListener('keydown', (event) => {
+                if (event.key !== 'Enter' && event.key !== ' ') return;
+                event.preventDefault();
+                open();
+            }, { signal });
+        });
+    }
+
+    // Selecting a technique filters the project cards and shows its triage notes; null clears both
+    select(id) {
+        const technique = id ? this.attack.techniques.find(item => item.id === id) : null;
+        this.selected = technique ? technique.id : null;
+
+        this.root.querySelectorAll('.attack-cell').forEach(cell => {
+            cell.setAttribute('aria-pressed', String(cell.dataset.technique === this.selected));
+        });
+
+        // Techniques no project covers only show their notes; there is nothing to filter down to
+        const projects = technique ? this.coverage.get(technique.id) || [] : [];
+        if (this.filter) {
+            this.syncing = true;
+            this.filter.setTechnique(projects.length ? technique.id : null);
+            this.syncing = false;
+        }
+        this.renderDetail(technique, projects);
+    }
+
+    renderDetail(technique, projects) {
+        const el = SOCProfileRenderer.el;
+        this.detail.hidden = !technique;
+        if (!technique) {
+            this.detail.replaceChildren();
+            return;
+        }
+
+        const profile = SOCI18n.localize(this.profile);
+        const notes = profile.techniques.find(item => SOCAttackMatrix.parentId(item.id) === technique.id);
+        const tactics = technique.tactics
+            .map(id => this.attack.tactics.find(tactic => tactic.id === id))
+            .filter(Boolean)
+            .map(tactic => tactic.name);
+
+        const header = el('div', 'attack-detail-header');
+        header.append(
+            el('h3', null, `${technique.id} · ${technique.name}`),
+            el('a', 'attack-detail-link', 'ATT&CK ↗', {
+                'href': `https://attack.mitre.org/techniques/${technique.id}/`,
+                'target': '_blank',
+                'rel': 'noopener'
+            })
+        );
+        const children = [header, el('div', 'attack-detail-tactics', tactics.join(' · '))];
+
+        if (projects.length) {
+            const list = el('ul', 'attack-detail-projects');
+            projects.forEach(({ id }) => {
+                const project = profile.projects.find(entry => entry.id === id);
+                const item = el('li');
+                item.appendChild(el('a', null, project.title, { 'href': SOCRouter.href({ section: 'projects', item: project.id }) }));
+                list.appendChild(item);
+            });
+            children.push(SOCI18n.bind(el('p'), 'attack.coveredBy', { count: projects.length }), list);
+        } else {
+            children.push(SOCI18n.bind(el('p', 'attack-detail-empty'), 'attack.uncovered'));
+        }
+
+        if (notes && notes.triage && notes.triage.length) {
+            const checklist = el('ol', 'attack-triage');
+            notes.triage.forEach(step => checklist.appendChild(el('li', null, step)));
+            children.push(SOCI18n.bind(el('h4'), 'attack.triage'), checklist);
+        }
+
+        const clear = SOCI18n.bind(el('button', 'attack-detail-clear', null, { 'type': 'button' }), 'attack.clear');
+        clear.addEventListener('click', () => {
+            const cell = this.root.querySelector(`.attack-cell[data-technique="${technique.id}"]`);
+            this.select(null);
+            if (cell) cell.focus();
+        }, { signal: this.lifecycle.signal });
+        children.push(clear);
+
+        this.detail.replaceChildren(...children);
+    }
+
+    destroy() {
+        this.select(null);
+        this.lifecycle.abort();
+    }
+}
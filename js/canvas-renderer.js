@@ -0,0 +1,240 @@
+import { THREE } from './env.js';
+import { SOCTheme } from './theme.js';
+
+// Canvas2D fallback for the SOC scene when WebGL is unavailable or blocked. It implements the
+// part of the WebGLRenderer API the portfolio uses and draws a flat projection of the scene graph:
+// meshes as filled outlines, lines as polylines and points as additive dots.
+export class SOCCanvasRenderer {
+    constructor({ canvas }) {
+        this.domElement = canvas;
+        this.context = canvas.getContext('2d');
+        this.isCanvasFallback = true;
+        this.pixelRatio = 1;
+        this.width = canvas.clientWidth || 300;
+        this.height = canvas.clientHeight || 150;
+        this.clearStyle = null;
+        this.shadowMap = { enabled: false, type: null };
+        this.vertex = new THREE.Vector3();
+        this.viewVertex = new THREE.Vector3();
+    }
+
+    setSize(width, height) {
+        this.width = width;
+        this.height = height;
+        this.domElement.width = Math.floor(width * this.pixelRatio);
+        this.domElement.height = Math.floor(height * this.pixelRatio);
+        this.domElement.style.width = `${width}px`;
+        this.domElement.style.height = `${height}px`;
+    }
+
+    setPixelRatio(ratio) {
+        this.pixelRatio = ratio;
+        this.setSize(this.width, this.height);
+    }
+
+    setClearColor(color, alpha = 1) {
+        this.clearStyle = alpha > 0 ? new THREE.Color(color).getStyle() : null;
+        this.clearAlpha = alpha;
+    }
+
+    dispose() {
+        this.context.clearRect(0, 0, this.domElement.width, this.domElement.height);
+    }
+
+    render(scene, camera) {
+        const ctx = this.context;
+        scene.updateMatrixWorld();
+        camera.updateMatrixWorld();
+
+        ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+        ctx.globalCompositeOperation = 'source-over';
+        ctx.clearRect(0, 0, this.width, this.height);
+        if (this.clearStyle) {
+            ctx.globalAlpha = this.clearAlpha;
+            ctx.fillStyle = this.clearStyle;
+            ctx.fillRect(0, 0, this.width, this.height);
+        }
+
+        // Painter's algorithm: far objects first
+        const drawables = [];
+        scene.traverseVisible(object => {
+            if (object.isMesh || object.isLine || object.isPoints) {
+                this.vertex.setFromMatrixPosition(object.matrixWorld).applyMatrix4(camera.matrixWorldInverse);
+                drawables.push({ object: object, depth: -this.vertex.z });
+            }
+        });
+        drawables.sort((a, b) => b.depth - a.depth);
+
+        drawables.forEach(({ object, depth }) => {
+            const fade = this.fogFactor(scene.fog, depth);
+            if (fade <= 0) return;
+
+            if (object.isPoints) {
+                this.drawPoints(object, camera, fade);
+            } else if (object.isLine) {
+                this.drawLine(object, camera, fade);
+            } else {
+                this.drawMesh(object, camera, fade);
+            }
+        });
+        ctx.globalAlpha = 1;
+        ctx.globalCompositeOperation = 'source-over';
+    }
+
+    fogFactor(fog, depth) {
+        if (!fog) return 1;
+        return 1 - Math.min(Math.max((depth - fog.near) / (fog.far - fog.near), 0), 1);
+    }
+
+    // Projects vertex i of a position attribute to canvas pixels; null when behind the camera
+    project(attribute, index, object, camera) {
+        this.vertex.fromBufferAttribute(attribute, index).applyMatrix4(object.matrixWorld);
+        this.viewVertex.copy(this.vertex).applyMatrix4(camera.matrixWorldInverse);
+        this.vertex.project(camera);
+        if (this.vertex.z > 1 || this.viewVertex.z >= 0) return null;
+
+        return {
+            x: (this.vertex.x + 1) * 0.5 * this.width,
+            y: (1 - this.vertex.y) * 0.5 * this.height,
+            depth: -this.viewVertex.z
+        };
+    }
+
+    drawMesh(mesh, camera, fade) {
+        const ctx = this.context;
+        const geometry = mesh.geometry;
+        const position = geometry.attributes.position;
+        const index = geometry.index;
+        const count = index ? index.count : position.count;
+        const projected = new Map();
+        const point = (i) => {
+            if (!projected.has(i)) projected.set(i, this.project(position, i, mesh, camera));
+            return projected.get(i);
+        };
+
+        // Textured meshes are back-face culled like in WebGL; the flat fills are not, to keep their volume
+        const material = mesh.material;
+        const cull = Boolean(material.map) && material.side === THREE.FrontSide;
+        let front = false;
+
+        // All triangles go into one path so overlapping faces don't stack their opacity
+        ctx.beginPath();
+        for (let i = 0; i + 2 < count; i += 3) {
+            const a = point(index ? index.getX(i) : i);
+            const b = point(index ? index.getX(i + 1) : i + 1);
+            const c = point(index ? index.getX(i + 2) : i + 2);
+            if (!a || !b || !c) continue;
+            if (cull && SOCCanvasRenderer.winding(a, b, c) > 0) continue;
+            front = true;
+
+            ctx.moveTo(a.x, a.y);
+            ctx.lineTo(b.x, b.y);
+            ctx.lineTo(c.x, c.y);
+            ctx.closePath();
+        }
+
+        if (cull && !front) return;
+        ctx.globalCompositeOperation = 'source-over';
+        ctx.globalAlpha = (material.transparent ? material.opacity : 1) * fade;
+        ctx.fillStyle = material.color.getStyle();
+        ctx.fill('nonzero');
+        ctx.globalAlpha *= 0.6;
+        ctx.strokeStyle = material.color.getStyle();
+        ctx.lineWidth = 0.5;
+        ctx.stroke();
+
+        if (material.map && material.map.image && geometry.attributes.uv && count >= 3) {
+            const corners = [0, 1, 2].map(n => (index ? index.getX(n) : n));
+            this.drawTexture(mesh, corners.map(point), corners, fade);
+        }
+    }
+
+    // Signed area of a projected triangle; positive means it faces away from the camera
+    static winding(a, b, c) {
+        return (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+    }
+
+    // Maps a texture onto the mesh's projected outline (the current path) with the affine
+    // transform fitted to its first triangle
+    drawTexture(mesh, points, corners, fade) {
+        const [a, b, c] = points;
+        if (!a || !b || !c) return;
+
+        const image = mesh.material.map.image;
+        const uv = mesh.geometry.attributes.uv;
+        const [s0, s1, s2] = corners.map(i => ({ x: uv.getX(i) * image.width, y: (1 - uv.getY(i)) * image.height }));
+        const u1 = { x: s1.x - s0.x, y: s1.y - s0.y };
+        const u2 = { x: s2.x - s0.x, y: s2.y - s0.y };
+        const d1 = { x: b.x - a.x, y: b.y - a.y };
+        const d2 = { x: c.x - a.x, y: c.y - a.y };
+        const det = u1.x * u2.y - u2.x * u1.y;
+        if (!det) return;
+
+        const m11 = (d1.x * u2.y - d2.x * u1.y) / det;
+        const m12 = (d1.y * u2.y - d2.y * u1.y) / det;
+        const m21 = (d2.x * u1.x - d1.x * u2.x) / det;
+        const m22 = (d2.y * u1.x - d1.y * u2.x) / det;
+
+        const ctx = this.context;
+        ctx.save();
+        ctx.clip('nonzero');
+        ctx.transform(m11, m12, m21, m22, a.x - m11 * s0.x - m21 * s0.y, a.y - m12 * s0.x - m22 * s0.y);
+        ctx.globalAlpha = mesh.material.opacity * fade;
+        ctx.drawImage(image, 0, 0);
+        ctx.restore();
+    }
+
+    drawLine(line, camera, fade) {
+        const ctx = this.context;
+        const position = line.geometry.attributes.position;
+
+        ctx.beginPath();
+        let drawing = false;
+        for (let i = 0; i < position.count; i++) {
+            const p = this.project(position, i, line, camera);
+            if (!p) {
+                drawing = false;
+                continue;
+            }
+            if (drawing) {
+                ctx.lineTo(p.x, p.y);
+            } else {
+                ctx.moveTo(p.x, p.y);
+                drawing = true;
+            }
+        }
+
+        ctx.globalCompositeOperation = 'lighter';
+        ctx.globalAlpha = line.material.opacity * fade;
+        ctx.strokeStyle = line.material.color.getStyle();
+        ctx.lineWidth = 1;
+        ctx.stroke();
+    }
+
+    drawPoints(points, camera, fade) {
+        const ctx = this.context;
+        const geometry = points.geometry;
+        const position = geometry.attributes.position;
+        const color = geometry.attributes.color;
+        const size = geometry.attributes.size;
+        const end = Math.min(position.count, geometry.drawRange.start + geometry.drawRange.count);
+
+        ctx.globalCompositeOperation = 'lighter';
+        for (let i = geometry.drawRange.start; i < end; i++) {
+            // Retired telemetry particles are parked at size 0
+            if (size && size.array[i] <= 0) continue;
+            const p = this.project(position, i, points, camera);
+            if (!p) continue;
+
+            // Same attenuation as the WebGL point shader (size * 200 / depth), as a radius
+            const radius = Math.max(0.5, (size ? size.array[i] : 2) * 100 / p.depth);
+            ctx.globalAlpha = 0.8 * fade;
+            ctx.fillStyle = color
+                ? `rgb(${Math.round(color.getX(i) * 255)}, ${Math.round(color.getY(i) * 255)}, ${Math.round(color.getZ(i) * 255)})`
+                : SOCTheme.color('accent');
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, radius, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+}
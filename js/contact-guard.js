@@ -0,0 +1,163 @@
+import { SOC_BANNED_CONTENT } from './contact-validation.js';
+
+// Client-side safeguards for the contact form: a honeypot field, a minimum time to fill the form in,
+// a per-browser send limit, caps on links and size, and a SHA-256 proof of work. A determined sender
+// can skip all of it, so an endpoint should verify the proof and enforce its own limits; the point is
+// to turn drive-by bots away cheaply.
+export class SOCContactGuard {
+    static fromForm(form) {
+        const config = form.dataset;
+        const number = (value, fallback) => (isNaN(parseFloat(value)) ? fallback : parseFloat(value));
+        const trap = form.querySelector('[data-honeypot]');
+
+        return new SOCContactGuard({
+            honeypot: trap ? trap.name : null,
+            minFillTime: number(config.minFillTime, 3000),
+            rateLimit: number(config.rateLimit, 3),
+            rateWindow: number(config.rateWindow, 3600000),
+            difficulty: number(config.proofDifficulty, 14),
+            maxLinks: number(config.maxLinks, 2),
+            maxBytes: number(config.maxBytes, 16384)
+        });
+    }
+
+    constructor(options = {}, storageKey = 'soc-contact-sends') {
+        Object.assign(this, {
+            honeypot: null,
+            minFillTime: 3000,
+            rateLimit: 3,
+            rateWindow: 3600000,
+            difficulty: 14,
+            maxLinks: 2,
+            maxBytes: 16384
+        }, options);
+        this.storageKey = storageKey;
+        // When the visitor first focused, typed into or autofilled the form; scripted fills never set it
+        this.startedAt = null;
+    }
+
+    // Autofill fires input and change without keystrokes, and a restored form is still focused to send
+    watch(form, signal) {
+        ['focusin', 'input', 'change'].forEach(type => form.addEventListener(type, () => {
+            if (this.startedAt === null) this.startedAt = Date.now();
+        }, { signal }));
+    }
+
+    // Ready for the next message once one has gone out
+    reset() {
+        this.startedAt = null;
+    }
+
+    // The checks that need no work, in order: honeypot, time to fill in, send limit, links, size.
+    // Returns { ok: true } or { ok: false, reason, params }; the honeypot field is taken out of the
+    // payload either way.
+    inspect(payload, now = Date.now()) {
+        const trapped = this.honeypot && Boolean(payload[this.honeypot]);
+        if (this.honeypot) delete payload[this.honeypot];
+        if (trapped) return { ok: false, reason: 'honeypot', params: {} };
+
+        if (this.startedAt === null || now - this.startedAt < this.minFillTime) {
+            return { ok: false, reason: 'tooFast', params: {} };
+        }
+
+        const recent = this.recentSends(now);
+        if (recent.length >= this.rateLimit) {
+            const minutes = Math.max(1, Math.ceil((recent[0] + this.rateWindow - now) / 60000));
+            return { ok: false, reason: 'rateLimited', params: { count: minutes } };
+        }
+
+        // Only what the visitor wrote; the page address is added by collectPayload()
+        const { sentAt, page, ...fields } = payload;
+        const links = Object.values(fields).join('\n').match(new RegExp(SOC_BANNED_CONTENT.links.source, 'gi')) || [];
+        if (links.length > this.maxLinks) {
+            return { ok: false, reason: 'tooManyLinks', params: { count: this.maxLinks } };
+        }
+
+        const bytes = new TextEncoder().encode(JSON.stringify(payload)).length;
+        if (bytes > this.maxBytes) {
+            return { ok: false, reason: 'tooLarge', params: { size: Math.ceil(bytes / 1024), max: Math.floor(this.maxBytes / 1024) } };
+        }
+        return { ok: true };
+    }
+
+    // Timestamps of the sends still inside the rate window, oldest first
+    recentSends(now = Date.now()) {
+        try {
+            const sends = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            return Array.isArray(sends) ? sends.filter(time => now - time < this.rateWindow).sort((a, b) => a - b) : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    record(now = Date.now()) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify([...this.recentSends(now), now]));
+        } catch (error) {
+            console.warn('Contact send could not be recorded:', error);
+        }
+    }
+
+    // The proof fields to add to the payload, or none where Web Crypto is unavailable (plain http)
+    async authorize(payload, onProgress = () => {}) {
+        if (!SOCContactGuard.available) {
+            console.warn('Web Crypto unavailable; sending without a proof of work');
+            onProgress(1);
+            return {};
+        }
+        const nonce = await SOCContactGuard.solve(SOCContactGuard.challenge(payload), this.difficulty, onProgress);
+        return { proofNonce: nonce, proofDifficulty: this.difficulty };
+    }
+
+    static get available() {
+        return Boolean(globalThis.crypto && globalThis.crypto.subtle);
+    }
+
+    // The proof is bound to the message, so it can't be replayed with different content
+    static challenge(payload) {
+        return [payload.sentAt, payload.email, payload.message].join('\n');
+    }
+
+    // Finds a nonce whose SHA-256 with the challenge starts with `difficulty` zero bits. Progress is
+    // the chance a solution would have turned up by now, which nears 1 after 2^difficulty attempts.
+    static async solve(challenge, difficulty, onProgress = () => {}) {
+        const expected = 2 ** difficulty;
+        for (let start = 0; ; start += SOCContactGuard.batch) {
+            const nonces = Array.from({ length: SOCContactGuard.batch }, (_, index) => start + index);
+            const hashes = await Promise.all(nonces.map(nonce => SOCContactGuard.digest(`${challenge}\n${nonce}`)));
+            const found = hashes.findIndex(hash => SOCContactGuard.leadingZeroBits(hash) >= difficulty);
+            if (found >= 0) {
+                onProgress(1);
+                return nonces[found];
+            }
+            onProgress(1 - Math.exp(-(start + SOCContactGuard.batch) / expected));
+        }
+    }
+
+    // For endpoints (and the mock): does the payload carry a proof of at least `difficulty` bits?
+    static async verify(payload, difficulty) {
+        const claimed = Number(payload.proofDifficulty);
+        if (payload.proofNonce === undefined || !(claimed >= difficulty)) return false;
+        const hash = await SOCContactGuard.digest(`${SOCContactGuard.challenge(payload)}\n${payload.proofNonce}`);
+        return SOCContactGuard.leadingZeroBits(hash) >= claimed;
+    }
+
+    static async digest(text) {
+        return new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text)));
+    }
+
+    static leadingZeroBits(bytes) {
+        let bits = 0;
+        for (const byte of bytes) {
+            if (byte === 0) {
+                bits += 8;
+                continue;
+            }
+            return bits + Math.clz32(byte) - 24;
+        }
+        return bits;
+    }
+}
+
+// Hashes per round between progress updates
+SOCContactGuard.batch = 256;
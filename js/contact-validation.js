@@ -0,0 +1,54 @@
+import { SOCI18n } from './i18n.js';
+
+// Rules for the contact form, keyed by field name and listed in form order. Lengths count graphemes
+// of the trimmed value; label is the field's name in the error summary.
+export const SOC_CONTACT_SCHEMA = {
+    name: { label: 'form.field.name', required: true, minLength: 2, maxLength: 80, banned: ['links', 'markup'] },
+    email: { label: 'form.field.email', required: true, maxLength: 254, format: 'email' },
+    inquiry: { label: 'form.field.inquiry', required: true, oneOf: ['job-opportunity', 'collaboration', 'consultation', 'other'] },
+    message: { label: 'form.field.message', required: true, minLength: 20, maxLength: 2000, banned: ['markup'] }
+};
+
+// Content a field's banned list can refuse: links (spam in names) and HTML or forum markup
+export const SOC_BANNED_CONTENT = {
+    links: /https?:\/\/|www\./i,
+    markup: /<\/?[a-z][^>]*>|\[\/?(url|link|img)\b[^\]]*\]/i
+};
+
+// Dotted local part, then a hostname with a letter-only top-level domain
+const SOC_EMAIL_PATTERN = /^[^\s@"<>,;.]+(\.[^\s@"<>,;.]+)*@[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*\.[a-z]{2,}$/i;
+
+export class SOCContactValidator {
+    // The first rule a value breaks as { rule, params }, or null when it passes. Rules are checked in
+    // the order required, length, format, allowed values, banned content.
+    static check(rules, value) {
+        const text = String(value == null ? '' : value).trim();
+        if (!text) return rules.required ? { rule: 'required', params: {} } : null;
+
+        const length = SOCI18n.graphemes(text).length;
+        if (rules.minLength && length < rules.minLength) {
+            return { rule: 'tooShort', params: { min: rules.minLength, count: rules.minLength } };
+        }
+        if (rules.maxLength && length > rules.maxLength) {
+            return { rule: 'tooLong', params: { max: rules.maxLength, count: length - rules.maxLength } };
+        }
+        if (rules.format === 'email' && !SOC_EMAIL_PATTERN.test(text)) return { rule: 'email', params: {} };
+        if (rules.oneOf && !rules.oneOf.includes(text)) return { rule: 'choice', params: {} };
+
+        const banned = (rules.banned || []).find(name => SOC_BANNED_CONTENT[name].test(text));
+        return banned ? { rule: banned, params: {} } : null;
+    }
+
+    // A check() result as a sentence in the current language
+    static message(error) {
+        return SOCI18n.t(`form.error.${error.rule}`, error.params);
+    }
+
+    // Every schema field present in the form, with its first error or null
+    static validate(form, schema = SOC_CONTACT_SCHEMA) {
+        return Object.entries(schema)
+            .map(([name, rules]) => ({ name, rules, field: form.elements.namedItem(name) }))
+            .filter(entry => entry.field)
+            .map(entry => ({ ...entry, error: SOCContactValidator.check(entry.rules, entry.field.value) }));
+    }
+}
@@ -0,0 +1,317 @@
+// Contact form transports - each one exposes { name, label, queueable, send(payload) }
+export class SOCContactTransports {
+    static create(type, options = {}) {
+        switch(type) {
+            case 'json': return SOCContactTransports.json(options.endpoint, options.timeout);
+            case 'form': return SOCContactTransports.formEncoded(options.endpoint, options.timeout);
+            case 'mailto': return SOCContactTransports.mailto(options.mailto);
+            default: throw new Error(`Unknown contact transport: ${type}`);
+        }
+    }
+
+    // JSON POST for custom endpoints and serverless functions
+    static json(endpoint, timeout = 10000) {
+        return {
+            name: 'json',
+            label: 'JSON',
+            queueable: true,
+            send: (payload) => SOCContactTransports.post(endpoint, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json'
+                },
+                body: JSON.stringify(payload)
+            }, timeout)
+        };
+    }
+
+    // Form-encoded POST for static-form services (Formspree, Getform, ...)
+    static formEncoded(endpoint, timeout = 10000) {
+        return {
+            name: 'form',
+            label: 'FORM RELAY',
+            queueable: true,
+            send: (payload) => SOCContactTransports.post(endpoint, {
+                headers: {
+                    'Content-Type': 'application/x-www-form-urlencoded',
+                    'Accept': 'application/json'
+                },
+                body: new URLSearchParams(payload).toString()
+            }, timeout)
+        };
+    }
+
+    // mailto: hands the message to the visitor's mail client, so it can't be queued
+    static mailto(address) {
+        return {
+            name: 'mailto',
+            label: 'MAIL CLIENT',
+            queueable: false,
+            href: (payload) => {
+                const subject = `[Portfolio] ${payload.inquiry || 'Inquiry'} from ${payload.name}`;
+                const body = `${payload.message}\n\n— ${payload.name} <${payload.email}>`;
+                return `mailto:${address}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+            },
+            send(payload) {
+                window.location.href = this.href(payload);
+                return Promise.resolve();
+            }
+        };
+    }
+
+    static async post(endpoint, init, timeout) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeout);
+
+        try {
+            const response = await fetch(endpoint, {
+                method: 'POST',
+                mode: 'cors',
+                ...init,
+                signal: controller.signal
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            return response;
+        } catch (error) {
+            throw error.name === 'AbortError' ? new Error(`timed out after ${timeout}ms`) : error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+}
+
+// Failed sends are kept in localStorage and retried with exponential backoff
+export class SOCContactOutbox {
+    constructor(deliver, storageKey = 'soc-contact-outbox') {
+        this.deliver = deliver;
+        this.storageKey = storageKey;
+        this.maxEntries = 10;
+        this.baseDelay = 30000;
+        this.maxDelay = 60 * 60 * 1000;
+        this.retryTimer = null;
+        this.flushing = null;
+        this.lifecycle = new AbortController();
+
+        window.addEventListener('online', () => this.flush(true), { signal: this.lifecycle.signal });
+    }
+
+    // Queued entries stay in localStorage for the next page load
+    destroy() {
+        clearTimeout(this.retryTimer);
+        this.lifecycle.abort();
+    }
+
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    save(entries) {
+        try {
+            if (entries.length) {
+                localStorage.setItem(this.storageKey, JSON.stringify(entries));
+            } else {
+                localStorage.removeItem(this.storageKey);
+            }
+        } catch (error) {
+            console.warn('SOC outbox unavailable, message not persisted:', error);
+        }
+    }
+
+    get size() {
+        return this.load().length;
+    }
+
+    retryDelay(attempts) {
+        return Math.min(this.baseDelay * 2 ** (attempts - 1), this.maxDelay);
+    }
+
+    enqueue(payload, error) {
+        const entries = this.load();
+        entries.push({
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            payload: payload,
+            attempts: 1,
+            lastError: error ? error.message : null,
+            queuedAt: Date.now(),
+            nextAttemptAt: Date.now() + this.retryDelay(1)
+        });
+
+        // Keep the newest messages if the outbox overflows
+        this.save(entries.slice(-this.maxEntries));
+        this.scheduleRetry();
+    }
+
+    update(id, changes) {
+        const entries = this.load();
+        const index = entries.findIndex(entry => entry.id === id);
+        if (index === -1) return;
+
+        if (changes === null) {
+            entries.splice(index, 1);
+        } else {
+            Object.assign(entries[index], changes);
+        }
+        this.save(entries);
+    }
+
+    flush(force = false) {
+        if (!this.flushing) {
+            this.flushing = this.retryDue(force).finally(() => {
+                this.flushing = null;
+                this.scheduleRetry();
+            });
+        }
+        return this.flushing;
+    }
+
+    async retryDue(force) {
+        const due = this.load().filter(entry => force || entry.nextAttemptAt <= Date.now());
+        let delivered = 0;
+
+        // Sequential so a flaky endpoint isn't hit with a burst
+        for (const entry of due) {
+            try {
+                await this.deliver(entry.payload);
+                this.update(entry.id, null);
+                delivered++;
+            } catch (error) {
+                const attempts = entry.attempts + 1;
+                this.update(entry.id, {
+                    attempts: attempts,
+                    lastError: error.message,
+                    nextAttemptAt: Date.now() + this.retryDelay(attempts)
+                });
+            }
+        }
+        return delivered;
+    }
+
+    scheduleRetry() {
+        clearTimeout(this.retryTimer);
+        const entries = this.load();
+        if (!entries.length) return;
+
+        const next = Math.min(...entries.map(entry => entry.nextAttemptAt));
+        this.retryTimer = setTimeout(() => this.flush(), Math.max(0, next - Date.now()));
+    }
+}
+
+// Contact delivery pipeline - network transports, outbox, and mailto fallback
+export class SOCContactDelivery {
+    static fromForm(form) {
+        const config = form.dataset;
+        const options = {
+            endpoint: SOCContactDelivery.resolveEndpoint(config.endpoint),
+            mailto: config.mailto || '',
+            timeout: parseInt(config.timeout) || 10000
+        };
+
+        const types = (config.transport || 'mailto').split(',').map(type => type.trim()).filter(Boolean);
+        const transports = types
+            .filter(type => type === 'mailto' ? options.mailto : options.endpoint)
+            .map(type => SOCContactTransports.create(type, options));
+        const fallback = options.mailto ? SOCContactTransports.mailto(options.mailto) : null;
+
+        return new SOCContactDelivery(transports, fallback);
+    }
+
+    // ?contact-endpoint= lets local development point the form at the mock endpoint,
+    // but only from localhost so a crafted link can't redirect visitors' messages
+    static resolveEndpoint(configured = '') {
+        const override = new URLSearchParams(window.location.search).get('contact-endpoint');
+        const isLocal = (host) => ['localhost', '127.0.0.1', '[::1]'].includes(host);
+
+        if (override && isLocal(window.location.hostname)) {
+            try {
+                if (isLocal(new URL(override).hostname)) return override;
+            } catch (error) {
+                console.warn('Ignoring invalid contact-endpoint override:', override);
+            }
+        }
+        return configured;
+    }
+
+    static collectPayload(form) {
+        const payload = {};
+        new FormData(form).forEach((value, key) => {
+            payload[key] = typeof value === 'string' ? value.trim() : value;
+        });
+        payload.sentAt = new Date().toISOString();
+        payload.page = window.location.origin + window.location.pathname;
+        return payload;
+    }
+
+    constructor(transports, fallback = null) {
+        this.transports = transports.filter(transport => transport.queueable);
+        this.handoff = transports.find(transport => !transport.queueable) || null;
+        this.fallback = fallback;
+        this.outbox = new SOCContactOutbox((payload) => this.deliver(payload));
+    }
+
+    // Without a network transport the message goes to the visitor's mail client
+    get handsOff() {
+        return !this.transports.length;
+    }
+
+    // Resolves with { status: 'delivered' | 'handoff' | 'queued' | 'failed', transport?, error? }
+    async send(payload, onProgress = () => {}) {
+        onProgress('prepare');
+
+        if (this.handsOff) {
+            const handoff = this.handoff || this.fallback;
+            if (!handoff) {
+                const error = new Error('no contact transport configured');
+                onProgress('failed', { error });
+                return { status: 'failed', error };
+            }
+            onProgress('handoff', { transport: handoff });
+            try {
+                await handoff.send(payload);
+            } catch (error) {
+                onProgress('failed', { error });
+                return { status: 'failed', error };
+            }
+            return { status: 'handoff', transport: handoff.name };
+        }
+
+        try {
+            const transport = await this.deliver(payload, onProgress);
+            onProgress('delivered', { transport });
+
+            // A successful send means the endpoint is back - drain anything queued
+            this.outbox.flush(true);
+            return { status: 'delivered', transport: transport.name };
+        } catch (error) {
+            this.outbox.enqueue(payload, error);
+            onProgress('queued', { error });
+            return { status: 'queued', error };
+        }
+    }
+
+    // Tries each network transport in order; rejects once all of them have failed
+    async deliver(payload, onProgress = () => {}) {
+        if (navigator.onLine === false) {
+            throw new Error('browser is offline');
+        }
+
+        const failures = [];
+        for (let i = 0; i < this.transports.length; i++) {
+            const transport = this.transports[i];
+            onProgress('transmit', { transport, attempt: i + 1, total: this.transports.length });
+
+            try {
+                await transport.send(payload);
+                return transport;
+            } catch (error) {
+                failures.push(`${transport.name}: ${error.message}`);
+            }
+        }
+        throw new Error(failures.join('; '));
+    }
+}
@@ -0,0 +1,242 @@
+import { THREE } from './env.js';
+import { SOCMotion } from './motion.js';
+import { SOCRandom } from './random.js';
+import { SOCTheme } from './theme.js';
+
+// Small dashboards drawn on offscreen canvases and mapped onto the monitoring screens
+export class SOCScreenDashboards {
+    constructor(screens, { profile = null, fps = 4, anisotropy = 1, alertColor }) {
+        this.screens = screens;
+        this.alertColor = alertColor;
+        this.panels = ['alerts', 'kql', 'severity', 'techniques'];
+        this.interval = 1000 / fps;
+        this.lastDraw = 0;
+        this.history = new Array(24).fill(0);
+        // Set by the first tick, so the buckets follow whichever clock the scene runs on
+        this.bucketStart = null;
+        this.live = false;
+        this.severityMix = [0, 0, 0, 0];
+        this.recent = [];
+        this.techniqueNames = new Map(((profile && profile.techniques) || []).map(technique => [technique.id, technique.name]));
+        this.profileTechniques = SOCScreenDashboards.coverage(profile);
+        this.snippets = SOCScreenDashboards.snippets(profile);
+
+        // Power-of-two canvases keep mipmapping, so the text survives distance and oblique angles.
+        // Panels draw in a 3:2 logical space that the 2:1 canvas stretches back onto the 3:2 screen.
+        screens.forEach((screen, index) => {
+            const canvas = document.createElement('canvas');
+            canvas.width = 512;
+            canvas.height = 256;
+            const context = canvas.getContext('2d');
+            if (!context) return;
+
+            const texture = new THREE.CanvasTexture(canvas);
+            texture.anisotropy = anisotropy;
+            screen.material.map = texture;
+            screen.material.color.setHex(0xffffff);
+            screen.material.needsUpdate = true;
+            screen.userData.dashboard = {
+                panel: this.panels[index % this.panels.length],
+                canvas: canvas,
+                context: context,
+                texture: texture,
+                offset: Math.floor(index / this.panels.length) * 3
+            };
+        });
+    }
+
+    // How often each project-referenced technique appears, for the panel shown before any telemetry
+    static coverage(profile) {
+        const counts = new Map();
+        ((profile && profile.projects) || []).forEach(project => {
+            (project.techniques || []).forEach(id => counts.set(id, (counts.get(id) || 0) + 1));
+        });
+        return counts;
+    }
+
+    static snippets(profile) {
+        const sources = ((profile && profile.projects) || [])
+            .filter(project => project.code && project.code.source)
+            .map(project => [`// ${project.title}`, ...project.code.source.split('\n'), '']);
+        return sources.length
+            ? sources.flat()
+            : ['SecurityAlert', '| where TimeGenerated > ago(1h)', '| summarize count() by AlertSeverity', ''];
+    }
+
+    setFrameRate(fps) {
+        this.interval = 1000 / fps;
+    }
+
+    setSeverityMix(mix) {
+        this.severityMix = mix;
+    }
+
+    // Telemetry events feed the alert rate and top technique panels
+    record(event) {
+        this.live = true;
+        this.history[this.history.length - 1]++;
+        this.recent.push(event);
+        if (this.recent.length > 200) {
+            this.recent.shift();
+        }
+    }
+
+    topTechniques(limit = 4) {
+        let counts = this.profileTechniques;
+        if (this.live) {
+            counts = new Map();
+            this.recent.forEach(event => {
+                if (event.technique) counts.set(event.technique, (counts.get(event.technique) || 0) + 1);
+            });
+        }
+        return [...counts.entries()].sort((a, b) => b[1] - a[1]).slice(0, limit);
+    }
+
+    // Redraws at the configured rate; the screen under the pointer is redrawn every frame
+    tick(now, focused = null) {
+        if (this.bucketStart === null) this.bucketStart = now;
+        if (now - this.bucketStart >= 2000) {
+            this.bucketStart = now;
+            this.history.shift();
+            // Before telemetry arrives the rate panel shows simulated background noise
+            this.history.push(this.live ? 0 : 3 + SOCRandom.stream('dashboards').int(8));
+        }
+
+        const due = now - this.lastDraw >= this.interval;
+        if (due) this.lastDraw = now;
+        this.screens.forEach(screen => {
+            const dashboard = screen.userData.dashboard;
+            if (!dashboard || !screen.visible || (!due && screen !== focused)) return;
+            this.draw(screen, dashboard);
+        });
+    }
+
+    draw(screen, dashboard) {
+        const ctx = dashboard.context;
+        const status = screen.userData.alertStatus;
+        const accent = this.cssColor(status);
+        const titles = { alerts: 'ALERT RATE', kql: 'HUNTING QUERY', severity: 'SEVERITY MIX', techniques: 'TOP ATT&CK' };
+
+        ctx.setTransform(512 / 384, 0, 0, 1, 0, 0);
+        ctx.fillStyle = SOCTheme.color('screen');
+        ctx.fillRect(0, 0, 384, 256);
+        ctx.fillStyle = accent;
+        ctx.fillRect(0, 0, 384, 4);
+        ctx.font = 'bold 20px monospace';
+        ctx.textBaseline = 'middle';
+        ctx.textAlign = 'left';
+        ctx.fillStyle = SOCTheme.color('highlight');
+        ctx.fillText(titles[dashboard.panel], 14, 24);
+        ctx.textAlign = 'right';
+        ctx.fillStyle = accent;
+        ctx.fillText(status.toUpperCase(), 370, 24);
+        ctx.textAlign = 'left';
+
+        this[`draw${dashboard.panel[0].toUpperCase()}${dashboard.panel.slice(1)}`](ctx, dashboard);
+        dashboard.texture.needsUpdate = true;
+    }
+
+    drawAlerts(ctx) {
+        const history = this.history;
+        const peak = Math.max(...history, 1);
+        const left = 14;
+        const width = 356;
+        const top = 96;
+        const height = 140;
+        const x = (i) => left + (i / (history.length - 1)) * width;
+        const y = (value) => top + height - (value / peak) * height;
+
+        ctx.font = 'bold 40px monospace';
+        ctx.fillStyle = SOCTheme.color('text');
+        ctx.fillText(String(history[history.length - 1]), left, 68);
+        ctx.font = '16px monospace';
+        ctx.fillStyle = SOCTheme.color('muted');
+        ctx.fillText(`peak ${peak}`, 150, 72);
+
+        ctx.beginPath();
+        history.forEach((value, i) => (i ? ctx.lineTo(x(i), y(value)) : ctx.moveTo(x(i), y(value))));
+        ctx.strokeStyle = SOCTheme.color('highlight');
+        ctx.lineWidth = 3;
+        ctx.stroke();
+        ctx.lineTo(x(history.length - 1), top + height);
+        ctx.lineTo(left, top + height);
+        ctx.closePath();
+        ctx.fillStyle = SOCTheme.rgba('highlight', 0.15);
+        ctx.fill();
+    }
+
+    drawKql(ctx, dashboard) {
+        const lines = this.snippets;
+        const visible = 7;
+        ctx.font = '16px monospace';
+        for (let n = 0; n < visible; n++) {
+            const line = lines[(dashboard.offset + n) % lines.length];
+            ctx.fillStyle = SOCTheme.color(line.startsWith('//') ? 'comment' : line.startsWith('|') ? 'highlight' : 'text');
+            ctx.fillText(line.length > 36 ? `${line.slice(0, 35)}…` : line, 14, 64 + n * 27);
+        }
+        // One line per redraw, so the scroll speed follows the refresh rate; reduced motion holds it still
+        if (!SOCMotion.reduced) {
+            dashboard.offset = (dashboard.offset + 1) % lines.length;
+        }
+    }
+
+    drawSeverity(ctx) {
+        const levels = ['low', 'medium', 'high', 'critical'];
+        const labels = ['LOW', 'MED', 'HIGH', 'CRIT'];
+        const total = this.severityMix.reduce((sum, count) => sum + count, 0);
+        const cx = 100;
+        const cy = 146;
+        let start = -Math.PI / 2;
+
+        levels.forEach((level, index) => {
+            const share = total ? this.severityMix[index] / total : 0;
+            const color = this.cssColor(level);
+            if (share > 0) {
+                ctx.beginPath();
+                ctx.moveTo(cx, cy);
+                ctx.arc(cx, cy, 80, start, start + share * Math.PI * 2);
+                ctx.closePath();
+                ctx.fillStyle = color;
+                ctx.fill();
+                start += share * Math.PI * 2;
+            }
+
+            ctx.fillStyle = color;
+            ctx.fillRect(210, 86 + (3 - index) * 38, 14, 14);
+            ctx.font = '18px monospace';
+            ctx.fillStyle = SOCTheme.color('text');
+            ctx.fillText(`${labels[index]} ${Math.round(share * 100)}%`, 232, 94 + (3 - index) * 38);
+        });
+
+        // Donut hole
+        ctx.beginPath();
+        ctx.arc(cx, cy, 40, 0, Math.PI * 2);
+        ctx.fillStyle = SOCTheme.color('screen');
+        ctx.fill();
+    }
+
+    drawTechniques(ctx) {
+        const top = this.topTechniques();
+        const peak = top.length ? top[0][1] : 1;
+        ctx.font = '16px monospace';
+        top.forEach(([id, count], n) => {
+            const y = 58 + n * 48;
+            const name = this.techniqueNames.get(id) || '';
+            ctx.fillStyle = SOCTheme.color('text');
+            ctx.fillText(`${id} ${name.length > 22 ? `${name.slice(0, 21)}…` : name}`, 14, y);
+            ctx.fillStyle = SOCTheme.rgba('accent', 0.3);
+            ctx.fillRect(14, y + 12, 356, 12);
+            ctx.fillStyle = SOCTheme.color('accent');
+            ctx.fillRect(14, y + 12, (count / peak) * 356, 12);
+        });
+    }
+
+    cssColor(level) {
+        return `#${this.alertColor(level).toString(16).padStart(6, '0')}`;
+    }
+
+    // Forces a full redraw on the next tick, e.g. after a theme change
+    invalidate() {
+        this.lastDraw = -Infinity;
+    }
+}
@@ -0,0 +1,303 @@
+import { SOCI18n } from './i18n.js';
+import { SOCMotion } from './motion.js';
+import { SOCRandom } from './random.js';
+import { SOCTheme } from './theme.js';
+
+// Enhanced SOC Effects System
+export class SOCEffects {
+    // Page-level effects share one lifecycle; they pause with the tab and destroy() removes them
+    static init() {
+        SOCEffects.lifecycle = new AbortController();
+        SOCEffects.pauseReasons = new Set();
+        SOCEffects.flickerTimer = null;
+        SOCEffects.flickerEnabled = false;
+
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                SOCEffects.pause('hidden');
+            } else {
+                SOCEffects.resume('hidden');
+            }
+        }, { signal: SOCEffects.lifecycle.signal });
+    }
+
+    static get paused() {
+        return SOCEffects.pauseReasons.size > 0;
+    }
+
+    static pause(reason = 'manual') {
+        SOCEffects.pauseReasons.add(reason);
+        if (SOCEffects.grid) SOCEffects.grid.stop();
+        if (SOCEffects.trail) SOCEffects.trail.stop();
+        clearInterval(SOCEffects.flickerTimer);
+        SOCEffects.flickerTimer = null;
+    }
+
+    static resume(reason = 'manual') {
+        SOCEffects.pauseReasons.delete(reason);
+        if (SOCEffects.paused) return;
+        if (SOCEffects.grid) SOCEffects.grid.start();
+        if (SOCEffects.flickerEnabled) SOCEffects.startAlertFlicker();
+    }
+
+    static destroy() {
+        SOCEffects.pause('destroyed');
+        SOCEffects.lifecycle.abort();
+        SOCEffects.flickerEnabled = false;
+        if (SOCEffects.grid) {
+            SOCEffects.grid.canvas.remove();
+            SOCEffects.grid = null;
+        }
+        if (SOCEffects.statusIndicator) {
+            SOCEffects.statusIndicator.remove();
+            SOCEffects.statusIndicator = null;
+        }
+        if (SOCEffects.trail) {
+            SOCEffects.trail.destroy();
+            SOCEffects.trail = null;
+        }
+        document.body.style.filter = 'none';
+    }
+
+    static createSecurityGrid() {
+        const canvas = document.createElement('canvas');
+        const ctx = canvas.getContext('2d');
+        canvas.style.position = 'fixed';
+        canvas.style.top = '0';
+        canvas.style.left = '0';
+        canvas.style.width = '100%';
+        canvas.style.height = '100%';
+        canvas.style.pointerEvents = 'none';
+        canvas.style.zIndex = '-1';
+        canvas.style.opacity = '0.05';
+        
+        document.body.appendChild(canvas);
+        
+        canvas.width = window.innerWidth;
+        canvas.height = window.innerHeight;
+        
+        const gridSize = 30;
+        let time = 0;
+        let frameInterval = 50;
+        
+        function drawGrid() {
+            ctx.clearRect(0, 0, canvas.width, canvas.height);
+            ctx.strokeStyle = SOCTheme.color('accent');
+            ctx.lineWidth = 1;
+            
+            // Advance at the same visual speed whatever the frame rate
+            time += 0.02 * (frameInterval / 50);
+            
+            // Draw animated grid
+            for (let x = 0; x < canvas.width + gridSize; x += gridSize) {
+                ctx.globalAlpha = 0.3 + Math.sin(time + x * 0.01) * 0.2;
+                ctx.beginPath();
+                ctx.moveTo(x, 0);
+                ctx.lineTo(x, canvas.height);
+                ctx.stroke();
+            }
+            
+            for (let y = 0; y < canvas.height + gridSize; y += gridSize) {
+                ctx.globalAlpha = 0.3 + Math.sin(time + y * 0.01) * 0.2;
+                ctx.beginPath();
+                ctx.moveTo(0, y);
+                ctx.lineTo(canvas.width, y);
+                ctx.stroke();
+            }
+        }
+        
+        SOCEffects.grid = {
+            canvas: canvas,
+            timer: null,
+            fps: 1000 / frameInterval,
+            setFrameRate(fps) {
+                this.fps = fps;
+                this.start();
+            },
+            start() {
+                this.stop();
+                canvas.style.display = this.fps > 0 ? '' : 'none';
+                if (this.fps > 0 && !SOCEffects.paused) {
+                    frameInterval = 1000 / this.fps;
+                    this.timer = setInterval(drawGrid, frameInterval);
+                }
+            },
+            stop() {
+                clearInterval(this.timer);
+                this.timer = null;
+            }
+        };
+        SOCEffects.grid.start();
+    }
+    
+    static setGridFrameRate(fps) {
+        if (SOCEffects.grid) {
+            SOCEffects.grid.setFrameRate(fps);
+        }
+    }
+    
+    // data-trail-length/-color/-decay/-mode on <body>
+    static trailOptions(dataset) {
+        const options = {};
+        if (dataset.trailLength) options.length = parseInt(dataset.trailLength);
+        if (dataset.trailColor) options.color = dataset.trailColor;
+        if (dataset.trailDecay) options.decay = parseInt(dataset.trailDecay);
+        if (dataset.trailMode) options.mode = dataset.trailMode;
+        return options;
+    }
+
+    // Options: length, color, decay and mode - see SOCCursorTrail
+    static addCursorSOCTrail(options = {}) {
+        SOCEffects.trail = new SOCCursorTrail(options, SOCEffects.lifecycle.signal);
+    }
+    
+    static startAlertFlicker() {
+        SOCEffects.flickerEnabled = true;
+        clearInterval(SOCEffects.flickerTimer);
+        SOCEffects.flickerTimer = null;
+        if (SOCEffects.paused) return;
+
+        SOCEffects.flickerTimer = setInterval(() => {
+            if (!SOCMotion.reduced && SOCRandom.stream('flicker').next() > 0.92) {
+                document.body.style.filter = 'hue-rotate(45deg) brightness(1.1)';
+                setTimeout(() => {
+                    document.body.style.filter = 'none';
+                }, 150);
+            }
+        }, 8000);
+    }
+
+    static createStatusIndicator() {
+        const statusIndicator = document.createElement('div');
+        statusIndicator.style.cssText = `
+            position: fixed;
+            top: 100px;
+            right: 20px;
+            background: rgba(var(--soc-accent-rgb), 0.9);
+            color: white;
+            padding: 0.5rem 1rem;
+            border-radius: 20px;
+            font-size: 0.8rem;
+            font-weight: bold;
+            z-index: 1000;
+            opacity: 0.8;
+        `;
+        SOCI18n.bind(statusIndicator, 'toast.operational');
+        document.body.appendChild(statusIndicator);
+        SOCEffects.statusIndicator = statusIndicator;
+    }
+}
+
+// Cursor trail drawn on one overlay canvas from a fixed pool of points and a single rAF loop.
+// In severity mode each point takes the colour of the threat level under the cursor.
+export class SOCCursorTrail {
+    constructor(options = {}, signal = null) {
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'soc-cursor-trail';
+        this.canvas.setAttribute('aria-hidden', 'true');
+        this.context = this.canvas.getContext('2d');
+        document.body.appendChild(this.canvas);
+
+        this.frame = null;
+        this.configure({ length: 15, color: null, decay: 1000, mode: 'solid', ...options });
+        this.resize();
+
+        window.addEventListener('resize', () => this.resize(), { signal });
+        document.addEventListener('mousemove', (event) => this.add(event.clientX, event.clientY, event.target), { signal });
+        SOCMotion.onChange(reduced => {
+            if (reduced) this.stop();
+        }, signal);
+    }
+
+    // length (points), color (CSS colour, null for the theme accent), decay (ms per point) and mode ('solid' or 'severity')
+    configure({ length = this.length, color = this.color, decay = this.decay, mode = this.mode } = {}) {
+        this.length = Math.max(1, Math.round(length));
+        this.color = color;
+        this.decay = Math.max(16, decay);
+        this.mode = mode;
+
+        // The pool is allocated once per length and its points are recycled round-robin
+        if (!this.pool || this.pool.length !== this.length) {
+            this.pool = Array.from({ length: this.length }, () => ({ x: 0, y: 0, time: -Infinity, color: color }));
+            this.head = 0;
+        }
+    }
+
+    static severityColor(level) {
+        return ['low', 'medium', 'high', 'critical'].includes(level) ? SOCTheme.color(level) : null;
+    }
+
+    // The nearest threat-tagged element (project cards) wins over the section's data-severity
+    colorAt(target) {
+        const color = this.color || SOCTheme.color('accent');
+        if (this.mode !== 'severity' || !target || !target.closest) return color;
+        const tagged = target.closest('[data-threat], [data-severity]');
+        const level = tagged && (tagged.dataset.threat || tagged.dataset.severity);
+        return SOCCursorTrail.severityColor(level) || color;
+    }
+
+    resize() {
+        const ratio = Math.min(window.devicePixelRatio || 1, 2);
+        this.ratio = ratio;
+        this.canvas.width = Math.round(window.innerWidth * ratio);
+        this.canvas.height = Math.round(window.innerHeight * ratio);
+    }
+
+    add(x, y, target) {
+        if (SOCMotion.reduced || SOCEffects.paused) return;
+
+        const point = this.pool[this.head];
+        this.head = (this.head + 1) % this.pool.length;
+        point.x = x;
+        point.y = y;
+        point.time = performance.now();
+        point.color = this.colorAt(target);
+
+        if (this.frame === null) {
+            this.frame = requestAnimationFrame(now => this.draw(now));
+        }
+    }
+
+    draw(now) {
+        const ctx = this.context;
+        const length = this.pool.length;
+        let alive = false;
+
+        ctx.setTransform(this.ratio, 0, 0, this.ratio, 0, 0);
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        ctx.shadowBlur = 15;
+
+        // Oldest first, so newer points sit on top and are more opaque
+        for (let n = 0; n < length; n++) {
+            const point = this.pool[(this.head + n) % length];
+            const age = (now - point.time) / this.decay;
+            if (age >= 1 || age < 0) continue;
+            alive = true;
+
+            // Shrinks and fades with a power2.out curve
+            const fade = (1 - age) ** 2;
+            ctx.globalAlpha = ((n + 1) / length) * 0.8 * fade;
+            ctx.fillStyle = point.color;
+            ctx.shadowColor = point.color;
+            ctx.beginPath();
+            ctx.arc(point.x, point.y, 3 * fade, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        // The loop only runs while some point is still visible
+        this.frame = alive ? requestAnimationFrame(next => this.draw(next)) : null;
+    }
+
+    stop() {
+        cancelAnimationFrame(this.frame);
+        this.frame = null;
+        this.pool.forEach(point => { point.time = -Infinity; });
+        this.context.setTransform(1, 0, 0, 1, 0, 0);
+        this.context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    }
+
+    destroy() {
+        this.stop();
+        this.canvas.remove();
+    }
+}
@@ -0,0 +1,13 @@
+// The libraries index.html loads from the CDN. Modules import them from here instead of reading
+// globals, so tests and embedders can swap in stand-ins with setEnvironment() before constructing
+// anything - the bindings are live, and every importer sees the replacement.
+export let THREE = globalThis.THREE;
+export let gsap = globalThis.gsap;
+export let ScrollTrigger = globalThis.ScrollTrigger;
+
+// Only the libraries named are replaced
+export function setEnvironment(libraries) {
+    if ('THREE' in libraries) THREE = libraries.THREE;
+    if ('gsap' in libraries) gsap = libraries.gsap;
+    if ('ScrollTrigger' in libraries) ScrollTrigger = libraries.ScrollTrigger;
+}
@@ -0,0 +1,204 @@
+// Interface languages; each has a pack at data/locales/<code>.json. intl is the tag used for plurals and dates.
+export const SOC_LOCALES = {
+    en: { label: 'English', intl: 'en-US' },
+    ta: { label: 'தமிழ்', intl: 'ta-IN' }
+};
+
+// Interface language - locale packs, data-i18n translation of the page and grapheme-aware text splitting.
+// English is always loaded as well, so a key missing from another pack falls back to it.
+export class SOCI18n {
+    static async init() {
+        SOCI18n.storageKey = 'soc-locale';
+        const preview = new URLSearchParams(window.location.search).get('lang');
+        const browser = (navigator.languages || [navigator.language])
+            .map(tag => String(tag).split('-')[0].toLowerCase())
+            .find(code => SOC_LOCALES[code]);
+        const code = [preview, SOCI18n.stored, browser].find(candidate => SOC_LOCALES[candidate]) || 'en';
+
+        SOCI18n.select = document.querySelector('.locale-select');
+        if (SOCI18n.select) {
+            SOCI18n.select.replaceChildren(...Object.entries(SOC_LOCALES).map(([value, locale]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.lang = value;
+                option.textContent = locale.label;
+                return option;
+            }));
+            SOCI18n.select.addEventListener('change', () => SOCI18n.set(SOCI18n.select.value));
+        }
+
+        try {
+            SOCI18n.fallback = await SOCI18n.load('en');
+        } catch (error) {
+            console.error('English locale pack unavailable:', error);
+        }
+        await SOCI18n.apply(code);
+    }
+
+    static get stored() {
+        try {
+            return localStorage.getItem(SOCI18n.storageKey);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    static async load(code) {
+        if (!SOCI18n.packs.has(code)) {
+            SOCI18n.packs.set(code, (async () => {
+                const url = `${SOCI18n.path}${code}.json`;
+                const response = await fetch(url, { cache: 'no-cache' });
+                if (!response.ok) {
+                    throw new Error(`Failed to load locale pack from ${url} (HTTP ${response.status})`);
+                }
+                return response.json();
+            })());
+            // A failed load is not cached, so the next switch tries again
+            SOCI18n.packs.get(code).catch(() => SOCI18n.packs.delete(code));
+        }
+        return SOCI18n.packs.get(code);
+    }
+
+    static async set(code) {
+        if (!SOC_LOCALES[code]) throw new Error(`Unknown locale ${code} (${Object.keys(SOC_LOCALES).join(', ')})`);
+        try {
+            localStorage.setItem(SOCI18n.storageKey, code);
+        } catch (error) {
+            console.warn('Language preference could not be saved:', error);
+        }
+        return SOCI18n.apply(code);
+    }
+
+    // Resolves false, keeping the current language, when the pack cannot be loaded
+    static async apply(code) {
+        let pack;
+        try {
+            pack = await SOCI18n.load(code);
+        } catch (error) {
+            console.warn(`Locale ${code} unavailable, keeping ${SOCI18n.current}:`, error);
+            if (SOCI18n.select) SOCI18n.select.value = SOCI18n.current;
+            return false;
+        }
+
+        SOCI18n.current = code;
+        SOCI18n.pack = pack;
+        SOCI18n.segmenter = null;
+
+        const root = document.documentElement;
+        root.lang = code;
+        root.dir = pack.dir || 'ltr';
+        document.title = SOCI18n.t('meta.title');
+        SOCI18n.translate();
+        if (SOCI18n.select) SOCI18n.select.value = code;
+
+        SOCI18n.listeners.forEach(listener => listener(code, pack));
+        return true;
+    }
+
+    // An abort signal, when given, unsubscribes the listener
+    static onChange(listener, signal = null) {
+        SOCI18n.listeners.push(listener);
+        if (signal) {
+            signal.addEventListener('abort', () => {
+                SOCI18n.listeners = SOCI18n.listeners.filter(entry => entry !== listener);
+            });
+        }
+    }
+
+    static get intl() {
+        return SOC_LOCALES[SOCI18n.current].intl;
+    }
+
+    // {name} placeholders are filled from params. Object values are plural forms picked by
+    // params.count: an exact count ("0") first, then the locale's plural category, then "other".
+    static t(key, params = {}) {
+        const lookup = pack => (pack && pack.strings ? pack.strings[key] : undefined);
+        let value = lookup(SOCI18n.pack);
+        if (value === undefined) value = lookup(SOCI18n.fallback);
+        if (value === undefined) return key;
+
+        if (typeof value === 'object') {
+            const count = Number(params.count);
+            const category = new Intl.PluralRules(SOCI18n.intl).select(count);
+            value = value[String(count)] !== undefined ? value[String(count)] : value[category] !== undefined ? value[category] : value.other;
+        }
+        return String(value).replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    }
+
+    // Marks an element for translation and fills it now; translate() refreshes it on every switch.
+    // target is 'text' or one of the attributes in SOCI18n.attributes.
+    static bind(element, key, params = null, target = 'text') {
+        element.dataset[target === 'text' ? 'i18n' : SOCI18n.attributes[target]] = key;
+        if (params) element.dataset.i18nArgs = JSON.stringify(params);
+        const value = SOCI18n.t(key, params || {});
+        if (target === 'text') {
+            element.textContent = value;
+        } else {
+            element.setAttribute(target, value);
+        }
+        return element;
+    }
+
+    static translate(root = document) {
+        const params = element => (element.dataset.i18nArgs ? JSON.parse(element.dataset.i18nArgs) : {});
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = SOCI18n.t(element.dataset.i18n, params(element));
+        });
+        Object.entries(SOCI18n.attributes).forEach(([attribute, property]) => {
+            const selector = `[data-${property.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}]`;
+            root.querySelectorAll(selector).forEach(element => {
+                element.setAttribute(attribute, SOCI18n.t(element.dataset[property], params(element)));
+            });
+        });
+    }
+
+    // User-perceived characters, so scramble effects never split a surrogate pair or a
+    // consonant from its vowel sign. Code points are the fallback without Intl.Segmenter.
+    static graphemes(text) {
+        if (typeof Intl === 'undefined' || !Intl.Segmenter) return Array.from(text);
+        if (!SOCI18n.segmenter) {
+            SOCI18n.segmenter = new Intl.Segmenter(SOCI18n.intl, { granularity: 'grapheme' });
+        }
+        return Array.from(SOCI18n.segmenter.segment(text), part => part.segment);
+    }
+
+    // The profile with the pack's translations laid over it. Ids, levels, dates, tech tags and
+    // ATT&CK technique names are not translated.
+    static localize(profile) {
+        const overrides = (SOCI18n.pack && SOCI18n.pack.profile) || {};
+        const localized = { ...profile };
+        SOCI18n.profileKeys.forEach(key => {
+            if (overrides[key] !== undefined) localized[key] = SOCI18n.merge(profile[key], overrides[key]);
+        });
+        return localized;
+    }
+
+    // Objects merge by key and arrays by index, so a pack only lists the text it translates
+    static merge(base, override) {
+        if (Array.isArray(base) && Array.isArray(override)) {
+            return base.map((item, index) => (index in override ? SOCI18n.merge(item, override[index]) : item));
+        }
+        const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+        if (isObject(base) && isObject(override)) {
+            const merged = { ...base };
+            Object.entries(override).forEach(([key, value]) => {
+                merged[key] = key in base ? SOCI18n.merge(base[key], value) : value;
+            });
+            return merged;
+        }
+        return override === undefined || override === null ? base : override;
+    }
+}
+
+// English until init() loads the visitor's language
+SOCI18n.path = 'data/locales/';
+SOCI18n.current = 'en';
+SOCI18n.pack = null;
+SOCI18n.fallback = null;
+SOCI18n.packs = new Map();
+SOCI18n.listeners = [];
+SOCI18n.segmenter = null;
+// Profile sections a pack may translate
+SOCI18n.profileKeys = ['person', 'stats', 'badges', 'skills', 'experience', 'projects', 'techniques'];
+// Translatable attributes and the dataset key naming each one's string
+SOCI18n.attributes = { 'placeholder': 'i18nPlaceholder', 'aria-label': 'i18nLabel', 'title': 'i18nTitle' };
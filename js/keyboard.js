@@ -0,0 +1,185 @@
+import { SOCEffects } from './effects.js';
+import { SOCI18n } from './i18n.js';
+import { SOCMotion } from './motion.js';
+import { SOCProfileRenderer } from './profile.js';
+import { SOCRouter } from './router.js';
+
+// Roving tabindex - a container with one tab stop whose items are reached with the arrow keys.
+// Items hidden by the project filter are skipped.
+export class SOCRovingFocus {
+    constructor(container, selector, { signal = null } = {}) {
+        this.container = container;
+        this.selector = selector;
+        this.current = null;
+
+        container.addEventListener('keydown', (event) => this.onKeydown(event), { signal });
+        container.addEventListener('focusin', (event) => {
+            if (event.target.matches(selector)) this.refresh(event.target);
+        }, { signal });
+        this.refresh();
+    }
+
+    get items() {
+        return [...this.container.querySelectorAll(this.selector)]
+            .filter(item => !item.hidden && !item.matches('.filtered-out, .filtering-out'));
+    }
+
+    // Keeps exactly one visible item in the tab order, the last one focused when it is still visible
+    refresh(current = this.current) {
+        const items = this.items;
+        this.current = items.includes(current) ? current : items[0] || null;
+        this.container.querySelectorAll(this.selector).forEach(item => {
+            item.setAttribute('tabindex', item === this.current ? '0' : '-1');
+        });
+    }
+
+    // Only while an item itself has focus, so fields and buttons inside the cards keep their keys
+    onKeydown(event) {
+        if (!event.target.matches(this.selector) || event.altKey || event.ctrlKey || event.metaKey) return;
+        const items = this.items;
+        const index = items.indexOf(event.target);
+        const targets = {
+            ArrowRight: items[index + 1],
+            ArrowDown: items[index + 1],
+            ArrowLeft: items[index - 1],
+            ArrowUp: items[index - 1],
+            Home: items[0],
+            End: items[items.length - 1]
+        };
+        const next = targets[event.key];
+        if (!(event.key in targets)) return;
+        event.preventDefault();
+        if (!next) return;
+        this.refresh(next);
+        next.focus();
+    }
+}
+
+// Page-wide keyboard shortcuts, listed in the help overlay from the same table that handles them.
+// Keys typed into fields, and keys with Ctrl, Alt or Cmd, are left alone.
+export class SOCShortcuts {
+    constructor({ router, portfolio = null, help = document.querySelector('.shortcut-help') } = {}) {
+        this.router = router;
+        this.portfolio = portfolio;
+        this.help = help;
+        this.paused = false;
+        this.status = document.querySelector('.shortcut-status');
+        this.lifecycle = new AbortController();
+        const signal = this.lifecycle.signal;
+
+        document.addEventListener('keydown', (event) => this.onKeydown(event), { signal });
+        if (help) {
+            this.renderHelp();
+            help.querySelector('.shortcut-help-close').addEventListener('click', () => this.closeHelp(), { signal });
+            help.addEventListener('keydown', (event) => {
+                if (event.key === 'Escape') this.closeHelp();
+            }, { signal });
+            SOCI18n.onChange(() => this.renderHelp(), signal);
+        }
+    }
+
+    // Sections in nav order, for j/k and the number keys
+    get sections() {
+        return [...document.querySelectorAll('.nav-link[href^="#"]')]
+            .map(link => SOCRouter.parse(link.getAttribute('href')).section);
+    }
+
+    // The number keys that reach a section: 1 to 9 at most
+    get sectionKeys() {
+        const keys = this.sections.slice(0, 9).map((section, index) => String(index + 1));
+        return keys.length > 2 ? [keys[0], '…', keys[keys.length - 1]] : keys;
+    }
+
+    onKeydown(event) {
+        if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey) return;
+        if (event.target.closest && event.target.closest('input, textarea, select, [contenteditable]')) return;
+
+        const sections = this.sections;
+        const index = sections.indexOf(this.router.active);
+        let handled = true;
+        if (event.key === 'j') {
+            this.jump(sections[Math.min(index + 1, sections.length - 1)]);
+        } else if (event.key === 'k') {
+            this.jump(sections[Math.max(index - 1, 0)]);
+        } else if (/^[1-9]$/.test(event.key) && sections[Number(event.key) - 1]) {
+            this.jump(sections[Number(event.key) - 1]);
+        } else if (event.key === 'p') {
+            this.togglePause();
+        } else if (event.key === 'm') {
+            SOCMotion.set(SOCMotion.reduced ? 'full' : 'reduce');
+            this.announce(SOCI18n.t(SOCMotion.reduced ? 'shortcuts.motionReduced' : 'shortcuts.motionFull'));
+        } else if (event.key === '?') {
+            if (this.help && this.help.hidden) {
+                this.openHelp();
+            } else {
+                this.closeHelp();
+            }
+        } else {
+            handled = false;
+        }
+        if (handled) event.preventDefault();
+    }
+
+    jump(section) {
+        if (section) this.router.navigate(`#${section}`);
+    }
+
+    // Holds the scene and the background effects under a 'manual' pause reason
+    togglePause() {
+        this.paused = !this.paused;
+        if (this.paused) {
+            if (this.portfolio) this.portfolio.pause('manual');
+            SOCEffects.pause('manual');
+        } else {
+            if (this.portfolio) this.portfolio.resume('manual');
+            SOCEffects.resume('manual');
+        }
+        this.announce(SOCI18n.t(this.paused ? 'shortcuts.paused' : 'shortcuts.resumed'));
+    }
+
+    announce(message) {
+        if (this.status) this.status.textContent = message;
+    }
+
+    renderHelp() {
+        const el = SOCProfileRenderer.el;
+        const list = this.help.querySelector('.shortcut-list');
+        list.replaceChildren(...SOCShortcuts.keys.flatMap(({ keys, label }) => {
+            if (typeof keys === 'function') keys = keys(this);
+            if (!keys.length) return [];
+            const term = el('dt');
+            keys.forEach(key => term.appendChild(el('kbd', null, key)));
+            return [term, el('dd', null, SOCI18n.t(label))];
+        }));
+    }
+
+    openHelp() {
+        this.returnFocus = document.activeElement;
+        this.help.hidden = false;
+        this.help.querySelector('.shortcut-help-close').focus();
+    }
+
+    closeHelp() {
+        if (!this.help || this.help.hidden) return;
+        this.help.hidden = true;
+        if (this.returnFocus && this.returnFocus.focus) this.returnFocus.focus();
+    }
+
+    destroy() {
+        this.lifecycle.abort();
+        if (this.paused) this.togglePause();
+    }
+}
+
+// Shown in the help overlay; ` belongs to the terminal, Esc to each overlay. Keys given as a function
+// are worked out from the page when the overlay renders.
+SOCShortcuts.keys = [
+    { keys: ['j'], label: 'shortcuts.next' },
+    { keys: ['k'], label: 'shortcuts.previous' },
+    { keys: shortcuts => shortcuts.sectionKeys, label: 'shortcuts.section' },
+    { keys: ['p'], label: 'shortcuts.pause' },
+    { keys: ['m'], label: 'shortcuts.motion' },
+    { keys: ['`'], label: 'shortcuts.terminal' },
+    { keys: ['?'], label: 'shortcuts.help' },
+    { keys: ['Esc'], label: 'shortcuts.close' }
+];
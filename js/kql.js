@@ -0,0 +1,664 @@
+import { SOCI18n } from './i18n.js';
+import { SOCProfileRenderer } from './profile.js';
+
+// KQL - one tokenizer shared by the highlighter and a small evaluator for the bundled sample tables
+export class SOCKql {
+    static tokenize(source) {
+        const kinds = ['comment', 'string', 'timespan', 'number', 'ident', 'operator', 'space', 'unknown'];
+        const pattern = /(\/\/[^\n]*)|('(?:[^'\\\n]|\\.)*'?|"(?:[^"\\\n]|\\.)*"?)|(\d+(?:\.\d+)?(?:ms|d|h|m|s)\b)|(\d+(?:\.\d+)?)|([A-Za-z_]\w*)|(!(?:contains|has|startswith|endswith|in)\b|==|!=|<=|>=|=~|!~|[-+*\/%<>=|,()])|(\s+)|(.)/g;
+        const tokens = [];
+        let match;
+        while ((match = pattern.exec(source))) {
+            const type = kinds[match.slice(1).findIndex(group => group !== undefined)];
+            tokens.push({ type, text: match[0], value: SOCKql.tokenValue(type, match[0]), offset: match.index });
+        }
+        return tokens;
+    }
+
+    static tokenValue(type, text) {
+        if (type === 'number') return parseFloat(text);
+        if (type === 'string') return text.slice(1, text.length > 1 && text.endsWith(text[0]) ? -1 : undefined).replace(/\\(.)/g, '$1');
+        if (type === 'timespan') {
+            const [, amount, unit] = text.match(/^([\d.]+)(\w+)$/);
+            return parseFloat(amount) * SOCKql.units[unit];
+        }
+        return text;
+    }
+
+    // Highlighted source as lines of { text, kind } runs; kind is null for plain text
+    static highlight(source) {
+        const lines = [[]];
+        const tokens = SOCKql.tokenize(source);
+        let first = true;
+        let afterPipe = false;
+
+        tokens.forEach((token, i) => {
+            let kind = null;
+            if (token.type === 'ident') {
+                const next = tokens.slice(i + 1).find(item => item.type !== 'space');
+                if (first) kind = 'table';
+                else if (afterPipe || SOCKql.keywords.includes(token.value)) kind = 'keyword';
+                else if (next && next.value === '(') kind = 'function';
+            } else if (['comment', 'string', 'number', 'timespan'].includes(token.type)) {
+                kind = token.type === 'timespan' ? 'number' : token.type;
+            } else if (token.type === 'operator') {
+                kind = token.value === '|' ? 'pipe' : 'operator';
+            }
+            if (token.type !== 'space' && token.type !== 'comment') {
+                first = false;
+                afterPipe = token.value === '|';
+            }
+
+            token.text.split('\n').forEach((part, j) => {
+                if (j > 0) lines.push([]);
+                if (part) lines[lines.length - 1].push({ text: part, kind });
+            });
+        });
+        return lines;
+    }
+
+    // Sample tables are cached per URL; datetimes are shifted so the sample's anchor is the load time
+    static loadSample(url) {
+        if (!SOCKql.samples.has(url)) {
+            SOCKql.samples.set(url, (async () => {
+                const response = await fetch(url, { cache: 'no-cache' });
+                if (!response.ok) {
+                    throw new Error(`Failed to load sample data from ${url} (HTTP ${response.status})`);
+                }
+                const sample = await response.json();
+                const shift = sample.anchor ? Date.now() - Date.parse(sample.anchor) : 0;
+                const tables = {};
+                Object.entries(sample.tables).forEach(([name, table]) => {
+                    tables[name] = {
+                        columns: table.columns,
+                        rows: table.rows.map(values => Object.fromEntries(table.columns.map((column, i) => [
+                            column,
+                            table.types[i] === 'datetime' ? new Date(Date.parse(values[i]) + shift) : values[i]
+                        ])))
+                    };
+                });
+                return tables;
+            })());
+            SOCKql.samples.get(url).catch(() => SOCKql.samples.delete(url));
+        }
+        return SOCKql.samples.get(url);
+    }
+
+    // Runs a query over { name: { columns, rows } } tables and returns the result table
+    static run(source, tables, now = Date.now()) {
+        const parser = new SOCKqlParser(SOCKql.tokenize(source), now);
+        const name = parser.next();
+        if (!name || name.type !== 'ident') {
+            throw new Error('A query starts with a table name, e.g. SigninLogs');
+        }
+        if (!tables[name.value]) {
+            throw new Error(`Unknown table '${name.value}' (the sample data has ${Object.keys(tables).join(', ')})`);
+        }
+
+        let table = tables[name.value];
+        while (!parser.done) {
+            parser.expect('|');
+            const stage = parser.stage();
+            const missing = stage.refs.filter(column => !table.columns.includes(column));
+            if (missing.length) {
+                throw new Error(`Unknown column '${missing[0]}' in ${stage.name} (available: ${table.columns.join(', ')})`);
+            }
+            table = stage.apply(table);
+        }
+        return table;
+    }
+
+    static equals(a, b) {
+        if (a instanceof Date || b instanceof Date) return SOCKql.compare(a, b) === 0;
+        if (typeof a === 'number' && typeof b === 'string' && b.trim() !== '') return a === Number(b);
+        if (typeof b === 'number' && typeof a === 'string' && a.trim() !== '') return Number(a) === b;
+        return a === b;
+    }
+
+    // Orders numbers, datetimes and strings; nulls sort first
+    static compare(a, b) {
+        if (a === null || a === undefined) return b === null || b === undefined ? 0 : -1;
+        if (b === null || b === undefined) return 1;
+        const left = a instanceof Date ? a.getTime() : a;
+        const right = b instanceof Date ? b.getTime() : b;
+        if (left < right) return -1;
+        return left > right ? 1 : 0;
+    }
+
+    static format(value) {
+        if (value === null || value === undefined) return '';
+        if (value instanceof Date) return value.toISOString().replace(/\.\d{3}Z$/, 'Z');
+        if (Array.isArray(value)) return JSON.stringify(value.map(item => (item instanceof Date ? SOCKql.format(item) : item)));
+        if (typeof value === 'number' && !Number.isInteger(value)) return String(Math.round(value * 1000) / 1000);
+        return String(value);
+    }
+}
+
+SOCKql.units = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+SOCKql.keywords = ['by', 'asc', 'desc', 'and', 'or', 'in', 'contains', 'has', 'startswith', 'endswith', 'true', 'false'];
+SOCKql.samples = new Map();
+
+// Recursive-descent parser for the runner's subset; expressions compile to row => value closures
+export class SOCKqlParser {
+    constructor(tokens, now) {
+        this.tokens = tokens.filter(token => token.type !== 'space' && token.type !== 'comment');
+        this.position = 0;
+        this.now = now;
+        this.refs = new Set();
+    }
+
+    get done() {
+        return this.position >= this.tokens.length;
+    }
+
+    peek(offset = 0) {
+        return this.tokens[this.position + offset];
+    }
+
+    next() {
+        return this.tokens[this.position++];
+    }
+
+    accept(value) {
+        const token = this.peek();
+        if (token && token.type !== 'string' && token.value === value) {
+            this.position++;
+            return true;
+        }
+        return false;
+    }
+
+    expect(value) {
+        if (!this.accept(value)) throw this.error(`Expected '${value}'`);
+    }
+
+    error(message) {
+        const token = this.peek();
+        return new Error(`${message} ${token ? `near '${token.text}'` : 'at the end of the query'}`);
+    }
+
+    // One tabular operator after a pipe
+    stage() {
+        this.refs = new Set();
+        const token = this.next();
+        const name = token && token.type === 'ident' ? token.value : null;
+        const stage = { name, apply: null };
+
+        switch (name) {
+            case 'where': {
+                const predicate = this.expression();
+                stage.apply = table => ({ columns: table.columns, rows: table.rows.filter(row => predicate(row) === true) });
+                break;
+            }
+            case 'extend': {
+                const fields = this.fields();
+                stage.apply = table => ({
+                    columns: [...table.columns, ...fields.map(field => field.name).filter(column => !table.columns.includes(column))],
+                    rows: table.rows.map(row => {
+                        const extended = { ...row };
+                        fields.forEach(field => { extended[field.name] = field.evaluate(row); });
+                        return extended;
+                    })
+                });
+                break;
+            }
+            case 'project': {
+                const fields = this.fields();
+                stage.apply = table => ({
+                    columns: fields.map(field => field.name),
+                    rows: table.rows.map(row => Object.fromEntries(fields.map(field => [field.name, field.evaluate(row)])))
+                });
+                break;
+            }
+            case 'summarize':
+                stage.apply = this.summarize();
+                break;
+            case 'order':
+            case 'sort': {
+                this.expect('by');
+                const keys = this.list(() => {
+                    const evaluate = this.expression();
+                    // KQL sorts descending unless told otherwise
+                    const direction = this.accept('asc') ? 1 : -1;
+                    if (direction < 0) this.accept('desc');
+                    return { evaluate, direction };
+                });
+                stage.apply = table => ({
+                    columns: table.columns,
+                    rows: [...table.rows].sort((a, b) => {
+                        for (const key of keys) {
+                            const order = SOCKql.compare(key.evaluate(a), key.evaluate(b)) * key.direction;
+                            if (order) return order;
+                        }
+                        return 0;
+                    })
+                });
+                break;
+            }
+            case 'take':
+            case 'limit': {
+                const count = this.next();
+                if (!count || count.type !== 'number') throw this.error(`${name} needs a row count`);
+                stage.apply = table => ({ columns: table.columns, rows: table.rows.slice(0, count.value) });
+                break;
+            }
+            case 'count':
+                stage.apply = table => ({ columns: ['Count'], rows: [{ Count: table.rows.length }] });
+                break;
+            default:
+                throw new Error(`'${token ? token.text : ''}' is not supported by the sample runner (try where, summarize, project, extend, order by, take or count)`);
+        }
+
+        if (!this.done && this.peek().value !== '|') throw this.error('Unexpected input');
+        stage.refs = [...this.refs];
+        return stage;
+    }
+
+    list(item) {
+        const items = [item()];
+        while (this.accept(',')) items.push(item());
+        return items;
+    }
+
+    // name = expression, or a bare expression named after its column
+    fields() {
+        let unnamed = 0;
+        return this.list(() => {
+            let name = null;
+            if (this.peek() && this.peek().type === 'ident' && this.peek(1) && this.peek(1).value === '=') {
+                name = this.next().value;
+                this.next();
+            }
+            const evaluate = this.expression();
+            return { name: name || evaluate.column || `Column${++unnamed}`, evaluate };
+        });
+    }
+
+    summarize() {
+        const aggregates = [];
+        if (!this.done && this.peek().value !== 'by') {
+            aggregates.push(...this.list(() => {
+                let name = null;
+                if (this.peek(1) && this.peek(1).value === '=') {
+                    name = this.next().value;
+                    this.next();
+                }
+                const token = this.next();
+                const aggregate = token && SOCKqlParser.aggregates[token.value];
+                if (!aggregate || !this.accept('(')) throw new Error(`Expected an aggregation such as count() near '${token ? token.text : ''}'`);
+                const args = this.peek() && this.peek().value === ')' ? [] : this.list(() => this.expression());
+                this.expect(')');
+                const column = !aggregate.bare && args[0] && args[0].column;
+                return { name: name || `${aggregate.prefix}_${column || ''}`, compute: rows => aggregate.compute(rows, args) };
+            }));
+        }
+        const groups = this.accept('by') ? this.fields() : [];
+        if (!aggregates.length && !groups.length) throw this.error('summarize needs an aggregation or a by clause');
+
+        return table => {
+            const buckets = new Map();
+            table.rows.forEach(row => {
+                const values = groups.map(group => group.evaluate(row));
+                const key = JSON.stringify(values.map(value => (value instanceof Date ? value.getTime() : value)));
+                if (!buckets.has(key)) buckets.set(key, { values, rows: [] });
+                buckets.get(key).rows.push(row);
+            });
+            // Without a by clause summarize always returns one row, even for no input
+            if (!groups.length && !buckets.size) buckets.set('[]', { values: [], rows: [] });
+
+            const columns = [...groups.map(group => group.name), ...aggregates.map(aggregate => aggregate.name)];
+            const rows = [...buckets.values()].map(bucket => Object.fromEntries([
+                ...groups.map((group, i) => [group.name, bucket.values[i]]),
+                ...aggregates.map(aggregate => [aggregate.name, aggregate.compute(bucket.rows)])
+            ]));
+            return { columns, rows };
+        };
+    }
+
+    expression() {
+        return this.logical('or', () => this.logical('and', () => this.comparison()));
+    }
+
+    logical(word, operand) {
+        let left = operand();
+        while (this.accept(word)) {
+            const a = left;
+            const b = operand();
+            left = word === 'or' ? row => a(row) === true || b(row) === true : row => a(row) === true && b(row) === true;
+        }
+        return left;
+    }
+
+    comparison() {
+        const left = this.additive();
+        const token = this.peek();
+        if (!token || token.type === 'string') return left;
+
+        if (token.value === 'in' || token.value === '!in') {
+            this.next();
+            this.expect('(');
+            const values = this.list(() => this.additive());
+            this.expect(')');
+            const negate = token.value === '!in';
+            return row => {
+                const value = left(row);
+                return values.some(item => SOCKql.equals(value, item(row))) !== negate;
+            };
+        }
+
+        const test = SOCKqlParser.comparisons[token.value];
+        if (!test) return left;
+        this.next();
+        const right = this.additive();
+        return row => test(left(row), right(row));
+    }
+
+    additive() {
+        let left = this.multiplicative();
+        while (this.peek() && ['+', '-'].includes(this.peek().value) && this.peek().type === 'operator') {
+            const operator = this.next().value;
+            const a = left;
+            const b = this.multiplicative();
+            left = row => SOCKqlParser.arithmetic(operator, a(row), b(row));
+        }
+        return left;
+    }
+
+    multiplicative() {
+        let left = this.unary();
+        while (this.peek() && ['*', '/', '%'].includes(this.peek().value) && this.peek().type === 'operator') {
+            const operator = this.next().value;
+            const a = left;
+            const b = this.unary();
+            left = row => SOCKqlParser.arithmetic(operator, a(row), b(row));
+        }
+        return left;
+    }
+
+    unary() {
+        if (this.accept('-')) {
+            const operand = this.unary();
+            return row => -operand(row);
+        }
+        return this.primary();
+    }
+
+    primary() {
+        const token = this.next();
+        if (!token) throw this.error('Expected a value');
+
+        if (['number', 'timespan', 'string'].includes(token.type)) {
+            if (token.type === 'string' && (token.text.length < 2 || !token.text.endsWith(token.text[0]))) {
+                throw new Error(`Unterminated string ${token.text}`);
+            }
+            return () => token.value;
+        }
+        if (token.value === '(' && token.type === 'operator') {
+            const inner = this.expression();
+            this.expect(')');
+            return inner;
+        }
+        if (token.type !== 'ident') {
+            this.position--;
+            throw this.error('Expected a value');
+        }
+
+        if (token.value === 'true' || token.value === 'false') return () => token.value === 'true';
+        if (this.accept('(')) {
+            const fn = SOCKqlParser.functions[token.value];
+            if (!fn) throw new Error(`Unsupported function ${token.value}()`);
+            const args = this.peek() && this.peek().value === ')' ? [] : this.list(() => this.expression());
+            this.expect(')');
+            const evaluate = row => fn(args.map(arg => arg(row)), this.now);
+            // bin(TimeGenerated, 1h) keeps its column's name in project and summarize by
+            if (token.value === 'bin' && args[0]) evaluate.column = args[0].column;
+            return evaluate;
+        }
+
+        const column = token.value;
+        this.refs.add(column);
+        const evaluate = row => (row[column] === undefined ? null : row[column]);
+        evaluate.column = column;
+        return evaluate;
+    }
+
+    static arithmetic(operator, a, b) {
+        if (a === null || b === null) return null;
+        if (a instanceof Date && b instanceof Date && operator === '-') return a.getTime() - b.getTime();
+        if (a instanceof Date && typeof b === 'number') {
+            if (operator === '+') return new Date(a.getTime() + b);
+            if (operator === '-') return new Date(a.getTime() - b);
+        }
+        if (typeof a !== 'number' || typeof b !== 'number') return null;
+        switch (operator) {
+            case '+': return a + b;
+            case '-': return a - b;
+            case '*': return a * b;
+            case '/': return b === 0 ? null : a / b;
+            default: return b === 0 ? null : a % b;
+        }
+    }
+}
+
+// String operators are case-insensitive, like KQL's defaults
+SOCKqlParser.comparisons = (() => {
+    const text = value => String(value === null || value === undefined ? '' : value).toLowerCase();
+    const has = (a, b) => new RegExp(`(^|[^a-z0-9])${text(b).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}($|[^a-z0-9])`).test(text(a));
+    const tests = Object.assign(Object.create(null), {
+        '==': (a, b) => SOCKql.equals(a, b),
+        '!=': (a, b) => !SOCKql.equals(a, b),
+        '<': (a, b) => SOCKql.compare(a, b) < 0,
+        '>': (a, b) => SOCKql.compare(a, b) > 0,
+        '<=': (a, b) => SOCKql.compare(a, b) <= 0,
+        '>=': (a, b) => SOCKql.compare(a, b) >= 0,
+        '=~': (a, b) => text(a) === text(b),
+        '!~': (a, b) => text(a) !== text(b),
+        'contains': (a, b) => text(a).includes(text(b)),
+        'has': has,
+        'startswith': (a, b) => text(a).startsWith(text(b)),
+        'endswith': (a, b) => text(a).endsWith(text(b))
+    });
+    ['contains', 'has', 'startswith', 'endswith'].forEach(word => {
+        tests[`!${word}`] = (a, b) => !tests[word](a, b);
+    });
+    return tests;
+})();
+
+// Lookup tables have no prototype, so a column called constructor is not mistaken for a function
+SOCKqlParser.functions = Object.assign(Object.create(null), {
+    ago: ([span], now) => new Date(now - span),
+    now: (args, now) => new Date(now),
+    bin: ([value, size]) => {
+        if (value instanceof Date) return new Date(Math.floor(value.getTime() / size) * size);
+        return value === null ? null : Math.floor(value / size) * size;
+    },
+    tolower: ([value]) => (value === null ? null : String(value).toLowerCase()),
+    toupper: ([value]) => (value === null ? null : String(value).toUpperCase()),
+    strlen: ([value]) => (value === null ? null : String(value).length),
+    strcat: args => args.map(value => (value === null ? '' : SOCKql.format(value))).join(''),
+    tostring: ([value]) => SOCKql.format(value),
+    toint: ([value]) => (Number.isFinite(parseInt(value)) ? parseInt(value) : null),
+    isempty: ([value]) => value === null || value === '',
+    isnotempty: ([value]) => value !== null && value !== '',
+    not: ([value]) => value !== true,
+    iff: ([condition, a, b]) => (condition === true ? a : b)
+});
+SOCKqlParser.functions.iif = SOCKqlParser.functions.iff;
+
+// Aggregations for summarize; without an alias the column is prefix_ plus the argument's column (count_, dcount_IPAddress)
+SOCKqlParser.aggregates = (() => {
+    const values = (rows, arg) => rows.map(row => arg(row)).filter(value => value !== null);
+    const extreme = sign => (rows, [arg]) => values(rows, arg)
+        .reduce((best, value) => (best === null || SOCKql.compare(value, best) * sign > 0 ? value : best), null);
+    return Object.assign(Object.create(null), {
+        count: { prefix: 'count', bare: true, compute: rows => rows.length },
+        countif: { prefix: 'countif', bare: true, compute: (rows, [predicate]) => rows.filter(row => predicate(row) === true).length },
+        dcount: {
+            prefix: 'dcount',
+            compute: (rows, [arg]) => new Set(values(rows, arg).map(value => (value instanceof Date ? value.getTime() : value))).size
+        },
+        sum: { prefix: 'sum', compute: (rows, [arg]) => values(rows, arg).reduce((total, value) => total + value, 0) },
+        avg: {
+            prefix: 'avg',
+            compute: (rows, [arg]) => {
+                const list = values(rows, arg);
+                return list.length ? list.reduce((total, value) => total + value, 0) / list.length : null;
+            }
+        },
+        min: { prefix: 'min', compute: extreme(-1) },
+        max: { prefix: 'max', compute: extreme(1) },
+        make_set: { prefix: 'set', compute: (rows, [arg]) => [...new Set(values(rows, arg))] }
+    });
+})();
+
+// Project code block - numbered, highlighted KQL with a copy button and a runner over the sample tables
+export class SOCKqlSnippet {
+    constructor(block, { maxRows = 50 } = {}) {
+        this.block = block;
+        this.source = block.textContent.trim();
+        this.sample = block.dataset.sample || null;
+        this.maxRows = maxRows;
+        this.lifecycle = new AbortController();
+        SOCKqlSnippet.count = (SOCKqlSnippet.count || 0) + 1;
+        this.id = `kql-runner-${SOCKqlSnippet.count}`;
+        this.render();
+    }
+
+    render() {
+        const el = SOCProfileRenderer.el;
+        const signal = this.lifecycle.signal;
+
+        const toolbar = el('div', 'code-toolbar');
+        this.status = el('span', 'code-status', null, { 'aria-live': 'polite' });
+        const copy = SOCI18n.bind(el('button', 'code-button code-copy', null, { 'type': 'button' }), 'kql.copy');
+        copy.addEventListener('click', () => this.copy(), { signal });
+        toolbar.append(el('span', 'code-language', 'KQL'), this.status, copy);
+
+        const code = el('code', 'code-lines');
+        SOCKql.highlight(this.source).forEach(line => {
+            const row = el('span', 'code-line');
+            line.forEach(run => row.appendChild(run.kind ? el('span', `kql-${run.kind}`, run.text) : document.createTextNode(run.text)));
+            code.appendChild(row);
+        });
+        this.block.classList.add('kql-snippet');
+        this.block.replaceChildren(toolbar, code);
+
+        if (!this.sample) return;
+
+        this.runToggle = SOCI18n.bind(el('button', 'code-button code-run', null, {
+            'type': 'button',
+            'aria-expanded': 'false',
+            'aria-controls': this.id
+        }), 'kql.runSample');
+        this.runToggle.addEventListener('click', () => this.toggleRunner(), { signal });
+        toolbar.appendChild(this.runToggle);
+
+        this.runner = el('div', 'kql-runner', null, { 'id': this.id });
+        this.runner.hidden = true;
+        this.editor = el('textarea', 'kql-editor', null, {
+            'id': `${this.id}-query`,
+            'rows': String(Math.max(4, this.source.split('\n').length + 1)),
+            'spellcheck': 'false',
+            'aria-describedby': `${this.id}-hint`
+        });
+        this.editor.value = this.source;
+        this.editor.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+                event.preventDefault();
+                this.run();
+            }
+        }, { signal });
+
+        const execute = SOCI18n.bind(el('button', 'code-button kql-execute', null, { 'type': 'button' }), 'kql.run');
+        execute.addEventListener('click', () => this.run(), { signal });
+        const reset = SOCI18n.bind(el('button', 'code-button kql-reset', null, { 'type': 'button' }), 'kql.reset');
+        reset.addEventListener('click', () => {
+            this.editor.value = this.source;
+            this.run();
+        }, { signal });
+        const actions = el('div', 'kql-runner-actions');
+        actions.append(
+            execute,
+            reset,
+            SOCI18n.bind(el('span', 'kql-runner-hint', null, { 'id': `${this.id}-hint` }), 'kql.hint')
+        );
+
+        this.result = el('div', 'kql-result', null, { 'aria-live': 'polite' });
+        this.runner.append(SOCI18n.bind(el('label', 'sr-only', null, { 'for': this.editor.id }), 'kql.query'), this.editor, actions, this.result);
+        this.block.appendChild(this.runner);
+    }
+
+    async copy() {
+        try {
+            await navigator.clipboard.writeText(this.source);
+            this.setStatus('kql.copied');
+        } catch (error) {
+            this.setStatus('kql.copyFailed');
+        }
+    }
+
+    // Cleared statuses are unbound too, so a language switch doesn't bring them back
+    setStatus(key) {
+        SOCI18n.bind(this.status, key);
+        clearTimeout(this.statusTimer);
+        this.statusTimer = setTimeout(() => {
+            delete this.status.dataset.i18n;
+            this.status.textContent = '';
+        }, 2000);
+    }
+
+    toggleRunner() {
+        const open = this.runner.hidden;
+        this.runner.hidden = !open;
+        this.runToggle.setAttribute('aria-expanded', String(open));
+        if (open) {
+            this.editor.focus();
+            if (!this.result.hasChildNodes()) this.run();
+        }
+    }
+
+    async run() {
+        const el = SOCProfileRenderer.el;
+        this.result.replaceChildren(SOCI18n.bind(el('div', 'kql-result-meta'), 'kql.running'));
+        try {
+            const tables = await SOCKql.loadSample(this.sample);
+            const started = performance.now();
+            const table = SOCKql.run(this.editor.value, tables);
+            this.renderTable(table, performance.now() - started);
+        } catch (error) {
+            this.result.replaceChildren(el('div', 'kql-error', error.message, { 'role': 'alert' }));
+        }
+    }
+
+    renderTable(table, elapsed) {
+        const el = SOCProfileRenderer.el;
+        const shown = table.rows.slice(0, this.maxRows);
+        const meta = el('div', 'kql-result-meta');
+        meta.appendChild(SOCI18n.bind(el('span'), 'kql.rows', { count: table.rows.length, ms: elapsed.toFixed(1) }));
+        if (shown.length < table.rows.length) {
+            meta.append(' · ', SOCI18n.bind(el('span'), 'kql.truncated', { count: shown.length }));
+        }
+
+        const head = el('tr');
+        table.columns.forEach(column => head.appendChild(el('th', null, column, { 'scope': 'col' })));
+        const body = el('tbody');
+        shown.forEach(row => {
+            const line = el('tr');
+            table.columns.forEach(column => line.appendChild(el('td', null, SOCKql.format(row[column]))));
+            body.appendChild(line);
+        });
+        const thead = el('thead');
+        thead.appendChild(head);
+        const grid = el('table', 'kql-results');
+        grid.append(thead, body);
+
+        const scroller = el('div', 'kql-results-wrap');
+        scroller.appendChild(grid);
+        this.result.replaceChildren(meta, scroller);
+    }
+
+    destroy() {
+        this.lifecycle.abort();
+        clearTimeout(this.statusTimer);
+    }
+}
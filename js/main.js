@@ -0,0 +1,146 @@
+import { gsap } from './env.js';
+import { SOCAnalytics } from './analytics.js';
+import { SOCAttackMatrix } from './attack-matrix.js';
+import { SOCEffects } from './effects.js';
+import { SOCI18n } from './i18n.js';
+import { SOCShortcuts } from './keyboard.js';
+import { SOCKql, SOCKqlSnippet } from './kql.js';
+import { SOCMotion } from './motion.js';
+import { SOCPortfolio } from './portfolio.js';
+import { SOCProfile, SOCProfileRenderer } from './profile.js';
+import { SOCProjectFilter } from './project-filter.js';
+import { SOCRandom } from './random.js';
+import { SOCResume } from './resume.js';
+import { SOCRouter } from './router.js';
+import { SOCSceneOptions, SOCSceneTuner } from './scene-options.js';
+import { SOCTelemetry } from './telemetry.js';
+import { SOCTerminal } from './terminal.js';
+import { SOCTheme } from './theme.js';
+
+// Page entry point, loaded from index.html as a module. The classes live in the modules it imports.
+
+// Console and embedding handles, for the calls the README describes (SOCEffects.destroy(), SOCResume.model(profile), ...)
+Object.assign(window, {
+    SOCPortfolio,
+    SOCEffects,
+    SOCMotion,
+    SOCRandom,
+    SOCTheme,
+    SOCI18n,
+    SOCProfile,
+    SOCResume,
+    SOCKql,
+    SOCTelemetry,
+    SOCShortcuts,
+    SOCSceneOptions,
+    SOCAnalytics
+});
+
+// Initialize SOC Portfolio System
+document.addEventListener('DOMContentLoaded', async () => {
+    // Motion preference first - every effect below consults it
+    SOCMotion.init();
+    // The seed (?seed=) before anything draws a random number
+    SOCRandom.init();
+    SOCTheme.init();
+    // The language pack before any text is rendered
+    await SOCI18n.init();
+
+    // Render the content sections before the animations bind to them
+    let profile = null;
+    try {
+        profile = await SOCProfile.load();
+        SOCProfileRenderer.render(SOCI18n.localize(profile));
+        // Registered before the portfolio's listener, so the decrypt replay sees the translated headline
+        SOCI18n.onChange(() => SOCProfileRenderer.renderCopy(SOCI18n.localize(profile)));
+    } catch (error) {
+        SOCProfileRenderer.renderError(error);
+    }
+
+    // Project filter bar; its state comes from and goes back to the query string
+    const filters = document.querySelector('[data-project-filters]');
+    let projectFilter = null;
+    if (filters && profile) {
+        projectFilter = window.socProjectFilter = new SOCProjectFilter(filters, profile);
+    }
+
+    // ATT&CK coverage matrix, also before the animations so its section reveals with the rest
+    const matrix = document.querySelector('[data-attack-matrix]');
+    if (matrix && profile) {
+        try {
+            const attack = await SOCAttackMatrix.load(matrix.dataset.attackMatrix || undefined);
+            window.socAttack = new SOCAttackMatrix(matrix, attack, profile, { filter: projectFilter });
+        } catch (error) {
+            matrix.replaceChildren(SOCI18n.bind(SOCProfileRenderer.el('div', 'profile-error'), 'attack.offline'));
+            console.error(error);
+        }
+    }
+
+    // Highlighted KQL snippets, runnable against the bundled sample tables
+    document.querySelectorAll('.project-code[data-language="kql"]').forEach(block => new SOCKqlSnippet(block));
+
+    // Start main SOC animation system
+    const socPortfolio = new SOCPortfolio(profile);
+    
+    // Add enhanced SOC effects
+    SOCEffects.init();
+    SOCEffects.createSecurityGrid();
+    SOCEffects.addCursorSOCTrail(SOCEffects.trailOptions(document.body.dataset));
+    if (socPortfolio.quality) {
+        socPortfolio.quality.onChange(tier => SOCEffects.setGridFrameRate(tier.gridFps));
+    }
+    
+    // Loading animation with SOC theme
+    gsap.to('body', {
+        opacity: 1,
+        duration: 1.5,
+        ease: "power2.out"
+    });
+    
+    // Add periodic SOC alerts
+    SOCEffects.startAlertFlicker();
+    
+    // Add SOC status indicator
+    SOCEffects.createStatusIndicator();
+
+    // Command console, toggled from the nav or with the ` key
+    const terminal = document.querySelector('.soc-terminal');
+    if (terminal) {
+        window.socTerminal = new SOCTerminal(terminal, profile, { toggle: document.querySelector('.terminal-toggle') });
+    }
+
+    // Handles for embedding and hot reload: socPortfolio.destroy() and SOCEffects.destroy()
+    window.socPortfolio = socPortfolio;
+
+    // ?debug opens the scene tuning panel
+    if (socPortfolio.sceneReady && new URLSearchParams(window.location.search).has('debug')) {
+        window.socTuner = new SOCSceneTuner(socPortfolio);
+    }
+
+    // Filtered-out cards leave the arrow-key order of the projects grid
+    if (projectFilter && socPortfolio.projectFocus) {
+        projectFilter.onChange(() => socPortfolio.projectFocus.refresh());
+    }
+
+    // Résumé downloads and the print document, from the same profile as the page
+    const resumeExport = document.querySelector('[data-resume-export]');
+    if (resumeExport && profile) {
+        window.socResume = new SOCResume(resumeExport, profile, { portfolio: socPortfolio });
+    }
+
+    // Routing starts last, so a deep link on load can point into any rendered section
+    const router = window.socRouter = new SOCRouter();
+    router.onChange(route => {
+        if (route.section === 'attack' && route.item && window.socAttack) window.socAttack.select(route.item);
+    });
+    router.start();
+
+    // j/k and number keys between sections, p to pause the animation, ? for the list
+    window.socShortcuts = new SOCShortcuts({ router, portfolio: socPortfolio });
+
+    // Consent-gated analytics; ?analytics=debug shows what it captures
+    SOCAnalytics.init();
+});
+
+// Smooth loading
+document.body.style.opacity = '0';
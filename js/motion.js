@@ -0,0 +1,113 @@
+import { SOCI18n } from './i18n.js';
+
+// Motion preference - follows prefers-reduced-motion unless the nav toggle overrides it
+export class SOCMotion {
+    static init() {
+        SOCMotion.storageKey = 'soc-motion';
+        SOCMotion.listeners = [];
+        SOCMotion.current = null;
+        SOCMotion.media = window.matchMedia('(prefers-reduced-motion: reduce)');
+        SOCMotion.media.addEventListener('change', () => SOCMotion.update());
+
+        const toggle = document.querySelector('.motion-toggle');
+        if (toggle) {
+            toggle.addEventListener('click', () => {
+                SOCMotion.set(SOCMotion.reduced ? 'full' : 'reduce');
+            });
+        }
+        SOCMotion.update();
+    }
+
+    // 'reduce' or 'full' when the visitor has chosen explicitly, otherwise null
+    static get override() {
+        try {
+            return localStorage.getItem(SOCMotion.storageKey);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    static get reduced() {
+        const override = SOCMotion.override;
+        if (override === 'reduce') return true;
+        if (override === 'full') return false;
+        return Boolean(SOCMotion.media && SOCMotion.media.matches);
+    }
+
+    // Multiplier for continuous motion such as rotations and particle drift
+    static get scale() {
+        return SOCMotion.reduced ? 0.15 : 1;
+    }
+
+    static set(preference) {
+        try {
+            if (preference) {
+                localStorage.setItem(SOCMotion.storageKey, preference);
+            } else {
+                localStorage.removeItem(SOCMotion.storageKey);
+            }
+        } catch (error) {
+            console.warn('Motion preference could not be saved:', error);
+        }
+        SOCMotion.update();
+    }
+
+    // An abort signal, when given, unsubscribes the listener
+    static onChange(listener, signal = null) {
+        SOCMotion.listeners.push(listener);
+        if (signal) {
+            signal.addEventListener('abort', () => {
+                SOCMotion.listeners = SOCMotion.listeners.filter(entry => entry !== listener);
+            });
+        }
+    }
+
+    static update() {
+        const reduced = SOCMotion.reduced;
+        if (reduced === SOCMotion.current) return;
+        SOCMotion.current = reduced;
+
+        document.documentElement.dataset.motion = reduced ? 'reduce' : 'full';
+
+        const toggle = document.querySelector('.motion-toggle');
+        if (toggle) {
+            toggle.setAttribute('aria-pressed', String(reduced));
+            SOCI18n.bind(toggle.querySelector('.motion-toggle-state'), reduced ? 'motion.reduced' : 'motion.full');
+        }
+        SOCMotion.listeners.forEach(listener => listener(reduced));
+    }
+
+    // Starting state for a tween: under reduced motion only the opacity fade survives
+    static from(vars) {
+        if (!SOCMotion.reduced) return vars;
+        return vars.opacity === undefined ? {} : { opacity: vars.opacity };
+    }
+
+    // Target state for a tween: transforms are dropped and the tween kept short
+    static to(vars) {
+        if (!SOCMotion.reduced) return vars;
+
+        const gentle = { ...vars };
+        ['x', 'y', 'scale', 'rotationX', 'rotationY', 'rotation'].forEach(prop => delete gentle[prop]);
+        gentle.duration = Math.min(vars.duration || 0.5, 0.4);
+        if (vars.delay) gentle.delay = Math.min(vars.delay, 0.3);
+        if (vars.stagger) gentle.stagger = Math.min(vars.stagger, 0.05);
+        return gentle;
+    }
+
+    // Text effects scramble an aria-hidden copy; the real text stays in a visually hidden span
+    static scrambleTarget(element, text) {
+        let visual = element.querySelector('.scramble-visual');
+        if (!visual) {
+            const label = document.createElement('span');
+            label.className = 'sr-only scramble-label';
+            visual = document.createElement('span');
+            visual.className = 'scramble-visual';
+            visual.setAttribute('aria-hidden', 'true');
+            element.replaceChildren(label, visual);
+        }
+        element.querySelector('.scramble-label').textContent = text;
+        visual.textContent = text;
+        return visual;
+    }
+}
@@ -0,0 +1,1996 @@
+import { THREE, gsap, ScrollTrigger } from './env.js';
+import { SOCAnalytics } from './analytics.js';
+import { SOCCanvasRenderer } from './canvas-renderer.js';
+import { SOCContactDelivery } from './contact.js';
+import { SOCContactGuard } from './contact-guard.js';
+import { SOCContactValidator, SOC_CONTACT_SCHEMA } from './contact-validation.js';
+import { SOCScreenDashboards } from './dashboards.js';
+import { SOCI18n } from './i18n.js';
+import { SOCRovingFocus } from './keyboard.js';
+import { SOCMotion } from './motion.js';
+import { SOCProfile } from './profile.js';
+import { SOCQualityManager } from './quality.js';
+import { SOCRandom } from './random.js';
+import { SOCSceneOptions, SOC_SCENE_OPTIONS } from './scene-options.js';
+import { SOCScenePanel } from './scene-panel.js';
+import { SOCTelemetry, SOCTelemetryHud, SOCTelemetryPlayer } from './telemetry.js';
+import { SOCTheme } from './theme.js';
+
+// Advanced SOC Cybersecurity Portfolio - 3D Animation System
+export class SOCPortfolio {
+    // options: SOC_SCENE_OPTIONS overrides; ?scene-* query parameters override them in turn
+    constructor(profile = null, options = {}) {
+        this.profile = profile;
+        this.options = SOCSceneOptions.resolve({ ...options, ...SOCSceneOptions.fromQuery(window.location.search) });
+        this.scene = null;
+        this.camera = null;
+        this.renderer = null;
+        this.socHub = null;
+        this.alertParticles = [];
+        this.dataStreams = [];
+        this.monitorScreens = [];
+        this.mouseX = 0;
+        this.mouseY = 0;
+        this.isLoaded = false;
+        this.alertLevels = ['low', 'medium', 'high', 'critical'];
+        
+        // Aborting the lifecycle signal removes every listener the portfolio registered
+        this.lifecycle = new AbortController();
+        this.pauseReasons = new Set();
+        this.frame = null;
+        this.destroyed = false;
+        // Scramble intervals, cleared when a language switch replays the text effects
+        this.textTimers = new Set();
+        // Layouts, severities and motion draw from the seeded scene stream (?seed=)
+        this.random = SOCRandom.stream('scene');
+        // ?clock=frozen advances every frame by one fixed step, so a seed and a frame number give one image
+        this.frozenClock = new URLSearchParams(window.location.search).get('clock') === 'frozen';
+        this.frameCount = 0;
+        this.sceneClock = 0;
+        this.lastFrame = performance.now();
+        
+        this.init();
+    }
+
+    init() {
+        // A scene failure must not take the rest of the page down with it
+        try {
+            this.setupThreeJS();
+            this.createSOCCommandCenter();
+            this.createSecurityAlertSystem();
+            this.createDataFlowVisualization();
+            this.initScreenDashboards();
+            this.initQualityManager();
+            this.initSceneInteraction();
+            this.telemetryReady = this.initTelemetry();
+            this.sceneReady = true;
+        } catch (error) {
+            console.error('SOC scene unavailable:', error);
+            this.sceneReady = false;
+        }
+
+        this.setupEventListeners();
+        // The context collects the tweens and ScrollTriggers so destroy() can revert them together
+        this.animations = gsap.context(() => {
+            this.initScrollAnimations();
+            this.initTextAnimations();
+            this.initSkillAnimations();
+            this.initCounters();
+        });
+        this.initFormValidation();
+
+        if (this.sceneReady) {
+            this.initAutoPause();
+            SOCTheme.onChange(() => this.applyTheme(), this.lifecycle.signal);
+            // A frozen clock waits for the telemetry, so frame numbers count from the same state on every load
+            if (this.frozenClock) {
+                this.pause('telemetry');
+                this.telemetryReady.then(() => this.resume('telemetry'));
+            }
+            if (!this.paused) this.animate();
+        }
+    }
+
+    get paused() {
+        return this.pauseReasons.size > 0;
+    }
+
+    // Rendering stops while any reason holds: 'manual' for pause()/resume(), plus the
+    // automatic 'offscreen' and 'hidden' reasons
+    pause(reason = 'manual') {
+        this.pauseReasons.add(reason);
+        if (this.frame !== null) {
+            cancelAnimationFrame(this.frame);
+            this.frame = null;
+        }
+        if (this.telemetryHud) this.telemetryHud.pause();
+    }
+
+    resume(reason = 'manual') {
+        this.pauseReasons.delete(reason);
+        if (this.destroyed || !this.sceneReady || this.paused || this.frame !== null) return;
+
+        // Pick up where the scene left off instead of fast-forwarding through the pause
+        this.lastFrame = performance.now();
+        this.quality.reset();
+        if (this.telemetryHud) this.telemetryHud.resume();
+        this.animate();
+    }
+
+    initAutoPause() {
+        const signal = this.lifecycle.signal;
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this.pause('hidden');
+            } else {
+                this.resume('hidden');
+            }
+        }, { signal });
+        if (document.hidden) this.pause('hidden');
+
+        if ('IntersectionObserver' in window) {
+            this.heroObserver = new IntersectionObserver(([entry]) => {
+                if (entry.isIntersecting) {
+                    this.resume('offscreen');
+                } else {
+                    this.pause('offscreen');
+                }
+            });
+            this.heroObserver.observe(document.getElementById('hero'));
+        }
+    }
+
+    // Stops the loop, removes listeners, reverts animations and releases GPU resources,
+    // leaving the page ready for a fresh SOCPortfolio
+    destroy() {
+        if (this.destroyed) return;
+        this.pause('destroyed');
+        this.destroyed = true;
+        this.lifecycle.abort();
+
+        if (this.heroObserver) this.heroObserver.disconnect();
+        if (this.animations) this.animations.revert();
+        if (this.scenePanel) this.scenePanel.close(false);
+        if (this.sceneTooltip) this.sceneTooltip.hidden = true;
+        if (this.telemetryHud) this.telemetryHud.destroy();
+        if (this.contactDelivery) this.contactDelivery.outbox.destroy();
+        document.getElementById('hero').classList.remove('scene-hover');
+
+        if (this.scene) {
+            this.disposeObject(this.scene);
+            this.scene.clear();
+        }
+        if (this.renderer) this.renderer.dispose();
+
+        if (window.socQuality === this.quality) delete window.socQuality;
+        if (window.socTelemetry === this.telemetry) delete window.socTelemetry;
+    }
+
+    static supportsWebGL() {
+        try {
+            const probe = document.createElement('canvas');
+            return Boolean(window.WebGLRenderingContext &&
+                (probe.getContext('webgl') || probe.getContext('experimental-webgl')));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    createRenderer(canvas) {
+        // ?renderer=canvas forces the fallback for testing
+        const forced = new URLSearchParams(window.location.search).get('renderer');
+
+        if (forced !== 'canvas' && SOCPortfolio.supportsWebGL()) {
+            try {
+                const renderer = new THREE.WebGLRenderer({
+                    canvas: canvas,
+                    alpha: true,
+                    antialias: true,
+                    powerPreference: "high-performance"
+                });
+                document.documentElement.dataset.socRenderer = 'webgl';
+                return renderer;
+            } catch (error) {
+                console.warn('WebGL renderer failed, using Canvas2D fallback:', error);
+
+                // The failed attempt may have claimed the canvas for WebGL, so start on a fresh one
+                const fresh = canvas.cloneNode(false);
+                canvas.replaceWith(fresh);
+                canvas = fresh;
+            }
+        }
+
+        document.documentElement.dataset.socRenderer = 'canvas';
+        return new SOCCanvasRenderer({ canvas: canvas });
+    }
+
+    setupThreeJS() {
+        const canvas = document.getElementById('soc-canvas');
+        const container = canvas.parentElement;
+        
+        // Scene setup with SOC environment
+        this.scene = new THREE.Scene();
+        this.scene.fog = new THREE.Fog(this.sceneColor('background'), this.options.fogNear, this.options.fogFar);
+
+        // Camera setup for SOC perspective
+        this.camera = new THREE.PerspectiveCamera(
+            this.options.cameraFov, 
+            container.offsetWidth / container.offsetHeight, 
+            0.1, 
+            1000
+        );
+        this.camera.position.set(0, this.options.cameraHeight, this.options.cameraDistance);
+
+        // Renderer setup with enhanced settings, falling back to Canvas2D without WebGL
+        this.renderer = this.createRenderer(canvas);
+        this.renderer.setSize(container.offsetWidth, container.offsetHeight);
+        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+        this.renderer.setClearColor(0x000000, 0);
+        this.renderer.shadowMap.enabled = true;
+        this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+        
+        // Handle resize
+        window.addEventListener('resize', () => this.onWindowResize(), { signal: this.lifecycle.signal });
+    }
+
+    initQualityManager() {
+        // A frozen clock pins the top tier unless one is asked for, so frame rate can't change the picture
+        const params = new URLSearchParams(window.location.search);
+        const tier = params.get('quality') || (this.frozenClock ? 'high' : null);
+        this.quality = new SOCQualityManager({ tier: tier, verbose: params.has('debug') });
+        document.documentElement.dataset.socQuality = this.quality.tier.name;
+        this.quality.onChange(settings => this.applyQuality(settings));
+
+        // Debug handle: socQuality.describe(), socQuality.setTier('low', true)
+        window.socQuality = this.quality;
+    }
+
+    applyQuality(settings) {
+        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, settings.pixelRatio));
+        if (this.dashboards) {
+            this.dashboards.setFrameRate(settings.screenFps);
+        }
+
+        // Tiers are sized for the default scene, so they scale with the configured counts.
+        // Particle buffers stay allocated at full size; the draw range limits what is rendered.
+        const full = this.quality.tiers[this.quality.tiers.length - 1];
+        this.activeParticles = Math.min(Math.round(this.alertData.length * settings.particles / full.particles), this.alertData.length);
+        this.alertParticleSystem.geometry.setDrawRange(0, this.activeParticles);
+
+        const streams = Math.round(this.dataStreams.length * settings.streams / full.streams);
+        this.dataStreams.forEach((stream, index) => {
+            stream.visible = index < streams;
+        });
+
+        if (this.renderer.shadowMap.enabled !== settings.shadows) {
+            this.renderer.shadowMap.enabled = settings.shadows;
+            // Materials compile shadow support in, so they need recompiling after a toggle
+            this.scene.traverse(object => {
+                if (object.material) object.material.needsUpdate = true;
+            });
+        }
+    }
+
+    createSOCCommandCenter() {
+        // Central SOC Hub - Main monitoring station
+        const hubGeometry = new THREE.CylinderGeometry(8, 10, 2, 12);
+        const hubMaterial = new THREE.MeshLambertMaterial({
+            color: this.sceneColor('surface'),
+            transparent: true,
+            opacity: 0.8,
+            wireframe: false
+        });
+        
+        this.socHub = new THREE.Mesh(hubGeometry, hubMaterial);
+        this.socHub.position.y = -5;
+        this.scene.add(this.socHub);
+
+        // Holographic SOC ring
+        const ringGeometry = new THREE.RingGeometry(12, 15, 16);
+        const ringMaterial = new THREE.MeshBasicMaterial({
+            color: this.sceneColor('accent'),
+            transparent: true,
+            opacity: 0.4,
+            side: THREE.DoubleSide
+        });
+        
+        this.holographicRing = new THREE.Mesh(ringGeometry, ringMaterial);
+        this.holographicRing.rotation.x = -Math.PI / 2;
+        this.holographicRing.position.y = -3;
+        this.scene.add(this.holographicRing);
+
+        // Create monitoring screens around the hub
+        this.createMonitoringScreens();
+        
+        // Create incident response nodes
+        this.createIncidentNodes();
+        
+        // Add lighting for SOC environment
+        this.setupSOCLighting();
+    }
+
+    createMonitoringScreens() {
+        this.monitorScreens = [];
+        const screenCount = this.options.screenCount;
+        
+        for (let i = 0; i < screenCount; i++) {
+            const screenGeometry = new THREE.PlaneGeometry(3, 2);
+            const screenMaterial = new THREE.MeshBasicMaterial({
+                color: this.sceneColor('accent'),
+                transparent: true,
+                opacity: 0.7
+            });
+            
+            const screen = new THREE.Mesh(screenGeometry, screenMaterial);
+            const angle = (i / screenCount) * Math.PI * 2;
+            const radius = this.options.screenRadius;
+            
+            screen.position.x = Math.cos(angle) * radius;
+            screen.position.z = Math.sin(angle) * radius;
+            screen.position.y = 2;
+            screen.lookAt(0, 2, 0);
+            
+            // Add screen frame
+            const frameGeometry = new THREE.PlaneGeometry(3.2, 2.2);
+            const frameMaterial = new THREE.MeshBasicMaterial({
+                color: this.sceneColor('frame'),
+                transparent: true,
+                opacity: 0.9
+            });
+            const frame = new THREE.Mesh(frameGeometry, frameMaterial);
+            frame.position.z = -0.1;
+            screen.add(frame);
+            
+            screen.userData = {
+                angle: angle,
+                alertStatus: this.random.pick(this.alertLevels),
+                lastUpdate: this.sceneClock
+            };
+            
+            this.monitorScreens.push(screen);
+            this.scene.add(screen);
+        }
+    }
+
+    // Each screen shows a live dashboard; screens keep their flat status colour if that fails
+    initScreenDashboards() {
+        try {
+            this.dashboards = new SOCScreenDashboards(this.monitorScreens, {
+                profile: this.profile,
+                anisotropy: this.renderer.capabilities ? this.renderer.capabilities.getMaxAnisotropy() : 1,
+                alertColor: level => this.getAlertColor(level)
+            });
+        } catch (error) {
+            console.warn('Screen dashboards unavailable:', error);
+            this.dashboards = null;
+            return;
+        }
+
+        // Until telemetry replaces them, the severity panel shows the simulated particle mix
+        this.dashboards.setSeverityMix(this.simulatedMix());
+    }
+
+    simulatedMix() {
+        const mix = [0, 0, 0, 0];
+        this.alertData.forEach(particle => mix[particle.alertType]++);
+        return mix;
+    }
+
+    // Dashboards show the status in their header; plain screens are tinted instead
+    paintScreen(screen) {
+        if (!screen.userData.dashboard) {
+            screen.material.color.setHex(this.getAlertColor(screen.userData.alertStatus));
+        }
+    }
+
+    createIncidentNodes() {
+        this.incidentNodes = [];
+        const nodeCount = this.options.nodeCount;
+        
+        for (let i = 0; i < nodeCount; i++) {
+            const nodeGeometry = new THREE.OctahedronGeometry(0.8);
+            const nodeMaterial = new THREE.MeshBasicMaterial({
+                color: this.getAlertColor('medium'),
+                transparent: true,
+                opacity: 0.8
+            });
+            
+            const node = new THREE.Mesh(nodeGeometry, nodeMaterial);
+            const angle = (i / nodeCount) * Math.PI * 2;
+            const radius = this.options.nodeRadius;
+            
+            node.position.x = Math.cos(angle) * radius;
+            node.position.z = Math.sin(angle) * radius;
+            node.position.y = Math.sin(this.sceneClock * 0.001 + i) * 3;
+            
+            node.userData = {
+                angle: angle,
+                originalY: node.position.y,
+                alertLevel: this.random.pick(this.alertLevels),
+                pulsePhase: this.random.next() * Math.PI * 2
+            };
+            
+            this.incidentNodes.push(node);
+            this.scene.add(node);
+        }
+    }
+
+    createSecurityAlertSystem() {
+        // Create particle system for security alerts
+        const alertCount = this.options.alertCount;
+        const positions = new Float32Array(alertCount * 3);
+        const colors = new Float32Array(alertCount * 3);
+        const sizes = new Float32Array(alertCount);
+        const alertTypes = new Float32Array(alertCount);
+        
+        this.alertData = [];
+        
+        for (let i = 0; i < alertCount; i++) {
+            const i3 = i * 3;
+            
+            // Position alerts in SOC space
+            const radius = this.random.next() * 40 + 10;
+            const angle = this.random.next() * Math.PI * 2;
+            const height = (this.random.next() - 0.5) * 20;
+            
+            positions[i3] = Math.cos(angle) * radius;
+            positions[i3 + 1] = height;
+            positions[i3 + 2] = Math.sin(angle) * radius;
+            
+            // Alert severity colors
+            const alertType = this.random.int(4);
+            alertTypes[i] = alertType;
+            
+            const alertColor = this.getAlertColorRGB(alertType);
+            colors[i3] = alertColor.r;
+            colors[i3 + 1] = alertColor.g;
+            colors[i3 + 2] = alertColor.b;
+            
+            sizes[i] = this.random.next() * 4 + 2;
+            
+            this.alertData.push({
+                velocity: new THREE.Vector3(
+                    (this.random.next() - 0.5) * 0.05,
+                    (this.random.next() - 0.5) * 0.05,
+                    (this.random.next() - 0.5) * 0.05
+                ),
+                originalSize: sizes[i],
+                alertType: alertType,
+                phase: this.random.next() * Math.PI * 2,
+                lifetime: this.random.next() * 1000 + 500
+            });
+        }
+        
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        geometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
+        geometry.setAttribute('alertType', new THREE.BufferAttribute(alertTypes, 1));
+        
+        const material = new THREE.ShaderMaterial({
+            uniforms: {
+                time: { value: 0 },
+                mousePos: { value: new THREE.Vector2(0, 0) },
+                // The theme's severity ramp, low to critical
+                severityColors: { value: [0, 1, 2, 3].map(level => new THREE.Color(this.getAlertColor(this.alertLevels[level]))) }
+            },
+            vertexShader: `
+                attribute float size;
+                attribute float alertType;
+                varying vec3 vColor;
+                varying float vAlertType;
+                uniform float time;
+                uniform vec2 mousePos;
+                uniform vec3 severityColors[4];
+                
+                void main() {
+                    vColor = severityColors[int(alertType + 0.5)];
+                    vAlertType = alertType;
+                    vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+                    
+                    // Mouse interaction for SOC monitoring
+                    float mouseDistance = distance(position.xy, mousePos * 30.0);
+                    float mouseEffect = smoothstep(15.0, 0.0, mouseDistance);
+                    
+                    // Alert pulsing based on severity
+                    float pulse = sin(time * (2.0 + alertType)) * 0.3 + 0.7;
+                    
+                    gl_PointSize = size * pulse * (1.0 + mouseEffect) * (200.0 / -mvPosition.z);
+                    gl_Position = projectionMatrix * mvPosition;
+                }
+            `,
+            fragmentShader: `
+                varying vec3 vColor;
+                varying float vAlertType;
+                
+                void main() {
+                    float r = distance(gl_PointCoord, vec2(0.5, 0.5));
+                    if (r > 0.5) discard;
+                    
+                    // Different patterns for different alert types
+                    float alpha = 1.0;
+                    if (vAlertType >= 3.0) {
+                        // Critical alerts - pulsing
+                        alpha = 0.8 + sin(r * 20.0) * 0.2;
+                    } else if (vAlertType >= 2.0) {
+                        // High alerts - ring pattern
+                        alpha = smoothstep(0.3, 0.35, r) * smoothstep(0.5, 0.45, r);
+                    } else {
+                        // Medium/Low alerts - solid
+                        alpha = 1.0 - smoothstep(0.3, 0.5, r);
+                    }
+                    
+                    gl_FragColor = vec4(vColor, alpha * 0.8);
+                }
+            `,
+            transparent: true,
+            blending: THREE.AdditiveBlending
+        });
+        
+        this.alertParticleSystem = new THREE.Points(geometry, material);
+        this.scene.add(this.alertParticleSystem);
+    }
+
+    createDataFlowVisualization() {
+        this.dataStreams = [];
+        const streamCount = this.options.streamCount;
+        
+        for (let i = 0; i < streamCount; i++) {
+            const points = [];
+            const startRadius = 15 + this.random.next() * 20;
+            const startAngle = this.random.next() * Math.PI * 2;
+            
+            const startPoint = new THREE.Vector3(
+                Math.cos(startAngle) * startRadius,
+                (this.random.next() - 0.5) * 10,
+                Math.sin(startAngle) * startRadius
+            );
+            
+            // Data flows toward SOC hub
+            const endPoint = new THREE.Vector3(0, 0, 0);
+            
+            // Create flowing path with curves
+            for (let j = 0; j <= 20; j++) {
+                const t = j / 20;
+                const point = new THREE.Vector3().lerpVectors(startPoint, endPoint, t);
+                
+                // Add spiral effect for data flow
+                const spiral = t * Math.PI * 4;
+                point.x += Math.sin(spiral + startAngle) * (1 - t) * 2;
+                point.y += Math.cos(spiral + startAngle) * (1 - t) * 2;
+                
+                points.push(point);
+            }
+            
+            const geometry = new THREE.BufferGeometry().setFromPoints(points);
+            const material = new THREE.LineBasicMaterial({
+                color: this.sceneColor(SOCPortfolio.streamColors[i % 3]),
+                transparent: true,
+                opacity: 0.4
+            });
+            
+            const line = new THREE.Line(geometry, material);
+            line.userData = { 
+                speed: this.random.next() * 0.02 + 0.01,
+                phase: this.random.next() * Math.PI * 2,
+                flowDirection: 1
+            };
+            
+            this.dataStreams.push(line);
+            this.scene.add(line);
+        }
+    }
+
+    initSceneInteraction() {
+        this.interactiveMeshes = [];
+        this.hoveredMesh = null;
+        this.selectedMesh = null;
+        if (!this.profile) return;
+
+        this.assignSceneTargets();
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();
+        this.pointerClient = { x: 0, y: 0 };
+        this.pointerActive = false;
+        this.sceneTooltip = document.querySelector('.scene-tooltip');
+        const signal = this.lifecycle.signal;
+        this.scenePanel = new SOCScenePanel(document.querySelector('.scene-panel'), {
+            onNavigate: (target) => SOCPortfolio.focusContent(target.selector),
+            onClose: () => { this.selectedMesh = null; },
+            signal: signal
+        });
+        SOCI18n.onChange(() => this.relabelSceneTargets(), signal);
+
+        const hero = document.getElementById('hero');
+        hero.addEventListener('pointermove', (event) => this.updatePointer(event), { signal });
+        hero.addEventListener('pointerleave', () => {
+            this.pointerActive = false;
+        }, { signal });
+        hero.addEventListener('click', (event) => {
+            if (event.target.closest('a, button, input, .scene-panel')) return;
+
+            this.updatePointer(event);
+            const mesh = this.pickSceneMesh();
+            if (mesh) {
+                this.selectedMesh = mesh;
+                this.scenePanel.open(mesh.userData.target);
+            }
+        }, { signal });
+
+        // Keyboard equivalent of hovering and clicking: the focused canvas steps through the items
+        this.keyboardMesh = null;
+        this.keyboardPoint = new THREE.Vector3();
+        this.sceneStatus = document.querySelector('.scene-status');
+        const canvas = this.renderer.domElement;
+        canvas.setAttribute('tabindex', '0');
+        canvas.setAttribute('role', 'group');
+        SOCI18n.bind(canvas, 'scene.label', null, 'aria-label');
+        canvas.addEventListener('keydown', (event) => this.onSceneKey(event), { signal });
+        canvas.addEventListener('blur', () => this.setKeyboardMesh(null), { signal });
+    }
+
+    // Arrow keys, Home and End pick an item, Enter or Space opens it and Escape lets go.
+    // Meshes that share an item are visited once.
+    onSceneKey(event) {
+        const meshes = this.interactiveMeshes.filter((mesh, index, all) =>
+            all.findIndex(other => other.userData.target === mesh.userData.target) === index);
+        if (!meshes.length) return;
+
+        const index = meshes.indexOf(this.keyboardMesh);
+        let next;
+        switch (event.key) {
+            case 'ArrowRight':
+            case 'ArrowDown':
+                next = meshes[(index + 1) % meshes.length];
+                break;
+            case 'ArrowLeft':
+            case 'ArrowUp':
+                next = meshes[index <= 0 ? meshes.length - 1 : index - 1];
+                break;
+            case 'Home':
+                next = meshes[0];
+                break;
+            case 'End':
+                next = meshes[meshes.length - 1];
+                break;
+            case 'Enter':
+            case ' ':
+                if (!this.keyboardMesh) return;
+                event.preventDefault();
+                this.selectedMesh = this.keyboardMesh;
+                this.scenePanel.open(this.keyboardMesh.userData.target);
+                return;
+            case 'Escape':
+                this.setKeyboardMesh(null);
+                return;
+            default:
+                return;
+        }
+        event.preventDefault();
+        this.setKeyboardMesh(next, meshes.indexOf(next) + 1, meshes.length);
+    }
+
+    setKeyboardMesh(mesh, position = 0, total = 0) {
+        this.keyboardMesh = mesh;
+        if (this.sceneStatus) {
+            this.sceneStatus.textContent = mesh
+                ? SOCI18n.t('scene.item', { title: mesh.userData.target.title, position, total })
+                : '';
+        }
+    }
+
+    // Viewport position of a mesh, for the tooltip of a keyboard-picked item
+    screenPosition(mesh) {
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        const point = mesh.getWorldPosition(this.keyboardPoint).project(this.camera);
+        return {
+            x: rect.left + (point.x + 1) / 2 * rect.width,
+            y: rect.top + (1 - point.y) / 2 * rect.height
+        };
+    }
+
+    // Incident nodes stand for projects, MITRE techniques and roles; screens for roles and skill domains
+    assignSceneTargets() {
+        const entries = SOCProfile.entries(SOCI18n.localize(this.profile));
+        const assign = (meshes, targets) => {
+            if (!targets.length) return;
+            meshes.forEach((mesh, index) => {
+                const target = targets[index % targets.length];
+                mesh.userData.target = target;
+                this.interactiveMeshes.push(mesh);
+            });
+        };
+
+        assign(this.incidentNodes, [...entries.projects, ...entries.techniques, ...entries.roles]);
+        assign(this.monitorScreens, [...entries.roles, ...entries.skills]);
+
+        // Node colours follow the severity of the item they represent
+        this.incidentNodes.forEach(node => {
+            if (node.userData.target) {
+                node.userData.alertLevel = node.userData.target.severity;
+            }
+        });
+    }
+
+    // After a language switch every item gets its translated descriptor, and an open panel follows
+    relabelSceneTargets() {
+        const entries = SOCProfile.entries(SOCI18n.localize(this.profile));
+        const byKey = new Map(Object.values(entries).flat().map(entry => [`${entry.kind}:${entry.id}`, entry]));
+        const relabel = target => (target && byKey.get(`${target.kind}:${target.id}`)) || target;
+        this.interactiveMeshes.forEach(mesh => {
+            mesh.userData.target = relabel(mesh.userData.target);
+        });
+        if (this.scenePanel.isOpen) this.scenePanel.render(relabel(this.scenePanel.target));
+    }
+
+    updatePointer(event) {
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        this.pointer.set(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.pointerClient.x = event.clientX;
+        this.pointerClient.y = event.clientY;
+        this.pointerActive = true;
+    }
+
+    pickSceneMesh() {
+        if (!this.pointerActive || !this.interactiveMeshes.length) return null;
+
+        this.raycaster.setFromCamera(this.pointer, this.camera);
+        const hits = this.raycaster.intersectObjects(this.interactiveMeshes, false);
+        return hits.length ? hits[0].object : null;
+    }
+
+    // Re-picked every frame because the meshes orbit under a stationary pointer
+    updateSceneHover() {
+        if (!this.raycaster) return;
+
+        const mesh = this.keyboardMesh || this.pickSceneMesh();
+        if (mesh !== this.hoveredMesh) {
+            this.hoveredMesh = mesh;
+            document.getElementById('hero').classList.toggle('scene-hover', Boolean(mesh));
+            if (this.sceneTooltip) {
+                this.sceneTooltip.hidden = !mesh;
+                this.sceneTooltip.textContent = mesh ? mesh.userData.target.title : '';
+            }
+        }
+
+        if (mesh && this.sceneTooltip) {
+            const anchor = mesh === this.keyboardMesh ? this.screenPosition(mesh) : this.pointerClient;
+            this.sceneTooltip.style.transform =
+                `translate(${anchor.x + 14}px, ${anchor.y + 14}px)`;
+        }
+    }
+
+    isSceneHighlighted(mesh) {
+        return mesh === this.hoveredMesh || mesh === this.selectedMesh;
+    }
+
+    // Scrolls a content element into view and flashes it so the visitor can find it
+    static focusContent(selector) {
+        const element = document.querySelector(selector);
+        if (!element) return;
+
+        element.scrollIntoView({ behavior: SOCMotion.reduced ? 'auto' : 'smooth', block: 'center' });
+        element.classList.remove('content-highlight');
+        void element.offsetWidth;
+        element.classList.add('content-highlight');
+        setTimeout(() => element.classList.remove('content-highlight'), 2500);
+    }
+
+    // Replays a recorded alert log through the particle system; without one the alerts stay simulated
+    async initTelemetry() {
+        const canvas = this.renderer.domElement;
+        const params = new URLSearchParams(window.location.search);
+        const url = params.get('telemetry') || canvas.dataset.telemetry;
+        if (!url || url === 'off') return;
+
+        try {
+            const events = await SOCTelemetry.load(url);
+            this.telemetry = new SOCTelemetryPlayer(events, {
+                speed: parseFloat(params.get('telemetry-speed')) || parseFloat(canvas.dataset.telemetrySpeed) || 600,
+                loop: canvas.dataset.telemetryLoop !== 'false'
+            });
+        } catch (error) {
+            console.warn('Alert telemetry unavailable, keeping simulated alerts:', error);
+            return;
+        }
+        if (this.destroyed) return;
+
+        this.retireParticles();
+        this.severityMix = [0, 0, 0, 0];
+        this.lastMixUpdate = 0;
+
+        const hud = document.querySelector('.telemetry-hud');
+        if (hud) {
+            this.telemetryHud = new SOCTelemetryHud(hud, this.telemetry, this.lifecycle.signal);
+            if (this.paused) this.telemetryHud.pause();
+        }
+
+        // Debug handle: socTelemetry.setSpeed(60), socTelemetry.seek(0)
+        window.socTelemetry = this.telemetry;
+    }
+
+    // Every slot starts retired and is brought to life by replayed events
+    retireParticles() {
+        const sizes = this.alertParticleSystem.geometry.attributes.size;
+        this.alertData.forEach((particle, i) => {
+            particle.active = false;
+            sizes.array[i] = 0;
+        });
+        sizes.needsUpdate = true;
+        this.nextParticle = 0;
+    }
+
+    // Each event bursts a few particles from its source's bearing, more for higher severities
+    spawnAlert(event, now) {
+        const burst = [2, 3, 5, 8][event.severity];
+        const positions = this.alertParticleSystem.geometry.attributes.position;
+        const colors = this.alertParticleSystem.geometry.attributes.color;
+        const sizes = this.alertParticleSystem.geometry.attributes.size;
+        const types = this.alertParticleSystem.geometry.attributes.alertType;
+        const bearing = SOCTelemetry.bearing(event.source);
+        const color = this.getAlertColorRGB(event.severity);
+        if (this.dashboards) {
+            this.dashboards.record(event);
+        }
+        if (!this.activeParticles) return;
+
+        for (let k = 0; k < burst; k++) {
+            const i = this.claimParticle();
+            const i3 = i * 3;
+            const particle = this.alertData[i];
+            const angle = bearing + (this.random.next() - 0.5) * 0.5;
+            const radius = 40 + this.random.next() * 8;
+
+            positions.array[i3] = Math.cos(angle) * radius;
+            positions.array[i3 + 1] = (this.random.next() - 0.5) * 16;
+            positions.array[i3 + 2] = Math.sin(angle) * radius;
+            colors.array[i3] = color.r;
+            colors.array[i3 + 1] = color.g;
+            colors.array[i3 + 2] = color.b;
+            types.array[i] = event.severity;
+
+            // Drift in towards the hub over the particle's lifetime
+            const speed = 0.02 + this.random.next() * 0.02;
+            particle.velocity.set(-Math.cos(angle) * speed, -positions.array[i3 + 1] * 0.001, -Math.sin(angle) * speed);
+            particle.originalSize = 2 + event.severity + this.random.next() * 2;
+            particle.alertType = event.severity;
+            particle.active = true;
+            particle.born = now;
+            particle.life = 10000 + this.random.next() * 8000;
+            sizes.array[i] = 0;
+        }
+
+        colors.needsUpdate = true;
+        types.needsUpdate = true;
+    }
+
+    // Next free slot within the active quality budget, or the oldest live particle when all are busy
+    claimParticle() {
+        const count = this.activeParticles;
+        let oldest = 0;
+        for (let n = 0; n < count; n++) {
+            const i = (this.nextParticle + n) % count;
+            if (!this.alertData[i].active) {
+                this.nextParticle = (i + 1) % count;
+                return i;
+            }
+            if (this.alertData[i].born < this.alertData[oldest].born) oldest = i;
+        }
+        return oldest;
+    }
+
+    // Shares of live particles per severity drive the hub, ring and screen colours
+    applySeverityMix(now) {
+        const mix = [0, 0, 0, 0];
+        for (let i = 0; i < this.activeParticles; i++) {
+            if (this.alertData[i].active) mix[this.alertData[i].alertType]++;
+        }
+        this.severityMix = mix;
+        if (this.dashboards) {
+            this.dashboards.setSeverityMix(mix);
+        }
+        const total = mix.reduce((sum, count) => sum + count, 0);
+
+        // The hub warms up as critical and high alerts take over the queue
+        const pressure = total ? (mix[3] + mix[2] * 0.5) / total : 0;
+        this.socHub.material.color.setHex(this.sceneColor('surface')).lerp(new THREE.Color(this.getAlertColor('critical')), pressure * 0.6);
+
+        // The ring takes the dominant severity, ties going to the more severe
+        const dominant = total ? mix.lastIndexOf(Math.max(...mix)) : -1;
+        this.holographicRing.material.color.setHex(this.getAlertColor(dominant < 0 ? null : this.alertLevels[dominant]));
+
+        // Screens are handed out in proportion to the mix (largest remainder), most severe first
+        if (now - this.lastMixUpdate < 1000) return;
+        this.lastMixUpdate = now;
+        const screens = this.monitorScreens.length;
+        const quotas = mix.map(count => (total ? (count / total) * screens : 0));
+        const allocation = quotas.map(Math.floor);
+        let remaining = total ? screens - allocation.reduce((sum, n) => sum + n, 0) : 0;
+        [3, 2, 1, 0]
+            .sort((a, b) => (quotas[b] - allocation[b]) - (quotas[a] - allocation[a]))
+            .forEach(level => {
+                if (remaining > 0 && quotas[level] > allocation[level]) {
+                    allocation[level]++;
+                    remaining--;
+                }
+            });
+
+        let screen = 0;
+        [3, 2, 1, 0].forEach(level => {
+            for (let n = 0; n < allocation[level]; n++, screen++) {
+                this.monitorScreens[screen].userData.alertStatus = this.alertLevels[level];
+            }
+        });
+        // An empty queue leaves the remaining screens at rest
+        for (; screen < screens; screen++) {
+            this.monitorScreens[screen].userData.alertStatus = 'low';
+        }
+        this.monitorScreens.forEach(monitor => this.paintScreen(monitor));
+    }
+
+    setupSOCLighting() {
+        // Ambient lighting for SOC environment
+        const ambientLight = new THREE.AmbientLight(0x404040, this.options.ambientIntensity);
+        this.scene.add(ambientLight);
+
+        // Main SOC spotlight
+        const spotLight = new THREE.SpotLight(this.sceneColor('accent'), this.options.spotIntensity, 100, Math.PI / 6, 0.1);
+        spotLight.position.set(0, 20, 0);
+        spotLight.target.position.set(0, 0, 0);
+        spotLight.castShadow = true;
+        this.scene.add(spotLight);
+        this.scene.add(spotLight.target);
+
+        // Alert indicator lights
+        const alertLight1 = new THREE.PointLight(this.sceneColor('critical'), this.options.criticalLightIntensity, 30);
+        alertLight1.position.set(15, 5, 15);
+        this.scene.add(alertLight1);
+
+        const alertLight2 = new THREE.PointLight(this.sceneColor('highlight'), this.options.highlightLightIntensity, 25);
+        alertLight2.position.set(-15, 5, -15);
+        this.scene.add(alertLight2);
+
+        // Kept for recolouring when the theme changes, and for the intensity options
+        this.themedLights = [[spotLight, 'accent'], [alertLight1, 'critical'], [alertLight2, 'highlight']];
+        this.tunedLights = [
+            [ambientLight, 'ambientIntensity'],
+            [spotLight, 'spotIntensity'],
+            [alertLight1, 'criticalLightIntensity'],
+            [alertLight2, 'highlightLightIntensity']
+        ];
+    }
+
+    // A palette colour for the scene: the colour option when one is set, otherwise the active theme's
+    sceneColor(name) {
+        const override = this.options[`${name}Color`];
+        return override ? parseInt(override.slice(1), 16) : SOCTheme.hex(name);
+    }
+
+    // Severity colours come from the active theme; unknown levels get its accent
+    getAlertColor(level) {
+        return this.sceneColor(SOCTheme.severity(level));
+    }
+
+    getAlertColorRGB(alertType) {
+        const color = new THREE.Color(this.getAlertColor(alertType));
+        return { r: color.r, g: color.g, b: color.b };
+    }
+
+    // Recolours the live scene: lights, fog, streams, frames, the particle uniforms and the dashboards
+    applyTheme() {
+        this.scene.fog.color.setHex(this.sceneColor('background'));
+        this.themedLights.forEach(([light, color]) => light.color.setHex(this.sceneColor(color)));
+        this.dataStreams.forEach((stream, i) => stream.material.color.setHex(this.sceneColor(SOCPortfolio.streamColors[i % 3])));
+        this.monitorScreens.forEach(screen => {
+            screen.children.forEach(frame => frame.material.color.setHex(this.sceneColor('frame')));
+            this.paintScreen(screen);
+        });
+
+        const particles = this.alertParticleSystem;
+        particles.material.uniforms.severityColors.value.forEach((color, level) => color.setHex(this.getAlertColor(this.alertLevels[level])));
+        // The colour buffer is what the Canvas2D fallback draws from
+        const colors = particles.geometry.attributes.color;
+        this.alertData.forEach((particle, i) => {
+            const color = this.getAlertColorRGB(particle.alertType);
+            colors.setXYZ(i, color.r, color.g, color.b);
+        });
+        colors.needsUpdate = true;
+
+        // Without telemetry the hub and ring keep their resting colours; with it the next mix update repaints them
+        this.socHub.material.color.setHex(this.sceneColor('surface'));
+        this.holographicRing.material.color.setHex(this.sceneColor('accent'));
+        if (this.dashboards) this.dashboards.invalidate();
+    }
+
+    // Live changes from the tuning panel or the console, e.g. socPortfolio.setOptions({ nodeCount: 24 }).
+    // Counts rebuild their part of the scene; speeds, radii and camera drift are read every frame.
+    setOptions(changes) {
+        const previous = this.options;
+        this.options = SOCSceneOptions.resolve(changes, previous);
+        if (!this.sceneReady) return this.options;
+
+        const changed = Object.keys(this.options).filter(name => this.options[name] !== previous[name]);
+        new Set(changed.map(name => SOC_SCENE_OPTIONS[name].rebuild).filter(Boolean)).forEach(part => this.rebuild(part));
+
+        this.scene.fog.near = this.options.fogNear;
+        this.scene.fog.far = this.options.fogFar;
+        this.camera.fov = this.options.cameraFov;
+        this.camera.position.z = this.options.cameraDistance;
+        this.camera.updateProjectionMatrix();
+        this.tunedLights.forEach(([light, name]) => {
+            light.intensity = this.options[name];
+        });
+        if (changed.some(name => SOC_SCENE_OPTIONS[name].type === 'color')) this.applyTheme();
+        return this.options;
+    }
+
+    // Replaces one group of meshes, keeping the scene targets, quality budget and telemetry in step
+    rebuild(part) {
+        const groups = {
+            screens: () => this.monitorScreens,
+            nodes: () => this.incidentNodes,
+            particles: () => [this.alertParticleSystem],
+            streams: () => this.dataStreams
+        };
+        groups[part]().forEach(object => this.disposeObject(object));
+
+        if (part === 'screens') {
+            this.createMonitoringScreens();
+            this.initScreenDashboards();
+        } else if (part === 'nodes') {
+            this.createIncidentNodes();
+        } else if (part === 'particles') {
+            this.createSecurityAlertSystem();
+            if (this.telemetry) {
+                this.retireParticles();
+            } else if (this.dashboards) {
+                this.dashboards.setSeverityMix(this.simulatedMix());
+            }
+        } else {
+            this.createDataFlowVisualization();
+        }
+
+        if ((part === 'screens' || part === 'nodes') && this.raycaster) {
+            this.interactiveMeshes = [];
+            this.selectedMesh = null;
+            this.setKeyboardMesh(null);
+            this.assignSceneTargets();
+        }
+        this.applyQuality(this.quality.tier);
+    }
+
+    // Detaches an object and releases its geometries, materials and textures
+    disposeObject(root) {
+        root.traverse(object => {
+            if (object.geometry) object.geometry.dispose();
+            [].concat(object.material || []).forEach(material => {
+                if (material.map) material.map.dispose();
+                material.dispose();
+            });
+        });
+        if (root.parent) root.parent.remove(root);
+    }
+
+    setupEventListeners() {
+        const signal = this.lifecycle.signal;
+
+        // Enhanced mouse tracking for SOC interaction
+        document.addEventListener('mousemove', (event) => {
+            this.mouseX = (event.clientX / window.innerWidth) * 2 - 1;
+            this.mouseY = -(event.clientY / window.innerHeight) * 2 + 1;
+        }, { signal });
+
+        // Enhanced project card interactions; keyboard focus entering or leaving a card plays the same effects
+        document.querySelectorAll('.project-card').forEach(card => {
+            const highlight = () => {
+                gsap.to(card, SOCMotion.to({
+                    duration: 0.4,
+                    scale: 1.02,
+                    rotationX: 2,
+                    rotationY: 2,
+                    ease: "power2.out"
+                }));
+                
+                // Add scanning effect
+                this.addProjectScanEffect(card);
+            };
+            const settle = () => {
+                gsap.to(card, {
+                    duration: 0.4,
+                    scale: 1,
+                    rotationX: 0,
+                    rotationY: 0,
+                    ease: "power2.out"
+                });
+            };
+
+            // Time spent on each card, and clicks inside it, feed the analytics when allowed
+            const project = card.dataset.project;
+            card.addEventListener('mouseenter', () => {
+                highlight();
+                SOCAnalytics.dwellStart('card', project, { via: 'hover' });
+            }, { signal });
+            card.addEventListener('mouseleave', () => {
+                settle();
+                SOCAnalytics.dwellEnd('card', project);
+            }, { signal });
+            // Moves between the card and its own tags and buttons don't count
+            card.addEventListener('focusin', (event) => {
+                if (card.contains(event.relatedTarget)) return;
+                highlight();
+                SOCAnalytics.dwellStart('card', project, { via: 'focus' });
+            }, { signal });
+            card.addEventListener('focusout', (event) => {
+                if (card.contains(event.relatedTarget)) return;
+                settle();
+                SOCAnalytics.dwellEnd('card', project);
+            }, { signal });
+            card.addEventListener('click', () => SOCAnalytics.track('card.click', { id: project }), { signal });
+        });
+
+        // One tab stop for the whole grid; arrow keys move between the visible cards
+        const grid = document.querySelector('.projects-grid');
+        if (grid) {
+            this.projectFocus = new SOCRovingFocus(grid, '.project-card', { signal });
+        }
+
+        // Skill category hover effects, also on keyboard focus
+        document.querySelectorAll('.skill-category').forEach(category => {
+            category.setAttribute('tabindex', '0');
+            category.addEventListener('mouseenter', () => {
+                this.triggerSkillAlert(category);
+            }, { signal });
+            category.addEventListener('focus', () => {
+                this.triggerSkillAlert(category);
+            }, { signal });
+        });
+    }
+
+    addProjectScanEffect(card) {
+        if (SOCMotion.reduced) return;
+
+        const scanLine = document.createElement('div');
+        scanLine.style.cssText = `
+            position: absolute;
+            top: 0;
+            left: -100%;
+            width: 100%;
+            height: 2px;
+            background: linear-gradient(90deg, transparent, var(--soc-accent), var(--soc-highlight), transparent);
+            transition: left 0.8s ease;
+            z-index: 10;
+        `;
+        
+        card.style.position = 'relative';
+        card.style.overflow = 'hidden';
+        card.appendChild(scanLine);
+        
+        setTimeout(() => {
+            scanLine.style.left = '100%';
+            setTimeout(() => scanLine.remove(), 800);
+        }, 50);
+    }
+
+    triggerSkillAlert(category) {
+        const alertIndicator = document.createElement('div');
+        alertIndicator.style.cssText = `
+            position: absolute;
+            top: 10px;
+            right: 10px;
+            width: 8px;
+            height: 8px;
+            background: var(--soc-low);
+            border-radius: 50%;
+            box-shadow: 0 0 15px var(--soc-low);
+            animation: alertPulse 1s ease-out;
+        `;
+        
+        category.style.position = 'relative';
+        category.appendChild(alertIndicator);
+        
+        setTimeout(() => alertIndicator.remove(), 1000);
+    }
+
+    initScrollAnimations() {
+        gsap.registerPlugin(ScrollTrigger);
+        this.revealTweens = [];
+
+        // Hero stats with SOC-style animation
+        gsap.set('.stat-item', SOCMotion.from({ opacity: 0, y: 50, scale: 0.8 }));
+        gsap.to('.stat-item', SOCMotion.to({
+            duration: 1.2,
+            opacity: 1,
+            y: 0,
+            scale: 1,
+            stagger: 0.2,
+            delay: 2.5,
+            ease: "back.out(1.7)"
+        }));
+
+        // Security badges animation
+        gsap.set('.badge', SOCMotion.from({ opacity: 0, rotationX: -90 }));
+        gsap.to('.badge', SOCMotion.to({
+            duration: 0.8,
+            opacity: 1,
+            rotationX: 0,
+            stagger: 0.15,
+            delay: 3.5,
+            ease: "power2.out"
+        }));
+
+        // Section reveal with SOC monitoring effect
+        gsap.utils.toArray('section:not(.hero)').forEach(section => {
+            const header = section.querySelector('.section-header');
+            if (header) {
+                this.revealTweens.push(gsap.fromTo(header, 
+                    SOCMotion.from({ opacity: 0, y: 100, rotationX: 45 }),
+                    SOCMotion.to({
+                        opacity: 1,
+                        y: 0,
+                        rotationX: 0,
+                        duration: 1.2,
+                        ease: "power2.out",
+                        scrollTrigger: {
+                            trigger: section,
+                            start: "top 80%",
+                            end: "bottom 20%",
+                            toggleActions: "play none none reverse"
+                        }
+                    })
+                ));
+            }
+        });
+
+        // Timeline items with incident response animation
+        gsap.utils.toArray('.timeline-item').forEach((item, index) => {
+            this.revealTweens.push(gsap.fromTo(item,
+                SOCMotion.from({ opacity: 0, x: -150, rotationY: -15 }),
+                SOCMotion.to({
+                    opacity: 1,
+                    x: 0,
+                    rotationY: 0,
+                    duration: 1,
+                    delay: index * 0.2,
+                    ease: "power2.out",
+                    scrollTrigger: {
+                        trigger: item,
+                        start: "top 85%",
+                        toggleActions: "play none none reverse"
+                    }
+                })
+            ));
+        });
+
+        // Skills animation trigger
+        ScrollTrigger.create({
+            trigger: '.skills',
+            start: "top 70%",
+            onEnter: () => {
+                this.animateSkillBars();
+                this.triggerSkillsAlert();
+                SOCAnalytics.track('skills.view');
+            }
+        });
+
+        // Projects cards with staggered animation
+        gsap.utils.toArray('.project-card').forEach((card, index) => {
+            this.revealTweens.push(gsap.fromTo(card,
+                SOCMotion.from({ opacity: 0, y: 100, rotationX: 20 }),
+                SOCMotion.to({
+                    opacity: 1,
+                    y: 0,
+                    rotationX: 0,
+                    duration: 0.8,
+                    delay: index * 0.15,
+                    ease: "power2.out",
+                    scrollTrigger: {
+                        trigger: card,
+                        start: "top 85%",
+                        toggleActions: "play none none reverse"
+                    }
+                })
+            ));
+        });
+
+        // Switching to reduced motion mid-page settles every reveal in its final state
+        SOCMotion.onChange(reduced => {
+            if (!reduced) return;
+            this.revealTweens.forEach(tween => {
+                if (tween.scrollTrigger) tween.scrollTrigger.kill();
+                tween.progress(1);
+            });
+        }, this.lifecycle.signal);
+    }
+
+    initTextAnimations() {
+        // Enhanced glitch effect for name
+        const glitchText = document.querySelector('.glitch-text');
+        if (glitchText) {
+            glitchText.setAttribute('data-text', glitchText.textContent);
+        }
+
+        // SOC decrypt animation for subtitle
+        const decryptText = document.querySelector('.decrypt-text');
+        if (decryptText) {
+            this.socDecryptAnimation(decryptText);
+        }
+
+        // Matrix effect for tagline
+        const matrixText = document.querySelector('.matrix-text');
+        if (matrixText) {
+            this.textTimers.add(setTimeout(() => {
+                if (!this.destroyed) this.matrixDataFlow(matrixText);
+            }, 3000));
+        }
+
+        // A language switch decrypts the translated headline again
+        SOCI18n.onChange(() => this.replayTextAnimations(), this.lifecycle.signal);
+    }
+
+    // Stops any scramble still running; the renderer has already put the new text in place
+    replayTextAnimations() {
+        this.textTimers.forEach(timer => clearInterval(timer));
+        this.textTimers.clear();
+
+        const decryptText = document.querySelector('.decrypt-text');
+        if (decryptText) this.socDecryptAnimation(decryptText);
+    }
+
+    // Interval tracked in textTimers; the callback gets a stop() that clears it
+    textInterval(callback, delay) {
+        const timer = setInterval(() => callback(stop), delay);
+        const stop = () => {
+            clearInterval(timer);
+            this.textTimers.delete(timer);
+        };
+        this.textTimers.add(timer);
+    }
+
+    socDecryptAnimation(element) {
+        const originalText = element.textContent;
+        const visual = SOCMotion.scrambleTarget(element, originalText);
+        const socChars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789░▒▓█▄▌▐▀';
+        // Graphemes rather than UTF-16 units, so Tamil vowel signs and emoji stay whole
+        const glyphs = SOCI18n.graphemes(originalText);
+        let iterations = 0;
+
+        if (SOCMotion.reduced) {
+            visual.textContent = originalText;
+            return;
+        }
+
+        this.textInterval(stop => {
+            visual.textContent = glyphs
+                .map((glyph, index) => {
+                    if (index < iterations) {
+                        return glyph;
+                    }
+                    return SOCRandom.stream('text').pick(socChars);
+                })
+                .join('');
+
+            // Reduced motion or destroy() settles the text immediately
+            if (iterations >= glyphs.length || SOCMotion.reduced || this.destroyed) {
+                stop();
+                visual.textContent = originalText;
+            }
+            iterations += 1 / 3;
+        }, 50);
+    }
+
+    matrixDataFlow(element) {
+        const originalText = element.textContent;
+        const visual = SOCMotion.scrambleTarget(element, originalText);
+        const dataChars = '01█▓▒░';
+        const glyphs = SOCI18n.graphemes(originalText);
+        
+        if (SOCMotion.reduced) {
+            visual.textContent = originalText;
+            return;
+        }
+
+        let iterations = 0;
+        this.textInterval(stop => {
+            visual.textContent = glyphs
+                .map(() => SOCRandom.stream('text').pick(dataChars))
+                .join('');
+            
+            iterations++;
+            if (SOCMotion.reduced || this.destroyed) {
+                stop();
+                visual.textContent = originalText;
+            } else if (iterations > 15) {
+                stop();
+                // Gradual reveal
+                this.revealText(visual, originalText);
+            }
+        }, 80);
+    }
+
+    revealText(element, originalText) {
+        const glyphs = SOCI18n.graphemes(originalText);
+        let revealIndex = 0;
+        this.textInterval(stop => {
+            let displayText = glyphs.slice(0, revealIndex + 1).join('');
+            displayText += '█'.repeat(Math.max(0, glyphs.length - revealIndex - 1));
+            element.textContent = displayText;
+            
+            revealIndex++;
+            if (revealIndex >= glyphs.length || SOCMotion.reduced || this.destroyed) {
+                stop();
+                element.textContent = originalText;
+            }
+        }, 100);
+    }
+
+    initSkillAnimations() {
+        // Bars are generated empty; animateSkillBars() fills them to data-level on scroll
+        document.querySelectorAll('.skill-item .skill-progress').forEach(bar => {
+            gsap.set(bar, { width: 0 });
+        });
+    }
+
+    animateSkillBars() {
+        document.querySelectorAll('.skill-item').forEach((item, index) => {
+            const level = parseInt(item.getAttribute('data-level'));
+            const progressBar = item.querySelector('.skill-progress');
+            
+            gsap.to(progressBar, {
+                width: level + '%',
+                duration: 2,
+                delay: index * 0.1,
+                ease: "power2.out",
+                onComplete: () => {
+                    // Add completion effect
+                    gsap.to(progressBar, {
+                        boxShadow: `0 0 25px ${SOCTheme.rgba('accent', 0.8)}`,
+                        duration: 0.5,
+                        repeat: 1,
+                        yoyo: true
+                    });
+                }
+            });
+        });
+    }
+
+    triggerSkillsAlert() {
+        // Simulate SOC alert for skills assessment
+        const alertBanner = document.createElement('div');
+        alertBanner.style.cssText = `
+            position: fixed;
+            top: 70px;
+            right: 20px;
+            background: rgba(var(--soc-accent-rgb), 0.9);
+            color: white;
+            padding: 1rem 1.5rem;
+            border-radius: 8px;
+            font-weight: bold;
+            font-size: 0.9rem;
+            z-index: 1001;
+            box-shadow: 0 0 20px rgba(var(--soc-accent-rgb), 0.5);
+            transform: translateX(400px);
+            transition: transform 0.5s ease;
+        `;
+        alertBanner.textContent = SOCI18n.t('toast.skills');
+        
+        document.body.appendChild(alertBanner);
+        
+        setTimeout(() => {
+            alertBanner.style.transform = 'translateX(0)';
+            setTimeout(() => {
+                alertBanner.style.transform = 'translateX(400px)';
+                setTimeout(() => alertBanner.remove(), 500);
+            }, 3000);
+        }, 100);
+    }
+
+    initCounters() {
+        const counters = document.querySelectorAll('.stat-number');
+        
+        ScrollTrigger.create({
+            trigger: '.hero-stats',
+            start: "top 80%",
+            onEnter: () => {
+                counters.forEach(counter => {
+                    const target = parseInt(counter.getAttribute('data-target'));
+                    const obj = { value: 0 };
+
+                    if (SOCMotion.reduced) {
+                        counter.textContent = target.toLocaleString();
+                        return;
+                    }
+                    
+                    gsap.to(obj, {
+                        value: target,
+                        duration: 2.5,
+                        ease: "power2.out",
+                        onUpdate: () => {
+                            counter.textContent = Math.floor(obj.value).toLocaleString();
+                        },
+                        onComplete: () => {
+                            // Add final pulse effect
+                            gsap.to(counter, {
+                                scale: 1.1,
+                                duration: 0.2,
+                                repeat: 1,
+                                yoyo: true
+                            });
+                        }
+                    });
+                });
+            }
+        });
+    }
+
+    initFormValidation() {
+        const form = document.querySelector('.contact-form');
+        const inputs = form.querySelectorAll('.form-control');
+        const signal = this.lifecycle.signal;
+        
+        inputs.forEach(input => {
+            input.addEventListener('input', (e) => {
+                this.validateField(e.target);
+            }, { signal });
+
+            // Leaving a filled-in field reports its error; after that it is re-checked as it is typed in
+            input.addEventListener('blur', (e) => {
+                if (e.target.value) this.validateField(e.target, true);
+            }, { signal });
+            
+            input.addEventListener('focus', (e) => {
+                this.addSOCScanEffect(e.target);
+            }, { signal });
+        });
+
+        // The first step of the form funnel; the rest are tracked in handleSecureFormSubmission().
+        // Focus before consent records nothing, so it counts once it is actually recorded.
+        let started = false;
+        form.addEventListener('focusin', () => {
+            if (!started) started = Boolean(SOCAnalytics.track('form.start'));
+        }, { signal });
+
+        this.errorSummary = form.querySelector('.form-error-summary');
+        this.errorSummary.addEventListener('click', (e) => {
+            const link = e.target.closest('a');
+            if (!link) return;
+            e.preventDefault();
+            form.elements.namedItem(link.dataset.field).focus();
+        }, { signal });
+
+        // Reported messages and the summary follow the language
+        SOCI18n.onChange(() => {
+            form.querySelectorAll('.form-control[aria-invalid]').forEach(field => this.validateField(field, true));
+        }, signal);
+
+        // Real delivery pipeline configured from the form's data attributes
+        this.contactDelivery = SOCContactDelivery.fromForm(form);
+        this.contactDelivery.outbox.scheduleRetry();
+        // Anti-abuse checks run before anything is handed to the delivery pipeline
+        this.contactGuard = SOCContactGuard.fromForm(form);
+        this.contactGuard.watch(form, signal);
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSecureFormSubmission();
+        }, { signal });
+    }
+
+    // Checks a field against SOC_CONTACT_SCHEMA. Reported fields also show their message and set
+    // aria-invalid; before that only the status bar and glow change, so a field being typed in for the
+    // first time is not flagged after one letter.
+    validateField(field, report = field.hasAttribute('aria-invalid')) {
+        const validation = field.parentElement.querySelector('.form-validation');
+        const rules = SOC_CONTACT_SCHEMA[field.name];
+        const error = rules ? SOCContactValidator.check(rules, field.value) : null;
+        const isValid = !error;
+        
+        validation.className = `form-validation ${isValid ? 'valid' : 'invalid'}`;
+        
+        if (isValid) {
+            gsap.to(field, {
+                boxShadow: `0 0 25px ${SOCTheme.rgba('low', 0.4)}`,
+                duration: 0.3
+            });
+        } else if (field.value.length > 0) {
+            gsap.to(field, {
+                boxShadow: `0 0 25px ${SOCTheme.rgba('critical', 0.4)}`,
+                duration: 0.3
+            });
+        }
+
+        if (report) {
+            field.setAttribute('aria-invalid', String(!isValid));
+            document.getElementById(`${field.id}-error`).textContent = error ? SOCContactValidator.message(error) : '';
+        }
+        if (!this.errorSummary.hidden) this.renderErrorSummary();
+        return isValid;
+    }
+
+    // Reports every field; with errors the summary lists them and the first broken field takes focus
+    validateForm() {
+        const results = SOCContactValidator.validate(document.querySelector('.contact-form'));
+        results.forEach(({ field }) => this.validateField(field, true));
+
+        const invalid = this.renderErrorSummary();
+        if (invalid.length) invalid[0].field.focus();
+        return invalid.length === 0;
+    }
+
+    // Lists the fields that are still invalid, hiding the summary once there are none
+    renderErrorSummary() {
+        const invalid = SOCContactValidator.validate(document.querySelector('.contact-form')).filter(entry => entry.error);
+        const summary = this.errorSummary;
+        summary.hidden = invalid.length === 0;
+        if (summary.hidden) {
+            summary.replaceChildren();
+            return invalid;
+        }
+
+        const title = document.createElement('p');
+        title.className = 'form-error-title';
+        title.textContent = SOCI18n.t('form.error.summary', { count: invalid.length });
+
+        const list = document.createElement('ul');
+        invalid.forEach(({ name, rules, field, error }) => {
+            const item = document.createElement('li');
+            const link = document.createElement('a');
+            link.href = `#${field.id}`;
+            link.dataset.field = name;
+            link.textContent = `${SOCI18n.t(rules.label)}: ${SOCContactValidator.message(error)}`;
+            item.appendChild(link);
+            list.appendChild(item);
+        });
+        summary.replaceChildren(title, list);
+        return invalid;
+    }
+
+    // Back to the untouched state after a message has gone out
+    clearFormValidation(form) {
+        form.querySelectorAll('.form-validation').forEach(el => {
+            el.className = 'form-validation';
+        });
+        form.querySelectorAll('.form-error').forEach(el => {
+            el.textContent = '';
+        });
+        form.querySelectorAll('.form-control').forEach(field => {
+            field.removeAttribute('aria-invalid');
+            gsap.to(field, { boxShadow: 'none', duration: 0.3 });
+        });
+        this.errorSummary.hidden = true;
+        this.errorSummary.replaceChildren();
+    }
+
+    addSOCScanEffect(field) {
+        if (SOCMotion.reduced) return;
+
+        const scanLine = document.createElement('div');
+        scanLine.style.cssText = `
+            position: absolute;
+            top: 0;
+            left: -100%;
+            width: 100%;
+            height: 2px;
+            background: linear-gradient(90deg, transparent, var(--soc-accent), var(--soc-highlight), transparent);
+            transition: left 0.6s ease;
+            z-index: 1;
+        `;
+        
+        field.parentElement.style.position = 'relative';
+        field.parentElement.appendChild(scanLine);
+        
+        setTimeout(() => {
+            scanLine.style.left = '100%';
+            setTimeout(() => scanLine.remove(), 600);
+        }, 10);
+    }
+
+    async handleSecureFormSubmission() {
+        const form = document.querySelector('.contact-form');
+        const button = form.querySelector('.btn');
+        if (button.disabled) return;
+        SOCAnalytics.track('form.submit');
+        // Nothing is sent while a field is invalid
+        if (!this.validateForm()) {
+            SOCAnalytics.track('form.invalid', {
+                fields: [...form.querySelectorAll('[aria-invalid="true"]')].map(field => field.name)
+            });
+            return;
+        }
+
+        button.disabled = true;
+        this.setFormStatus('');
+
+        const payload = SOCContactDelivery.collectPayload(form);
+        this.setSubmitState('scan');
+        const verdict = this.contactGuard.inspect(payload);
+        let result;
+
+        if (verdict.reason === 'honeypot') {
+            // Bots get the success they expect and nothing is sent
+            result = { status: 'delivered' };
+            this.setSubmitState('delivered');
+        } else if (!verdict.ok) {
+            result = { status: 'blocked' };
+            this.setSubmitState('blocked');
+            this.setFormStatus(SOCI18n.t(`contact.guard.${verdict.reason}`, verdict.params));
+        } else {
+            // A mail client handoff reaches no endpoint to check the proof, and may never be sent
+            try {
+                if (!this.contactDelivery.handsOff) {
+                    Object.assign(payload, await this.contactGuard.authorize(payload, (progress) => {
+                        this.setSubmitState('authorize', { progress });
+                    }));
+                }
+                result = await this.contactDelivery.send(payload, (stage, detail) => {
+                    this.setSubmitState(stage, detail);
+                });
+            } catch (error) {
+                // Reported like a failed send, with the mailto fallback, so the button comes back
+                result = { status: 'failed', error };
+                this.setSubmitState('failed', { error });
+            }
+            if (result.status === 'delivered' || result.status === 'queued') this.contactGuard.record();
+        }
+
+        // Field values never go to analytics, only how far the message got
+        SOCAnalytics.track('form.result', verdict.ok ? { status: result.status } : { status: 'blocked', reason: verdict.reason });
+
+        if (result.status === 'delivered' || result.status === 'handoff') {
+            form.reset();
+            this.clearFormValidation(form);
+            this.contactGuard.reset();
+        } else if (result.status !== 'blocked') {
+            const fallback = this.contactDelivery.fallback;
+            const message = [SOCI18n.t('contact.deliveryFailed', { error: result.error.message })];
+            if (result.status === 'queued') message.push(SOCI18n.t('contact.retryNote'));
+            this.setFormStatus(
+                message.join(' '),
+                fallback ? { href: fallback.href(payload), text: SOCI18n.t('contact.emailFallback') } : null
+            );
+        }
+
+        // Return to idle after the final state has been visible for a moment
+        setTimeout(() => {
+            this.setSubmitState('idle');
+            button.disabled = false;
+        }, result.error || result.status === 'blocked' ? 4000 : 2500);
+    }
+
+    setSubmitState(stage, detail = {}) {
+        const button = document.querySelector('.contact-form .btn');
+        const buttonText = button.querySelector('.btn-text');
+        const t = SOCI18n.t;
+
+        const states = {
+            idle: { text: t('contact.send'), color: '' },
+            scan: { text: t('contact.scan'), color: SOCTheme.color('accent') },
+            authorize: { text: t('contact.authorize', { progress: Math.floor((detail.progress || 0) * 100) }), color: SOCTheme.color('high') },
+            blocked: { text: t('contact.blocked'), color: SOCTheme.color('critical') },
+            prepare: { text: t('contact.prepare'), color: SOCTheme.color('critical') },
+            transmit: {
+                text: detail.total > 1
+                    ? t('contact.transmitAttempt', { transport: detail.transport.label, attempt: detail.attempt, total: detail.total })
+                    : t('contact.transmit', { transport: detail.transport && detail.transport.label }),
+                color: SOCTheme.color('medium')
+            },
+            handoff: { text: t('contact.handoff'), color: SOCTheme.color('accent') },
+            delivered: { text: t('contact.delivered'), color: SOCTheme.color('low') },
+            queued: { text: t('contact.queued'), color: SOCTheme.color('critical') },
+            failed: { text: t('contact.failed'), color: SOCTheme.color('critical') }
+        };
+        const state = states[stage] || states.idle;
+
+        button.dataset.state = stage;
+        buttonText.textContent = state.text;
+        gsap.to(button, {
+            backgroundColor: state.color,
+            duration: 0.3
+        });
+    }
+
+    setFormStatus(message, link = null) {
+        const status = document.querySelector('.contact-form .form-status');
+        if (!status) return;
+
+        status.textContent = message;
+        if (link) {
+            const anchor = document.createElement('a');
+            anchor.href = link.href;
+            anchor.textContent = link.text;
+            status.append(' ', anchor);
+        }
+        status.classList.toggle('visible', Boolean(message));
+    }
+
+    animate() {
+        this.renderFrame();
+        this.quality.sample();
+        this.frame = requestAnimationFrame(() => this.animate());
+    }
+
+    // Renders frames outside the loop. For visual tests: ?seed=1&clock=frozen, pause(), then step(n).
+    step(frames = 1) {
+        for (let n = 0; n < frames; n++) this.renderFrame();
+    }
+
+    renderFrame() {
+        // Wall time is clamped so a throttled tab or a long frame doesn't fast-forward the replay
+        let delta = SOCPortfolio.frameStep;
+        if (!this.frozenClock) {
+            const wall = performance.now();
+            delta = Math.min(wall - this.lastFrame, 100);
+            this.lastFrame = wall;
+        }
+        this.frameCount++;
+        this.sceneClock += delta;
+        // Scene time rather than Date.now(), which also keeps the shader's float time precise
+        const time = this.sceneClock * 0.001;
+        const frameNow = this.frozenClock ? this.sceneClock : this.lastFrame;
+        // A frozen clock also ignores the pointer, so a seed and frame count always give the same frame
+        const mouseX = this.frozenClock ? 0 : this.mouseX;
+        const mouseY = this.frozenClock ? 0 : this.mouseY;
+        // Reduced motion keeps the scene alive but slows every rotation and orbit right down
+        const motion = SOCMotion.scale;
+        
+        // Animate SOC Hub
+        if (this.socHub) {
+            this.socHub.rotation.y += this.options.hubSpeed * motion;
+            this.socHub.position.y = -5 + Math.sin(time * 0.5) * 0.2;
+        }
+        
+        // Animate holographic ring
+        if (this.holographicRing) {
+            this.holographicRing.rotation.z += this.options.ringSpeed * motion;
+            this.holographicRing.material.opacity = 0.3 + Math.sin(time * 2) * 0.1;
+        }
+        
+        // Hover/selection highlighting for the interactive meshes
+        this.updateSceneHover();
+        
+        // Animate monitoring screens
+        this.monitorScreens.forEach((screen, index) => {
+            const highlighted = this.isSceneHighlighted(screen);
+            // Highlighted meshes hold still so they are easy to click
+            if (!highlighted) screen.userData.angle += this.options.screenSpeed * motion;
+            const radius = this.options.screenRadius + Math.sin(time + index) * 0.5;
+            screen.position.x = Math.cos(screen.userData.angle) * radius;
+            screen.position.z = Math.sin(screen.userData.angle) * radius;
+            
+            // Without telemetry the screens roll a simulated alert status
+            if (!this.telemetry && this.sceneClock - screen.userData.lastUpdate > 3000) {
+                screen.userData.alertStatus = this.random.pick(this.alertLevels);
+                this.paintScreen(screen);
+                screen.userData.lastUpdate = this.sceneClock;
+            }
+            
+            const screenScale = highlighted ? 1.25 : 1;
+            screen.scale.setScalar(screen.scale.x + (screenScale - screen.scale.x) * 0.2);
+            screen.material.opacity = highlighted ? 1 : (screen.userData.dashboard ? 0.9 : 0.7);
+            screen.lookAt(0, 2, 0);
+        });
+        
+        // Dashboards redraw at the tier's screen rate; the hovered or selected screen keeps up every frame
+        if (this.dashboards) {
+            this.dashboards.tick(frameNow, this.hoveredMesh || this.selectedMesh);
+        }
+        
+        // Animate incident nodes
+        this.incidentNodes.forEach((node, index) => {
+            const highlighted = this.isSceneHighlighted(node);
+            if (!highlighted) node.userData.angle += this.options.nodeSpeed * motion;
+            node.position.x = Math.cos(node.userData.angle) * this.options.nodeRadius;
+            node.position.z = Math.sin(node.userData.angle) * this.options.nodeRadius;
+            node.position.y = Math.sin(time * 0.5 + node.userData.pulsePhase) * 4;
+            
+            node.rotation.x += 0.01 * motion;
+            node.rotation.y += 0.015 * motion;
+            
+            // Update alert level colors
+            const pulse = Math.sin(time * 2 + node.userData.pulsePhase) * 0.5 + 0.5;
+            node.material.color.setHex(this.getAlertColor(node.userData.alertLevel));
+            node.material.opacity = highlighted ? 1 : 0.6 + pulse * 0.3;
+            
+            const nodeScale = highlighted ? 1.8 : 1;
+            node.scale.setScalar(node.scale.x + (nodeScale - node.scale.x) * 0.2);
+        });
+        
+        // Animate data streams
+        this.dataStreams.forEach(stream => {
+            if (!stream.visible) return;
+            stream.material.opacity = 0.2 + Math.sin(time * 2 + stream.userData.phase) * 0.2;
+            stream.rotation.y += stream.userData.speed * this.options.streamSpeed * motion;
+        });
+        
+        // Replay telemetry events due since the last frame
+        if (this.telemetry) {
+            this.telemetry.advance(delta).forEach(event => this.spawnAlert(event, this.sceneClock));
+        }
+        
+        // Animate alert particles
+        if (this.alertParticleSystem) {
+            const positions = this.alertParticleSystem.geometry.attributes.position.array;
+            const sizes = this.alertParticleSystem.geometry.attributes.size.array;
+            const now = this.sceneClock;
+            const flow = this.options.particleSpeed * motion;
+            
+            for (let i = 0; i < this.activeParticles; i++) {
+                const i3 = i * 3;
+                const particle = this.alertData[i];
+                
+                if (this.telemetry) {
+                    if (!particle.active) continue;
+                    
+                    // Fade in, hold, fade out, then retire the slot
+                    const age = (now - particle.born) / particle.life;
+                    if (age >= 1) {
+                        particle.active = false;
+                        sizes[i] = 0;
+                        continue;
+                    }
+                    positions[i3] += particle.velocity.x * flow;
+                    positions[i3 + 1] += particle.velocity.y * flow;
+                    positions[i3 + 2] += particle.velocity.z * flow;
+                    const envelope = Math.min(1, age * 8, (1 - age) * 4);
+                    const pulse = Math.sin(time * (2 + particle.alertType) + particle.phase) * 0.3 + 0.7;
+                    sizes[i] = particle.originalSize * pulse * envelope;
+                    continue;
+                }
+                
+                // Update positions with SOC-style movement
+                positions[i3] += particle.velocity.x * flow;
+                positions[i3 + 1] += particle.velocity.y * flow;
+                positions[i3 + 2] += particle.velocity.z * flow;
+                
+                // Boundary check and regenerate
+                const distance = Math.sqrt(positions[i3] ** 2 + positions[i3 + 1] ** 2 + positions[i3 + 2] ** 2);
+                if (distance > 60) {
+                    const radius = this.random.next() * 40 + 20;
+                    const angle = this.random.next() * Math.PI * 2;
+                    positions[i3] = Math.cos(angle) * radius;
+                    positions[i3 + 1] = (this.random.next() - 0.5) * 20;
+                    positions[i3 + 2] = Math.sin(angle) * radius;
+                }
+                
+                // Animate sizes based on alert type
+                const alertPulse = Math.sin(time * (2 + particle.alertType) + particle.phase) * 0.3 + 0.7;
+                sizes[i] = particle.originalSize * alertPulse;
+            }
+            
+            this.alertParticleSystem.geometry.attributes.position.needsUpdate = true;
+            this.alertParticleSystem.geometry.attributes.size.needsUpdate = true;
+            
+            if (this.telemetry) {
+                this.applySeverityMix(now);
+            }
+            
+            // Update shader uniforms
+            this.alertParticleSystem.material.uniforms.time.value = time;
+            this.alertParticleSystem.material.uniforms.mousePos.value.set(mouseX, mouseY);
+        }
+        
+        // Enhanced camera movement with SOC perspective; reduced motion eases back to the rest pose
+        const drift = SOCMotion.reduced || this.frozenClock ? 0 : this.options.cameraDrift;
+        this.camera.position.x += (mouseX * 8 * drift - this.camera.position.x) * 0.03;
+        this.camera.position.y += ((-mouseY * 3 * drift) + this.options.cameraHeight - this.camera.position.y) * 0.03;
+        this.camera.lookAt(0, 0, 0);
+        
+        this.renderer.render(this.scene, this.camera);
+    }
+
+    onWindowResize() {
+        const container = document.getElementById('soc-canvas').parentElement;
+        
+        this.camera.aspect = container.offsetWidth / container.offsetHeight;
+        this.camera.updateProjectionMatrix();
+        
+        this.renderer.setSize(container.offsetWidth, container.offsetHeight);
+    }
+}
+
+// Palette colours the data streams cycle through
+SOCPortfolio.streamColors = ['accent', 'highlight', 'critical'];
+// Milliseconds per frame under ?clock=frozen
+SOCPortfolio.frameStep = 1000 / 60;
@@ -0,0 +1,392 @@
+import { SOCAttackMatrix } from './attack-matrix.js';
+import { SOCI18n } from './i18n.js';
+
+// Profile content model - data/profile.json is the single source for the page content
+export class SOCProfile {
+    static async load(url = 'data/profile.json') {
+        const response = await fetch(url, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`Failed to load profile from ${url} (HTTP ${response.status})`);
+        }
+
+        const profile = await response.json();
+        SOCProfile.validate(profile);
+        return profile;
+    }
+
+    // Catches the mistakes that would otherwise render a silently broken section
+    static validate(profile) {
+        const errors = [];
+        const month = /^\d{4}-(0[1-9]|1[0-2])$/;
+        const threats = ['low', 'medium', 'high', 'critical'];
+        const techniqueIds = new Set((profile.techniques || []).map(technique => technique.id));
+        const check = (condition, message) => {
+            if (!condition) errors.push(message);
+        };
+
+        check(profile.person && profile.person.name, 'person.name is required');
+        check(profile.person && profile.person.contact && profile.person.contact.email, 'person.contact.email is required');
+
+        (profile.stats || []).forEach((stat, i) => {
+            check(Number.isInteger(stat.value) && stat.value >= 0, `stats[${i}].value must be a non-negative integer`);
+        });
+
+        (profile.skills || []).forEach((category, i) => {
+            (category.items || []).forEach((skill, j) => {
+                check(Number.isInteger(skill.level) && skill.level >= 0 && skill.level <= 100,
+                    `skills[${i}].items[${j}].level must be 0-100`);
+            });
+        });
+
+        (profile.experience || []).forEach((role, i) => {
+            check(month.test(role.start), `experience[${i}].start must be YYYY-MM`);
+            check(role.end === null || role.end === undefined || month.test(role.end), `experience[${i}].end must be YYYY-MM or null`);
+        });
+
+        (profile.techniques || []).forEach((technique, i) => {
+            check(technique.triage === undefined || (Array.isArray(technique.triage) && technique.triage.every(step => typeof step === 'string')),
+                `techniques[${i}].triage must be a list of strings`);
+        });
+
+        (profile.projects || []).forEach((project, i) => {
+            check(/^[a-z0-9-]+$/.test(project.id), `projects[${i}].id must be a lowercase slug`);
+            check(threats.includes(project.threat), `projects[${i}].threat must be one of ${threats.join(', ')}`);
+            (project.techniques || []).forEach(id => {
+                check(techniqueIds.has(id), `projects[${i}] references unknown technique ${id}`);
+            });
+        });
+
+        if (errors.length) {
+            throw new Error(`Invalid profile:\n  ${errors.join('\n  ')}`);
+        }
+        return profile;
+    }
+
+    // Navigable descriptors for portfolio items, grouped by kind. Labels are in the current language;
+    // pass a localized profile for translated content.
+    static entries(profile) {
+        const projects = profile.projects.map(project => ({
+            kind: 'project',
+            id: project.id,
+            title: project.title,
+            subtitle: SOCI18n.t('panel.project', { status: project.status, threat: SOCI18n.t(`threat.${project.threat}`).toUpperCase() }),
+            summary: project.description,
+            details: project.tech || [],
+            severity: project.threat,
+            selector: `#project-${project.id}`
+        }));
+
+        const techniques = profile.techniques.map(technique => {
+            const coveredBy = profile.projects.filter(project => (project.techniques || []).includes(technique.id));
+            return {
+                kind: 'technique',
+                id: technique.id,
+                title: `${technique.id} - ${technique.name}`,
+                subtitle: SOCI18n.t('panel.technique'),
+                summary: SOCI18n.t(coveredBy.length ? 'panel.coveredBy' : 'panel.uncovered'),
+                details: coveredBy.map(project => project.title),
+                severity: 'high',
+                // The matrix cell when the matrix rendered, otherwise the first project pill
+                selector: `.attack-cell[data-technique="${SOCAttackMatrix.parentId(technique.id)}"], .technique-item[data-technique="${technique.id}"]`
+            };
+        });
+
+        const roles = profile.experience.map(role => ({
+            kind: 'role',
+            id: role.id,
+            title: role.title,
+            subtitle: `${role.company} · ${SOCProfileRenderer.period(role)}`,
+            summary: role.location,
+            details: role.achievements || [],
+            severity: 'low',
+            selector: `.timeline-item[data-role="${role.id}"]`
+        }));
+
+        const skills = profile.skills.map(category => ({
+            kind: 'skills',
+            id: category.id,
+            title: category.title,
+            subtitle: SOCI18n.t('panel.skills'),
+            summary: '',
+            details: category.items.map(skill => `${skill.label || skill.name} — ${skill.level}%`),
+            severity: 'medium',
+            selector: `.skill-category[data-category="${category.id}"]`
+        }));
+
+        return { projects, techniques, roles, skills };
+    }
+
+    static technique(profile, id) {
+        return profile.techniques.find(technique => technique.id === id) || { id: id, name: id };
+    }
+
+    static formatMonth(value, locale = 'en-US') {
+        const [year, month] = value.split('-').map(Number);
+        return new Date(year, month - 1).toLocaleDateString(locale, { month: 'long', year: 'numeric' });
+    }
+
+    static formatPeriod(role, locale = 'en-US', presentLabel = 'Present') {
+        const end = role.end ? SOCProfile.formatMonth(role.end, locale) : presentLabel;
+        return `${SOCProfile.formatMonth(role.start, locale)} - ${end}`;
+    }
+}
+
+// Builds the content sections from a profile; the animations bind to the generated DOM afterwards
+export class SOCProfileRenderer {
+    static render(profile, root = document) {
+        SOCProfileRenderer.renderHero(profile, root);
+        SOCProfileRenderer.renderAbout(profile, root);
+        SOCProfileRenderer.renderSkills(profile, root);
+        SOCProfileRenderer.renderExperience(profile, root);
+        SOCProfileRenderer.renderProjects(profile, root);
+        SOCProfileRenderer.renderContact(profile, root);
+    }
+
+    static renderError(error, root = document) {
+        root.querySelectorAll('[data-profile-section]').forEach(container => {
+            container.replaceChildren(
+                SOCI18n.bind(SOCProfileRenderer.el('div', 'profile-error'), 'profile.offline')
+            );
+        });
+        console.error(error);
+    }
+
+    // Small element factory; text always goes through textContent
+    static el(tag, className, text, attributes = {}) {
+        const element = document.createElement(tag);
+        if (className) element.className = className;
+        if (text !== undefined && text !== null) element.textContent = text;
+        Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+        return element;
+    }
+
+    static mount(root, section, children) {
+        const container = root.querySelector(`[data-profile-section="${section}"]`);
+        if (container) {
+            container.replaceChildren(...children);
+        }
+        return container;
+    }
+
+    static renderHero(profile, root) {
+        const { person } = profile;
+        const el = SOCProfileRenderer.el;
+
+        root.querySelector('.glitch-text').textContent = person.name.toUpperCase();
+        SOCProfileRenderer.renderHeadline(profile, root);
+
+        SOCProfileRenderer.mount(root, 'stats', profile.stats.map(stat => {
+            const item = el('div', 'stat-item');
+            item.append(
+                el('span', 'stat-number', '0', { 'data-target': stat.value }),
+                el('span', 'stat-label', stat.label)
+            );
+            return item;
+        }));
+
+        SOCProfileRenderer.mount(root, 'badges', profile.badges.map(badge => {
+            return el('div', badge.active ? 'badge active' : 'badge', SOCProfileRenderer.badgeLabel(badge));
+        }));
+    }
+
+    static badgeLabel(badge) {
+        return [badge.icon, badge.label.toUpperCase()].filter(Boolean).join(' ');
+    }
+
+    static renderHeadline(profile, root) {
+        const { person } = profile;
+        root.querySelector('.decrypt-text').textContent = person.headline.toUpperCase();
+        root.querySelector('.matrix-text').textContent = person.tagline || '';
+    }
+
+    // Refreshes the translatable profile text in place after a language switch. Counters, skill
+    // bars and cards keep their elements, so their animations and listeners survive.
+    static renderCopy(profile, root = document) {
+        const text = (scope, selector, value) => {
+            const element = scope && scope.querySelector(selector);
+            if (element) element.textContent = value;
+        };
+
+        SOCProfileRenderer.renderHeadline(profile, root);
+        root.querySelectorAll('.stat-item .stat-label').forEach((label, index) => {
+            if (profile.stats[index]) label.textContent = profile.stats[index].label;
+        });
+        root.querySelectorAll('[data-profile-section="badges"] .badge').forEach((badge, index) => {
+            if (profile.badges[index]) badge.textContent = SOCProfileRenderer.badgeLabel(profile.badges[index]);
+        });
+        SOCProfileRenderer.renderAbout(profile, root);
+
+        profile.skills.forEach(category => {
+            const container = root.querySelector(`.skill-category[data-category="${category.id}"]`);
+            text(container, 'h3', category.title);
+            if (!container) return;
+            container.querySelectorAll('.skill-item .skill-name').forEach((name, index) => {
+                const skill = category.items[index];
+                if (skill) name.textContent = skill.label || skill.name;
+            });
+        });
+
+        profile.experience.forEach(role => {
+            const item = root.querySelector(`.timeline-item[data-role="${role.id}"]`);
+            text(item, 'h3', role.title);
+            text(item, '.timeline-company', role.company);
+            text(item, '.timeline-location', role.location);
+            text(item, '.timeline-period', SOCProfileRenderer.period(role));
+            const achievements = item && item.querySelector('.timeline-achievements');
+            if (achievements) {
+                achievements.replaceChildren(...(role.achievements || []).map(entry => SOCProfileRenderer.el('li', null, entry)));
+            }
+        });
+
+        profile.projects.forEach(project => {
+            const card = root.querySelector(`.project-card[data-project="${project.id}"]`);
+            text(card, '.project-header h3', project.title);
+            text(card, '.project-status', project.status);
+            text(card, '.project-description', project.description);
+            if (project.impact) text(card, '.project-impact', project.impact);
+        });
+
+        SOCProfileRenderer.renderContact(profile, root);
+    }
+
+    static period(role) {
+        return SOCProfile.formatPeriod(role, SOCI18n.intl, SOCI18n.t('experience.present'));
+    }
+
+    static renderAbout(profile, root) {
+        const { person } = profile;
+        const el = SOCProfileRenderer.el;
+
+        const details = el('div', 'about-details');
+        (person.details || []).forEach(detail => {
+            const item = el('div', 'detail-item');
+            item.append(el('span', 'detail-label', detail.label), el('span', 'detail-value', detail.value));
+            details.appendChild(item);
+        });
+
+        SOCProfileRenderer.mount(root, 'about', [
+            ...(person.summary || []).map(paragraph => el('p', null, paragraph)),
+            details
+        ]);
+    }
+
+    static renderSkills(profile, root) {
+        const el = SOCProfileRenderer.el;
+
+        SOCProfileRenderer.mount(root, 'skills', profile.skills.map(category => {
+            const container = el('div', 'skill-category', null, {
+                'data-category': category.id,
+                'role': 'group',
+                'aria-labelledby': `skills-${category.id}-title`
+            });
+            container.appendChild(el('h3', null, category.title, { 'id': `skills-${category.id}-title` }));
+
+            category.items.forEach(skill => {
+                const item = el('div', 'skill-item', null, {
+                    'data-skill': skill.name,
+                    'data-level': skill.level
+                });
+                const bar = el('div', 'skill-bar');
+                bar.appendChild(el('div', 'skill-progress'));
+                item.append(
+                    el('span', 'skill-name', skill.label || skill.name),
+                    bar,
+                    el('span', 'skill-level', `${skill.level}%`)
+                );
+                container.appendChild(item);
+            });
+            return container;
+        }));
+    }
+
+    static renderExperience(profile, root) {
+        const el = SOCProfileRenderer.el;
+
+        SOCProfileRenderer.mount(root, 'experience', profile.experience.map(role => {
+            const item = el('div', 'timeline-item', null, { 'data-role': role.id });
+            const content = el('div', 'timeline-content');
+            const achievements = el('ul', 'timeline-achievements');
+            (role.achievements || []).forEach(text => achievements.appendChild(el('li', null, text)));
+
+            content.append(
+                el('h3', null, role.title),
+                el('div', 'timeline-company', role.company),
+                el('div', 'timeline-location', role.location),
+                el('div', 'timeline-period', SOCProfileRenderer.period(role)),
+                achievements
+            );
+            item.append(el('div', 'timeline-marker'), content);
+            return item;
+        }));
+    }
+
+    static renderProjects(profile, root) {
+        const el = SOCProfileRenderer.el;
+
+        SOCProfileRenderer.mount(root, 'projects', profile.projects.map(project => {
+            const card = el('div', 'project-card', null, {
+                'id': `project-${project.id}`,
+                'data-project': project.id,
+                'data-threat': project.threat,
+                'role': 'article',
+                'aria-labelledby': `project-${project.id}-title`
+            });
+
+            const header = el('div', 'project-header');
+            header.append(
+                el('h3', null, project.title, { 'id': `project-${project.id}-title` }),
+                el('span', `project-status ${project.state || ''}`.trim(), project.status)
+            );
+
+            const tech = el('div', 'project-tech');
+            (project.tech || []).forEach(tag => tech.appendChild(el('span', 'tech-tag', tag)));
+
+            card.append(
+                el('div', 'project-threat-indicator'),
+                header,
+                el('p', 'project-description', project.description),
+                tech
+            );
+
+            if (project.impact) {
+                card.appendChild(el('div', 'project-impact', project.impact));
+            }
+
+            if (project.code) {
+                const code = el('div', 'project-code', null, { 'data-language': project.code.language });
+                if (project.code.sample) code.dataset.sample = project.code.sample;
+                code.appendChild(el('code', null, project.code.source));
+                card.appendChild(code);
+            }
+
+            if (project.techniques && project.techniques.length) {
+                const techniques = el('div', 'project-techniques');
+                project.techniques.forEach(id => {
+                    const technique = SOCProfile.technique(profile, id);
+                    techniques.appendChild(el('div', 'technique-item', `${technique.id} - ${technique.name}`, {
+                        'data-technique': technique.id
+                    }));
+                });
+                card.appendChild(techniques);
+            }
+            return card;
+        }));
+    }
+
+    static renderContact(profile, root) {
+        const { contact } = profile.person;
+        const el = SOCProfileRenderer.el;
+        const fields = [
+            ['contact.email', contact.email],
+            ['contact.phone', contact.phone],
+            ['contact.location', contact.location],
+            ['contact.role', contact.role]
+        ];
+
+        SOCProfileRenderer.mount(root, 'contact', fields.filter(([, value]) => value).map(([label, value]) => {
+            const item = el('div', 'contact-item');
+            item.append(SOCI18n.bind(el('div', 'contact-label'), label), el('div', 'contact-value', value));
+            return item;
+        }));
+    }
+}
@@ -0,0 +1,262 @@
+import { gsap, ScrollTrigger } from './env.js';
+import { SOCAttackMatrix } from './attack-matrix.js';
+import { SOCI18n } from './i18n.js';
+import { SOCMotion } from './motion.js';
+import { SOCProfileRenderer } from './profile.js';
+
+// Project filters - search, facet chips and the ATT&CK technique, mirrored in the query string
+export class SOCProjectFilter {
+    constructor(root, profile, { grid = document.querySelector('.projects-grid') } = {}) {
+        this.root = root;
+        this.profile = profile;
+        this.grid = grid;
+        this.listeners = [];
+        this.lifecycle = new AbortController();
+        this.state = this.readURL();
+
+        this.facets = [
+            { key: 'threat', label: 'filter.threat', values: this.facetValues(project => [project.threat], ['critical', 'high', 'medium', 'low']) },
+            { key: 'status', label: 'filter.status', values: this.facetValues(project => [project.status]) },
+            { key: 'tech', label: 'filter.tech', values: this.facetValues(project => project.tech || []) }
+        ];
+
+        this.render();
+        this.bindTechTags();
+        this.apply(false);
+    }
+
+    static empty() {
+        return { q: '', threat: [], status: [], tech: [], technique: null };
+    }
+
+    // Values present in the profile with their project counts, most common first unless an order is given
+    facetValues(pick, order = null) {
+        const counts = new Map();
+        this.profile.projects.forEach(project => pick(project).forEach(value => counts.set(value, (counts.get(value) || 0) + 1)));
+        const values = [...counts.entries()].map(([value, count]) => ({ value, count }));
+        return order
+            ? values.sort((a, b) => order.indexOf(a.value) - order.indexOf(b.value))
+            : values.sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+    }
+
+    readURL() {
+        const params = new URLSearchParams(window.location.search);
+        return {
+            q: params.get('q') || '',
+            threat: params.getAll('threat'),
+            status: params.getAll('status'),
+            tech: params.getAll('tech'),
+            technique: params.get('technique')
+        };
+    }
+
+    // replaceState keeps filtering out of the back button while the address bar stays shareable
+    writeURL() {
+        const url = new URL(window.location.href);
+        ['q', 'threat', 'status', 'tech', 'technique'].forEach(key => url.searchParams.delete(key));
+        if (this.state.q) url.searchParams.set('q', this.state.q);
+        ['threat', 'status', 'tech'].forEach(key => this.state[key].forEach(value => url.searchParams.append(key, value)));
+        if (this.state.technique) url.searchParams.set('technique', this.state.technique);
+        try {
+            history.replaceState(history.state, '', url);
+        } catch (error) {
+            // Sandboxed frames can refuse history updates; the filter still works
+        }
+    }
+
+    render() {
+        const el = SOCProfileRenderer.el;
+        const signal = this.lifecycle.signal;
+
+        this.search = el('input', 'project-search', null, { 'type': 'search' });
+        SOCI18n.bind(this.search, 'filter.search', null, 'placeholder');
+        SOCI18n.bind(this.search, 'filter.searchLabel', null, 'aria-label');
+        this.search.value = this.state.q;
+        this.search.addEventListener('input', () => this.update({ q: this.search.value }), { signal });
+
+        const groups = this.facets.map(facet => {
+            const group = SOCI18n.bind(el('div', 'filter-group', null, { 'role': 'group' }), facet.label, null, 'aria-label');
+            group.appendChild(SOCI18n.bind(el('span', 'filter-label', null, { 'aria-hidden': 'true' }), facet.label));
+            facet.values.forEach(({ value, count }) => {
+                const chip = el('button', 'filter-chip', null, {
+                    'type': 'button',
+                    'data-facet': facet.key,
+                    'data-value': value,
+                    'aria-pressed': 'false'
+                });
+                chip.dataset.count = count;
+                if (facet.key === 'threat') chip.dataset.threat = value;
+                chip.addEventListener('click', () => this.toggle(facet.key, value), { signal });
+                group.appendChild(chip);
+            });
+            return group;
+        });
+
+        this.count = el('span', 'filter-count', null, { 'aria-live': 'polite' });
+        this.techniqueChip = el('button', 'filter-chip filter-technique', null, { 'type': 'button', 'aria-pressed': 'true' });
+        this.techniqueChip.addEventListener('click', () => this.update({ technique: null }), { signal });
+        this.clearButton = SOCI18n.bind(el('button', 'filter-clear', null, { 'type': 'button' }), 'filter.clear');
+        this.clearButton.addEventListener('click', () => this.clear(), { signal });
+        const summary = el('div', 'filter-summary');
+        summary.append(this.count, this.techniqueChip, this.clearButton);
+
+        this.root.setAttribute('role', 'search');
+        SOCI18n.bind(this.root, 'filter.region', null, 'aria-label');
+        this.root.replaceChildren(this.search, ...groups, summary);
+
+        this.labelChips();
+        SOCI18n.onChange(() => this.labelChips(), signal);
+
+        this.emptyState = SOCI18n.bind(el('p', 'project-empty'), 'filter.empty');
+        this.emptyState.hidden = true;
+        if (this.grid) this.grid.after(this.emptyState);
+    }
+
+    // Chip values stay the profile's English ones, as in the URL; threat and status chips show them translated
+    labelChips() {
+        const projects = SOCI18n.localize(this.profile).projects;
+        const label = (facet, value) => {
+            if (facet === 'threat') return SOCI18n.t(`threat.${value}`);
+            if (facet === 'status') {
+                const index = this.profile.projects.findIndex(project => project.status === value);
+                return index >= 0 ? projects[index].status : value;
+            }
+            return value;
+        };
+        this.root.querySelectorAll('.filter-chip[data-facet]').forEach(chip => {
+            chip.textContent = `${label(chip.dataset.facet, chip.dataset.value)} (${chip.dataset.count})`;
+        });
+    }
+
+    // Tech tags on the cards double as shortcuts into the technology facet
+    bindTechTags() {
+        if (!this.grid) return;
+        const signal = this.lifecycle.signal;
+        this.grid.querySelectorAll('.tech-tag').forEach(tag => {
+            tag.setAttribute('role', 'button');
+            tag.setAttribute('tabindex', '0');
+            SOCI18n.bind(tag, 'filter.showTech', { tech: tag.textContent }, 'title');
+            const select = () => this.update({ tech: [tag.textContent] });
+            tag.addEventListener('click', select, { signal });
+            tag.addEventListener('keydown', (event) => {
+                if (event.key !== 'Enter' && event.key !== ' ') return;
+                event.preventDefault();
+                select();
+            }, { signal });
+        });
+    }
+
+    // Listeners get the new and previous state
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    toggle(facet, value) {
+        const values = this.state[facet];
+        this.update({ [facet]: values.includes(value) ? values.filter(item => item !== value) : [...values, value] });
+    }
+
+    setTechnique(id) {
+        if (id !== this.state.technique) this.update({ technique: id });
+    }
+
+    clear() {
+        this.search.value = '';
+        this.update(SOCProjectFilter.empty());
+    }
+
+    update(changes) {
+        const previous = this.state;
+        this.state = { ...this.state, ...changes };
+        if (this.search.value !== this.state.q) this.search.value = this.state.q;
+        this.writeURL();
+        this.apply(true);
+        this.listeners.forEach(listener => listener(this.state, previous));
+    }
+
+    get active() {
+        const { q, threat, status, tech, technique } = this.state;
+        return Boolean(q.trim() || threat.length || status.length || tech.length || technique);
+    }
+
+    // Facets combine with AND; the chips within one facet with OR. The search matches the
+    // title and description in English and in the current language.
+    matches(project) {
+        const { q, threat, status, tech, technique } = this.state;
+        const localized = SOCI18n.localize(this.profile).projects.find(entry => entry.id === project.id) || project;
+        const text = [project.title, project.description, localized.title, localized.description].join(' ').toLowerCase();
+        return q.toLowerCase().split(/\s+/).filter(Boolean).every(word => text.includes(word)) &&
+            (!threat.length || threat.includes(project.threat)) &&
+            (!status.length || status.includes(project.status)) &&
+            (!tech.length || (project.tech || []).some(tag => tech.includes(tag))) &&
+            (!technique || (project.techniques || []).some(id => SOCAttackMatrix.parentId(id) === technique));
+    }
+
+    apply(animate) {
+        this.root.querySelectorAll('.filter-chip[data-facet]').forEach(chip => {
+            chip.setAttribute('aria-pressed', String(this.state[chip.dataset.facet].includes(chip.dataset.value)));
+        });
+        this.techniqueChip.hidden = !this.state.technique;
+        if (this.state.technique) {
+            SOCI18n.bind(this.techniqueChip, 'filter.technique', { id: this.state.technique });
+            SOCI18n.bind(this.techniqueChip, 'filter.removeTechnique', { id: this.state.technique }, 'aria-label');
+        }
+        this.clearButton.hidden = !this.active;
+
+        const visible = this.profile.projects.filter(project => this.matches(project));
+        const total = this.profile.projects.length;
+        if (this.active) {
+            SOCI18n.bind(this.count, 'filter.countFiltered', { count: visible.length, total });
+        } else {
+            SOCI18n.bind(this.count, 'filter.count', { count: total });
+        }
+        this.emptyState.hidden = visible.length > 0;
+        if (!this.grid) return;
+
+        let entering = 0;
+        this.profile.projects.forEach(project => {
+            const card = this.grid.querySelector(`.project-card[data-project="${project.id}"]`);
+            if (!card) return;
+            const show = visible.includes(project);
+            const gone = card.classList.contains('filtered-out') || card.classList.contains('filtering-out');
+            if (show !== gone) return;
+
+            if (!animate) {
+                card.classList.toggle('filtered-out', !show);
+            } else if (show) {
+                card.classList.remove('filtered-out', 'filtering-out');
+                // Same entrance as the scroll reveal, staggered across the cards coming back
+                gsap.fromTo(card,
+                    SOCMotion.from({ opacity: 0, y: 100, rotationX: 20 }),
+                    SOCMotion.to({ opacity: 1, y: 0, rotationX: 0, duration: 0.6, delay: entering++ * 0.1, ease: "power2.out", overwrite: true })
+                );
+            } else {
+                card.classList.add('filtering-out');
+                gsap.to(card, SOCMotion.to({
+                    opacity: 0,
+                    y: 40,
+                    rotationX: -10,
+                    duration: 0.3,
+                    ease: "power2.in",
+                    overwrite: true,
+                    onComplete: () => {
+                        card.classList.replace('filtering-out', 'filtered-out');
+                        SOCProjectFilter.refreshScroll();
+                    }
+                }));
+            }
+        });
+        SOCProjectFilter.refreshScroll();
+    }
+
+    // Cards entering or leaving move the sections below, so the scroll reveals need new positions
+    static refreshScroll() {
+        if (typeof ScrollTrigger !== 'undefined') ScrollTrigger.refresh();
+    }
+
+    destroy() {
+        this.lifecycle.abort();
+        this.listeners = [];
+        if (this.emptyState) this.emptyState.remove();
+    }
+}
@@ -0,0 +1,132 @@
+// Quality tiers, lowest first - SOCQualityManager steps between them based on measured FPS
+export const SOC_QUALITY_TIERS = [
+    { name: 'low', pixelRatio: 1, particles: 150, streams: 8, shadows: false, gridFps: 5, screenFps: 1 },
+    { name: 'medium', pixelRatio: 1.5, particles: 300, streams: 18, shadows: false, gridFps: 10, screenFps: 2 },
+    { name: 'high', pixelRatio: 2, particles: 500, streams: 30, shadows: true, gridFps: 20, screenFps: 4 }
+];
+
+// Performance monitoring for SOC systems - turns the FPS monitor into a quality controller
+export class SOCQualityManager {
+    constructor(options = {}) {
+        this.tiers = options.tiers || SOC_QUALITY_TIERS;
+        this.lowFps = options.lowFps || 30;
+        this.highFps = options.highFps || 55;
+        this.downgradeAfter = options.downgradeAfter || 3;
+        this.upgradeAfter = options.upgradeAfter || 10;
+        // Seconds without a slow one before the upgrade backoff is halved again
+        this.relaxAfter = options.relaxAfter || 60;
+        // Tier changes are logged only when asked for (?debug)
+        this.verbose = Boolean(options.verbose);
+        this.listeners = [];
+
+        this.fps = 0;
+        this.history = [];
+        this.lowStreak = 0;
+        this.highStreak = 0;
+        this.upgradeBackoff = 1;
+        this.stableStreak = 0;
+        this.frameCount = 0;
+        this.windowStart = performance.now();
+
+        // ?quality=low|medium|high pins a tier for debugging
+        const requested = this.tiers.findIndex(tier => tier.name === options.tier);
+        this.index = requested >= 0 ? requested : this.tiers.length - 1;
+        this.pinned = requested >= 0;
+    }
+
+    get tier() {
+        return this.tiers[this.index];
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+        listener(this.tier, null);
+    }
+
+    setTier(nameOrIndex, pin = false) {
+        const index = typeof nameOrIndex === 'number'
+            ? nameOrIndex
+            : this.tiers.findIndex(tier => tier.name === nameOrIndex);
+        if (index < 0 || index >= this.tiers.length) {
+            throw new Error(`Unknown quality tier: ${nameOrIndex}`);
+        }
+
+        this.pinned = pin;
+        this.lowStreak = 0;
+        this.highStreak = 0;
+        if (index === this.index) return;
+        this.stableStreak = 0;
+
+        const previous = this.tier;
+        this.index = index;
+        document.documentElement.dataset.socQuality = this.tier.name;
+        if (this.verbose) console.info(`SOC quality: ${previous.name} -> ${this.tier.name} (${this.fps} fps)`);
+        this.listeners.forEach(listener => listener(this.tier, previous));
+    }
+
+    // Restarts measurement after a pause so the idle gap doesn't read as slow frames
+    reset(now = performance.now()) {
+        this.frameCount = 0;
+        this.windowStart = now;
+        this.lowStreak = 0;
+        this.highStreak = 0;
+    }
+
+    // Called once per rendered frame
+    sample(now = performance.now()) {
+        this.frameCount++;
+        const elapsed = now - this.windowStart;
+        if (elapsed < 1000) return;
+
+        this.fps = Math.round((this.frameCount * 1000) / elapsed);
+        this.frameCount = 0;
+        this.windowStart = now;
+        this.history.push(this.fps);
+        if (this.history.length > 30) {
+            this.history.shift();
+        }
+
+        // A long gap means the tab was throttled, not that rendering is slow
+        if (elapsed > 2000 || this.pinned) {
+            this.lowStreak = 0;
+            this.highStreak = 0;
+            return;
+        }
+
+        if (this.fps < this.lowFps) {
+            this.lowStreak++;
+            this.highStreak = 0;
+        } else if (this.fps >= this.highFps) {
+            this.highStreak++;
+            this.lowStreak = 0;
+        } else {
+            this.lowStreak = 0;
+            this.highStreak = 0;
+        }
+
+        // Dips while the page loads (shader compiles, font swaps) shouldn't hold upgrades back for good
+        this.stableStreak = this.fps < this.lowFps ? 0 : this.stableStreak + 1;
+        if (this.stableStreak >= this.relaxAfter && this.upgradeBackoff > 1) {
+            this.upgradeBackoff /= 2;
+            this.stableStreak = 0;
+        }
+
+        if (this.lowStreak >= this.downgradeAfter && this.index > 0) {
+            // Each downgrade makes the next upgrade attempt wait longer, so tiers don't flap
+            this.upgradeBackoff = Math.min(this.upgradeBackoff * 2, 8);
+            this.setTier(this.index - 1);
+        } else if (this.highStreak >= this.upgradeAfter * this.upgradeBackoff && this.index < this.tiers.length - 1) {
+            this.setTier(this.index + 1);
+        }
+    }
+
+    describe() {
+        return {
+            tier: this.tier.name,
+            settings: { ...this.tier },
+            fps: this.fps,
+            history: this.history.slice(),
+            pinned: this.pinned
+        };
+    }
+}
@@ -0,0 +1,57 @@
+// Seedable randomness for everything visual. Each part of the page draws from its own named stream,
+// so timers firing in one part can't shift the sequence another part sees. ?seed= fixes the seed;
+// otherwise every load picks one, readable as SOCRandom.seed to reproduce what was on screen.
+export class SOCRandom {
+    constructor(seed) {
+        this.state = seed >>> 0;
+    }
+
+    // mulberry32 - a 32-bit state is plenty for visuals
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    pick(items) {
+        return items[this.int(items.length)];
+    }
+
+    static init(seed = new URLSearchParams(window.location.search).get('seed')) {
+        SOCRandom.seed = seed !== null && seed !== '' ? String(seed) : Math.floor(Math.random() * 4294967296).toString(36);
+        SOCRandom.streams = new Map();
+        document.documentElement.dataset.socSeed = SOCRandom.seed;
+    }
+
+    // The same name returns the same generator until the next init()
+    static stream(name) {
+        if (SOCRandom.seed === null) SOCRandom.init();
+        if (!SOCRandom.streams.has(name)) {
+            SOCRandom.streams.set(name, new SOCRandom(SOCRandom.hash(`${SOCRandom.seed}/${name}`)));
+        }
+        return SOCRandom.streams.get(name);
+    }
+
+    // FNV-1a, so any seed string becomes 32 bits
+    static hash(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+        }
+        return hash >>> 0;
+    }
+}
+
+// Seeded on first use when init() hasn't run
+SOCRandom.seed = null;
+SOCRandom.streams = new Map();
@@ -0,0 +1,254 @@
+import { SOCI18n } from './i18n.js';
+import { SOCProfileRenderer } from './profile.js';
+
+// Résumé export - one content model built from the profile, serialised as JSON Resume and vCard
+// or rendered as a print document for "Save as PDF"
+export class SOCResume {
+    constructor(root, profile, { portfolio = null } = {}) {
+        this.root = root;
+        this.profile = profile;
+        this.portfolio = portfolio;
+        this.lifecycle = new AbortController();
+        const signal = this.lifecycle.signal;
+
+        this.printRoot = document.body.appendChild(SOCProfileRenderer.el('article', 'resume-print'));
+        this.printRoot.setAttribute('aria-hidden', 'true');
+
+        const el = SOCProfileRenderer.el;
+        const actions = [
+            ['export.json', () => this.downloadJSON()],
+            ['export.vcard', () => this.downloadVCard()],
+            ['export.print', () => window.print()]
+        ];
+        this.root.replaceChildren(
+            SOCI18n.bind(el('span', 'resume-export-label'), 'export.title'),
+            ...actions.map(([key, action]) => {
+                const button = SOCI18n.bind(el('button', 'resume-export-button', null, { 'type': 'button' }), key);
+                button.addEventListener('click', action, { signal });
+                return button;
+            })
+        );
+        SOCI18n.bind(this.root, 'export.label', null, 'aria-label');
+        this.root.setAttribute('role', 'group');
+
+        // Browser print (Ctrl+P included) gets the résumé document and a paused scene
+        window.addEventListener('beforeprint', () => {
+            this.renderDocument();
+            if (this.portfolio) this.portfolio.pause('print');
+        }, { signal });
+        window.addEventListener('afterprint', () => {
+            if (this.portfolio) this.portfolio.resume('print');
+        }, { signal });
+    }
+
+    // Everything the three formats share, in the current language
+    static model(profile) {
+        const { person, experience, skills, projects, badges } = SOCI18n.localize(profile);
+        const { contact } = person;
+        const place = (contact.location || '').split(',').map(part => part.trim()).filter(Boolean);
+        return {
+            name: person.name,
+            headline: person.headline,
+            summary: person.summary || [],
+            email: contact.email,
+            phone: contact.phone || null,
+            location: contact.location || null,
+            city: place.length ? place[0] : null,
+            country: place.length > 1 ? place[place.length - 1] : null,
+            url: `${window.location.origin}${window.location.pathname}`,
+            roles: experience.map(role => ({
+                title: role.title,
+                company: role.company,
+                location: role.location || null,
+                start: role.start,
+                end: role.end,
+                period: SOCProfileRenderer.period(role),
+                achievements: role.achievements || []
+            })),
+            skills: skills.map(category => ({
+                title: category.title,
+                items: category.items.map(skill => ({ name: skill.name, level: skill.level }))
+            })),
+            certifications: badges.filter(badge => badge.active).map(badge => badge.label),
+            inProgress: badges.filter(badge => !badge.active).map(badge => badge.label),
+            projects: projects.map(project => ({
+                title: project.title,
+                status: project.status,
+                description: project.description,
+                impact: project.impact || null,
+                tech: project.tech || []
+            }))
+        };
+    }
+
+    // https://jsonresume.org/schema - dates stay as the profile's YYYY-MM, which the schema allows
+    static jsonResume(model) {
+        const basics = {
+            name: model.name,
+            label: model.headline,
+            email: model.email,
+            url: model.url,
+            summary: model.summary.join('\n\n')
+        };
+        if (model.phone) basics.phone = model.phone;
+        if (model.city) basics.location = { city: model.city, ...(model.country ? { region: model.country } : {}) };
+
+        return {
+            $schema: 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json',
+            basics,
+            work: model.roles.map(role => ({
+                name: role.company,
+                position: role.title,
+                ...(role.location ? { location: role.location } : {}),
+                startDate: role.start,
+                ...(role.end ? { endDate: role.end } : {}),
+                highlights: role.achievements
+            })),
+            // One entry per skill keeps its level; the keyword is its domain
+            skills: model.skills.flatMap(category => category.items.map(skill => ({
+                name: skill.name,
+                level: `${skill.level}%`,
+                keywords: [category.title]
+            }))),
+            certificates: model.certifications.map(name => ({ name })),
+            projects: model.projects.map(project => ({
+                name: project.title,
+                description: project.description,
+                ...(project.impact ? { highlights: [project.impact] } : {}),
+                keywords: project.tech
+            })),
+            meta: { version: 'v1.0.0', canonical: model.url, lastModified: new Date().toISOString().slice(0, 19) }
+        };
+    }
+
+    // vCard 4.0 (RFC 6350) for the contact block, CRLF line endings and lines folded at 75 octets
+    static vcard(model) {
+        const escape = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/([,;])/g, '\\$1');
+        const current = model.roles.find(role => !role.end) || model.roles[0];
+        const lines = [
+            'BEGIN:VCARD',
+            'VERSION:4.0',
+            `FN:${escape(model.name)}`,
+            `N:;${escape(model.name)};;;`,
+            `TITLE:${escape(current ? current.title : model.headline)}`
+        ];
+        if (current) lines.push(`ORG:${escape(current.company)}`);
+        lines.push(`EMAIL;TYPE=work:${escape(model.email)}`);
+        if (model.phone) lines.push(`TEL;VALUE=uri;TYPE=cell:tel:${model.phone.replace(/[^\d+]/g, '')}`);
+        if (model.city) lines.push(`ADR;TYPE=work:;;;${escape(model.city)};;;${escape(model.country || '')}`);
+        lines.push(`URL:${model.url}`, `NOTE:${escape(model.headline)}`, `REV:${new Date().toISOString().replace(/[-:]|\.\d+/g, '')}`, 'END:VCARD');
+        return `${lines.map(SOCResume.fold).join('\r\n')}\r\n`;
+    }
+
+    // Continuation lines start with a space; multi-byte characters are never split
+    static fold(line) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        let part = '';
+        let octets = 0;
+        Array.from(line).forEach(char => {
+            const size = encoder.encode(char).length;
+            const limit = parts.length ? 74 : 75;
+            if (octets + size > limit) {
+                parts.push(part);
+                part = '';
+                octets = 0;
+            }
+            part += char;
+            octets += size;
+        });
+        parts.push(part);
+        return parts.join('\r\n ');
+    }
+
+    static download(name, type, content) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = SOCProfileRenderer.el('a', null, null, { 'href': url, 'download': name });
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    get slug() {
+        return this.profile.person.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    }
+
+    downloadJSON() {
+        const resume = SOCResume.jsonResume(SOCResume.model(this.profile));
+        SOCResume.download(`${this.slug}-resume.json`, 'application/json', `${JSON.stringify(resume, null, 2)}\n`);
+    }
+
+    downloadVCard() {
+        SOCResume.download(`${this.slug}.vcf`, 'text/vcard', SOCResume.vcard(SOCResume.model(this.profile)));
+    }
+
+    // The print document; the print stylesheet shows only this
+    renderDocument() {
+        const model = SOCResume.model(this.profile);
+        const el = SOCProfileRenderer.el;
+        const t = SOCI18n.t;
+        const section = (key, ...children) => {
+            const block = el('section', 'resume-section');
+            block.append(el('h2', null, t(key)), ...children);
+            return block;
+        };
+
+        const header = el('header', 'resume-header');
+        header.append(
+            el('h1', null, model.name),
+            el('p', 'resume-headline', model.headline),
+            el('p', 'resume-contact', [model.email, model.phone, model.location, model.url].filter(Boolean).join(' · '))
+        );
+
+        const roles = model.roles.map(role => {
+            const entry = el('div', 'resume-entry');
+            const achievements = el('ul');
+            role.achievements.forEach(text => achievements.appendChild(el('li', null, text)));
+            entry.append(
+                el('h3', null, role.title),
+                el('div', 'resume-meta', [role.company, role.location, role.period].filter(Boolean).join(' · ')),
+                achievements
+            );
+            return entry;
+        });
+
+        const skills = el('dl', 'resume-skills');
+        model.skills.forEach(category => {
+            skills.append(
+                el('dt', null, category.title),
+                el('dd', null, category.items.map(skill => `${skill.name} (${skill.level}%)`).join(', '))
+            );
+        });
+
+        const certifications = el('ul', 'resume-certifications');
+        model.certifications.forEach(name => certifications.appendChild(el('li', null, name)));
+        model.inProgress.forEach(name => certifications.appendChild(el('li', null, `${name} (${t('resume.inProgress')})`)));
+
+        const projects = model.projects.map(project => {
+            const entry = el('div', 'resume-entry');
+            entry.append(
+                el('h3', null, project.title),
+                el('div', 'resume-meta', [project.status, project.tech.join(', ')].filter(Boolean).join(' · ')),
+                el('p', null, project.description)
+            );
+            if (project.impact) entry.appendChild(el('p', 'resume-impact', project.impact));
+            return entry;
+        });
+
+        this.printRoot.lang = SOCI18n.current;
+        this.printRoot.replaceChildren(
+            header,
+            section('resume.summary', ...model.summary.map(paragraph => el('p', null, paragraph))),
+            section('resume.experience', ...roles),
+            section('resume.skills', skills),
+            section('resume.certifications', certifications),
+            section('resume.projects', ...projects)
+        );
+    }
+
+    destroy() {
+        this.lifecycle.abort();
+        this.printRoot.remove();
+    }
+}
@@ -0,0 +1,155 @@
+import { ScrollTrigger } from './env.js';
+import { SOCMotion } from './motion.js';
+import { SOCPortfolio } from './portfolio.js';
+
+// Section routing - #section and #section/item deep links, history entries for in-page
+// navigation and the active nav item tracked with ScrollTrigger
+export class SOCRouter {
+    constructor({ nav = document.querySelector('.nav') } = {}) {
+        this.nav = nav;
+        this.listeners = [];
+        this.triggers = [];
+        this.active = null;
+        this.lifecycle = new AbortController();
+        const signal = this.lifecycle.signal;
+
+        // Any in-page link that names a route; modified clicks still open new tabs
+        document.addEventListener('click', (event) => {
+            if (event.defaultPrevented || event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+            const link = event.target.closest && event.target.closest('a[href^="#"]');
+            if (!link || !this.resolve(SOCRouter.parse(link.getAttribute('href')))) return;
+            event.preventDefault();
+            this.navigate(link.getAttribute('href'));
+        }, { signal });
+
+        // Back/forward, and hashes typed into the address bar
+        window.addEventListener('popstate', () => this.show(SOCRouter.parse(window.location.hash)), { signal });
+
+        this.trackSections();
+    }
+
+    // '#projects/kql-hunting' -> { section: 'projects', item: 'kql-hunting' }; null for an empty hash
+    static parse(hash) {
+        const [section, ...rest] = String(hash || '').replace(/^#/, '').split('/');
+        if (!section) return null;
+        const item = rest.join('/');
+        return { section: decodeURIComponent(section), item: item ? decodeURIComponent(item) : null };
+    }
+
+    static href(route) {
+        return `#${encodeURIComponent(route.section)}${route.item ? `/${encodeURIComponent(route.item)}` : ''}`;
+    }
+
+    // The section element and, for a deep link, the item inside it; null when the route names neither
+    resolve(route) {
+        if (!route) return null;
+        const section = document.querySelector(`main > section[id="${CSS.escape(route.section)}"]`);
+        if (!section) return null;
+        if (!route.item) return { section, item: null };
+
+        const selector = SOCRouter.items[route.section];
+        const item = selector ? section.querySelector(selector(CSS.escape(route.item))) : null;
+        return item ? { section, item, selector: selector(CSS.escape(route.item)) } : null;
+    }
+
+    // Goes to the route and records it in history; the same route again only scrolls
+    navigate(hash, { replace = false } = {}) {
+        const route = SOCRouter.parse(hash);
+        if (!this.resolve(route)) return false;
+
+        const url = new URL(window.location.href);
+        url.hash = SOCRouter.href(route);
+        if (url.href !== window.location.href) {
+            try {
+                history[replace ? 'replaceState' : 'pushState'](null, '', url);
+            } catch (error) {
+                // Sandboxed frames can refuse history updates; scrolling still works
+            }
+        }
+        this.show(route);
+        return true;
+    }
+
+    // Scrolls to the route without touching history; instant on load and under reduced motion
+    show(route, { instant = false } = {}) {
+        const target = this.resolve(route);
+        if (!target) {
+            if (!route) window.scrollTo({ top: 0, behavior: instant || SOCMotion.reduced ? 'auto' : 'smooth' });
+            return;
+        }
+
+        this.setActive(route.section);
+        if (target.item) {
+            SOCPortfolio.focusContent(target.selector);
+        } else {
+            const offset = this.nav ? this.nav.offsetHeight : 0;
+            const top = target.section.getBoundingClientRect().top + window.scrollY - offset;
+            window.scrollTo({ top, behavior: instant || SOCMotion.reduced ? 'auto' : 'smooth' });
+        }
+
+        // Keyboard and screen reader users continue from the section they jumped to
+        const focusable = target.item && target.item.matches('a, button, input, select, textarea, [tabindex]') ? target.item : target.section;
+        if (focusable === target.section && !focusable.hasAttribute('tabindex')) focusable.setAttribute('tabindex', '-1');
+        focusable.focus({ preventScroll: true });
+
+        this.listeners.forEach(listener => listener(route, target));
+    }
+
+    // Follows the deep link the page was opened with, once the sections it points into are rendered
+    start() {
+        const route = SOCRouter.parse(window.location.hash);
+        if (this.resolve(route)) this.show(route, { instant: true });
+    }
+
+    // Listeners get the route and its resolved elements after each navigation
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    // The section crossing the middle of the viewport owns the nav highlight
+    trackSections() {
+        if (typeof ScrollTrigger === 'undefined' || !this.nav) return;
+        this.nav.querySelectorAll('.nav-link[href^="#"]').forEach(link => {
+            const route = SOCRouter.parse(link.getAttribute('href'));
+            const target = this.resolve(route);
+            if (!target) return;
+            this.triggers.push(ScrollTrigger.create({
+                trigger: target.section,
+                start: 'top center',
+                end: 'bottom center',
+                onToggle: self => {
+                    if (self.isActive) this.setActive(route.section);
+                }
+            }));
+        });
+    }
+
+    setActive(section) {
+        if (section === this.active || !this.nav) return;
+        this.active = section;
+        this.nav.querySelectorAll('.nav-link[href^="#"]').forEach(link => {
+            const current = SOCRouter.parse(link.getAttribute('href')).section === section;
+            link.classList.toggle('active', current);
+            if (current) {
+                link.setAttribute('aria-current', 'location');
+            } else {
+                link.removeAttribute('aria-current');
+            }
+        });
+    }
+
+    destroy() {
+        this.lifecycle.abort();
+        this.triggers.forEach(trigger => trigger.kill());
+        this.triggers = [];
+        this.listeners = [];
+    }
+}
+
+// Deep-linkable items per section, by the id after the slash
+SOCRouter.items = {
+    skills: id => `.skill-category[data-category="${id}"]`,
+    experience: id => `.timeline-item[data-role="${id}"]`,
+    attack: id => `.attack-cell[data-technique="${id}"]`,
+    projects: id => `.project-card[data-project="${id}"]`
+};
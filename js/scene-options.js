@@ -0,0 +1,205 @@
+import { SOCProfileRenderer } from './profile.js';
+import { SOCTheme } from './theme.js';
+
+// Tunable scene parameters with their defaults and ranges. Options with a rebuild part rebuild those
+// meshes when they change; colour options are null to follow the active theme.
+export const SOC_SCENE_OPTIONS = {
+    screenCount: { group: 'Counts', value: 8, min: 0, max: 24, step: 1, integer: true, rebuild: 'screens' },
+    nodeCount: { group: 'Counts', value: 12, min: 0, max: 48, step: 1, integer: true, rebuild: 'nodes' },
+    alertCount: { group: 'Counts', value: 500, min: 0, max: 5000, step: 50, integer: true, rebuild: 'particles' },
+    streamCount: { group: 'Counts', value: 30, min: 0, max: 120, step: 1, integer: true, rebuild: 'streams' },
+    screenRadius: { group: 'Layout', value: 18, min: 5, max: 60, step: 0.5 },
+    nodeRadius: { group: 'Layout', value: 25, min: 5, max: 80, step: 0.5 },
+    fogNear: { group: 'Layout', value: 10, min: 0, max: 500, step: 1 },
+    fogFar: { group: 'Layout', value: 200, min: 1, max: 1000, step: 1 },
+    hubSpeed: { group: 'Speed', value: 0.003, min: 0, max: 0.05, step: 0.001 },
+    ringSpeed: { group: 'Speed', value: 0.005, min: 0, max: 0.05, step: 0.001 },
+    screenSpeed: { group: 'Speed', value: 0.002, min: 0, max: 0.05, step: 0.001 },
+    nodeSpeed: { group: 'Speed', value: 0.008, min: 0, max: 0.05, step: 0.001 },
+    streamSpeed: { group: 'Speed', value: 1, min: 0, max: 5, step: 0.1 },
+    particleSpeed: { group: 'Speed', value: 1, min: 0, max: 5, step: 0.1 },
+    cameraFov: { group: 'Camera', value: 60, min: 20, max: 120, step: 1 },
+    cameraHeight: { group: 'Camera', value: 5, min: -20, max: 40, step: 0.5 },
+    cameraDistance: { group: 'Camera', value: 35, min: 5, max: 150, step: 0.5 },
+    cameraDrift: { group: 'Camera', value: 1, min: 0, max: 3, step: 0.1 },
+    ambientIntensity: { group: 'Lighting', value: 0.3, min: 0, max: 3, step: 0.05 },
+    spotIntensity: { group: 'Lighting', value: 1, min: 0, max: 5, step: 0.05 },
+    criticalLightIntensity: { group: 'Lighting', value: 0.8, min: 0, max: 5, step: 0.05 },
+    highlightLightIntensity: { group: 'Lighting', value: 0.6, min: 0, max: 5, step: 0.05 },
+    accentColor: { group: 'Colours', type: 'color', value: null },
+    highlightColor: { group: 'Colours', type: 'color', value: null },
+    surfaceColor: { group: 'Colours', type: 'color', value: null },
+    frameColor: { group: 'Colours', type: 'color', value: null },
+    backgroundColor: { group: 'Colours', type: 'color', value: null },
+    lowColor: { group: 'Colours', type: 'color', value: null },
+    mediumColor: { group: 'Colours', type: 'color', value: null },
+    highColor: { group: 'Colours', type: 'color', value: null },
+    criticalColor: { group: 'Colours', type: 'color', value: null }
+};
+
+// Validation of scene options. Unknown names and unusable values are dropped with a warning;
+// numbers outside their range are clamped.
+export class SOCSceneOptions {
+    static defaults() {
+        return Object.fromEntries(Object.entries(SOC_SCENE_OPTIONS).map(([name, spec]) => [name, spec.value]));
+    }
+
+    static resolve(overrides = {}, base = SOCSceneOptions.defaults()) {
+        const options = { ...base };
+        Object.entries(overrides).forEach(([name, value]) => {
+            const spec = SOC_SCENE_OPTIONS[name];
+            if (!spec) {
+                console.warn(`Unknown scene option: ${name}`);
+                return;
+            }
+            const valid = SOCSceneOptions.validate(spec, value);
+            if (valid === undefined) {
+                console.warn(`Ignoring scene option ${name}=${value}, keeping ${options[name]}`);
+                return;
+            }
+            if (spec.type !== 'color' && (Number(value) < spec.min || Number(value) > spec.max)) {
+                console.warn(`Scene option ${name}=${value} is outside ${spec.min}-${spec.max}, using ${valid}`);
+            }
+            options[name] = valid;
+        });
+        return options;
+    }
+
+    // The usable value, or undefined; colours become '#rrggbb', and null or '' means the theme colour
+    static validate(spec, value) {
+        if (spec.type === 'color') {
+            if (value === null || value === '') return null;
+            const hex = typeof value === 'number' ? value.toString(16).padStart(6, '0') : String(value).replace(/^#/, '');
+            return /^[0-9a-f]{6}$/i.test(hex) ? `#${hex.toLowerCase()}` : undefined;
+        }
+        if (typeof value !== 'number' && (typeof value !== 'string' || !value.trim())) return undefined;
+        const number = Number(value);
+        if (!Number.isFinite(number)) return undefined;
+        return Math.min(spec.max, Math.max(spec.min, spec.integer ? Math.round(number) : number));
+    }
+
+    // ?scene-node-count=24&scene-accent-color=ff0066 -> { nodeCount: '24', accentColor: 'ff0066' }
+    static fromQuery(search) {
+        const overrides = {};
+        new URLSearchParams(search).forEach((value, key) => {
+            if (!key.startsWith('scene-')) return;
+            overrides[key.slice(6).replace(/-([a-z])/g, (match, letter) => letter.toUpperCase())] = value;
+        });
+        return overrides;
+    }
+
+    static param(name) {
+        return `scene-${name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`;
+    }
+}
+
+// Developer tuning panel, opened with ?debug. Every scene option gets a control that applies live,
+// and the resulting options can be copied as JSON for the SOCPortfolio constructor.
+export class SOCSceneTuner {
+    constructor(portfolio, { parent = document.body } = {}) {
+        this.portfolio = portfolio;
+        this.controls = new Map();
+        this.lifecycle = new AbortController();
+        const signal = this.lifecycle.signal;
+        const el = SOCProfileRenderer.el;
+
+        this.element = el('details', 'scene-tuner', null, { 'open': '' });
+        this.element.appendChild(el('summary', null, 'Scene options'));
+
+        const groups = new Map();
+        Object.entries(SOC_SCENE_OPTIONS).forEach(([name, spec]) => {
+            if (!groups.has(spec.group)) {
+                const fieldset = el('fieldset', 'scene-tuner-group');
+                fieldset.appendChild(el('legend', null, spec.group));
+                groups.set(spec.group, fieldset);
+            }
+            groups.get(spec.group).appendChild(this.createControl(name, spec, signal));
+        });
+        this.element.append(...groups.values());
+
+        const copy = el('button', 'scene-tuner-button', 'Copy JSON', { 'type': 'button' });
+        const reset = el('button', 'scene-tuner-button', 'Reset', { 'type': 'button' });
+        this.status = el('span', 'scene-tuner-status', null, { 'role': 'status' });
+        copy.addEventListener('click', () => this.copy(), { signal });
+        reset.addEventListener('click', () => this.update(SOCSceneOptions.defaults()), { signal });
+        const actions = el('div', 'scene-tuner-actions');
+        actions.append(copy, reset, this.status);
+        // Where the clipboard is unavailable the JSON is shown here to copy by hand
+        this.output = el('textarea', 'scene-tuner-json', null, { 'readonly': '', 'rows': '8', 'aria-label': 'Scene options JSON' });
+        this.output.hidden = true;
+        this.element.append(actions, this.output);
+
+        parent.appendChild(this.element);
+        // Colours left to the theme show the new theme's values
+        SOCTheme.onChange(() => this.sync(), signal);
+        this.sync();
+    }
+
+    // A slider with its value, or a colour picker with a 'theme' box that hands the colour back to the theme
+    createControl(name, spec, signal) {
+        const el = SOCProfileRenderer.el;
+        const id = `scene-tuner-${name}`;
+        const row = el('div', 'scene-tuner-row');
+        row.appendChild(el('label', null, name.replace(/[A-Z]/g, letter => ` ${letter.toLowerCase()}`), { 'for': id }));
+
+        if (spec.type === 'color') {
+            const input = el('input', null, null, { 'type': 'color', 'id': id });
+            const theme = el('input', null, null, { 'type': 'checkbox', 'aria-label': `${name} follows the theme` });
+            const themeLabel = el('label', 'scene-tuner-theme', ' theme');
+            themeLabel.prepend(theme);
+            input.addEventListener('input', () => this.update({ [name]: input.value }), { signal });
+            theme.addEventListener('change', () => this.update({ [name]: theme.checked ? null : input.value }), { signal });
+            row.append(input, themeLabel);
+            this.controls.set(name, { input, theme });
+            return row;
+        }
+
+        const input = el('input', null, null, { 'type': 'range', 'id': id, 'min': spec.min, 'max': spec.max, 'step': spec.step });
+        const output = el('output', null, null, { 'for': id });
+        // Rebuilding on every slider step would stall the scene, so counts apply when the slider is released
+        input.addEventListener(spec.rebuild ? 'change' : 'input', () => this.update({ [name]: input.value }), { signal });
+        if (spec.rebuild) input.addEventListener('input', () => { output.textContent = input.value; }, { signal });
+        row.append(input, output);
+        this.controls.set(name, { input, output });
+        return row;
+    }
+
+    update(changes) {
+        this.portfolio.setOptions(changes);
+        this.sync();
+    }
+
+    // Controls show the options as the portfolio resolved them, including clamping
+    sync() {
+        const options = this.portfolio.options;
+        this.controls.forEach(({ input, output, theme }, name) => {
+            if (theme) {
+                theme.checked = options[name] === null;
+                input.value = options[name] || SOCTheme.color(name.replace(/Color$/, ''));
+            } else {
+                input.value = options[name];
+                output.textContent = options[name];
+            }
+        });
+    }
+
+    async copy() {
+        const json = JSON.stringify(this.portfolio.options, null, 4);
+        try {
+            await navigator.clipboard.writeText(json);
+            this.output.hidden = true;
+            this.status.textContent = 'Copied';
+        } catch (error) {
+            this.output.value = json;
+            this.output.hidden = false;
+            this.output.focus();
+            this.output.select();
+            this.status.textContent = 'Copy failed - select the JSON below';
+        }
+    }
+
+    destroy() {
+        this.lifecycle.abort();
+        this.element.remove();
+    }
+}
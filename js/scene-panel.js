@@ -0,0 +1,66 @@
+import { gsap } from './env.js';
+import { SOCI18n } from './i18n.js';
+import { SOCMotion } from './motion.js';
+
+// Overlay detail panel for items selected in the 3D scene
+export class SOCScenePanel {
+    constructor(element, { onNavigate, onClose, signal }) {
+        this.element = element;
+        this.onNavigate = onNavigate;
+        this.onClose = onClose;
+        this.target = null;
+        this.returnFocus = null;
+
+        element.querySelector('.scene-panel-close').addEventListener('click', () => this.close(), { signal });
+        element.querySelector('.scene-panel-goto').addEventListener('click', () => {
+            const target = this.target;
+            this.close(false);
+            this.onNavigate(target);
+        }, { signal });
+        element.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape') this.close();
+        }, { signal });
+    }
+
+    get isOpen() {
+        return !this.element.hidden;
+    }
+
+    open(target) {
+        this.render(target);
+        if (!this.isOpen) {
+            this.returnFocus = document.activeElement;
+        }
+        this.element.hidden = false;
+        this.element.focus();
+        gsap.fromTo(this.element, SOCMotion.from({ opacity: 0, x: 40 }), SOCMotion.to({ opacity: 1, x: 0, duration: 0.3, ease: "power2.out" }));
+    }
+
+    // Fills the panel in place; also used to relabel an open panel after a language switch
+    render(target) {
+        this.target = target;
+        this.element.dataset.severity = target.severity;
+        this.element.querySelector('.scene-panel-kind').textContent = SOCI18n.t(`panel.kind.${target.kind}`);
+        this.element.querySelector('.scene-panel-title').textContent = target.title;
+        this.element.querySelector('.scene-panel-subtitle').textContent = target.subtitle || '';
+        this.element.querySelector('.scene-panel-summary').textContent = target.summary || '';
+
+        const details = this.element.querySelector('.scene-panel-details');
+        details.replaceChildren(...(target.details || []).map(text => {
+            const item = document.createElement('li');
+            item.textContent = text;
+            return item;
+        }));
+    }
+
+    close(restoreFocus = true) {
+        if (!this.isOpen) return;
+
+        this.element.hidden = true;
+        this.target = null;
+        if (restoreFocus && this.returnFocus && this.returnFocus.focus) {
+            this.returnFocus.focus();
+        }
+        this.onClose();
+    }
+}
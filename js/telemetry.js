@@ -0,0 +1,240 @@
+import { SOCI18n } from './i18n.js';
+
+// Alert telemetry - recorded event logs (JSON or CSV) replayed through the hero scene
+export class SOCTelemetry {
+    static async load(url) {
+        const response = await fetch(url, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`Failed to load telemetry from ${url} (HTTP ${response.status})`);
+        }
+
+        const text = await response.text();
+        const type = response.headers.get('content-type') || '';
+        let rows;
+        if (/\.csv([?#]|$)/i.test(url) || type.includes('text/csv')) {
+            rows = SOCTelemetry.parseCSV(text);
+        } else {
+            const data = JSON.parse(text);
+            rows = Array.isArray(data) ? data : data.events;
+        }
+
+        const events = SOCTelemetry.normalize(rows || []);
+        if (!events.length) {
+            throw new Error(`No usable events in ${url}`);
+        }
+        return events;
+    }
+
+    // Header row names the columns; quoted fields may contain commas, newlines and "" escapes
+    static parseCSV(text) {
+        const records = [];
+        let record = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                record.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                record.push(field);
+                records.push(record);
+                record = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (field || record.length) {
+            record.push(field);
+            records.push(record);
+        }
+
+        const rows = records.filter(fields => fields.some(value => value.trim()));
+        if (!rows.length) return [];
+        const header = rows[0].map(name => name.trim().toLowerCase());
+        return rows.slice(1).map(fields => Object.fromEntries(header.map((name, i) => [name, (fields[i] || '').trim()])));
+    }
+
+    // Sorted {time, severity (0-3), source, technique}; rows without a valid time or severity are dropped
+    static normalize(rows) {
+        let skipped = 0;
+        const events = [];
+        rows.forEach(row => {
+            const time = Date.parse(row.timestamp);
+            const severity = SOCTelemetry.severityIndex(row.severity);
+            if (Number.isNaN(time) || severity < 0) {
+                skipped++;
+                return;
+            }
+            events.push({
+                time: time,
+                severity: severity,
+                source: String(row.source || 'unknown'),
+                technique: row.technique ? String(row.technique) : null
+            });
+        });
+
+        if (skipped) {
+            console.warn(`Telemetry: skipped ${skipped} event(s) without a valid timestamp or severity`);
+        }
+        return events.sort((a, b) => a.time - b.time);
+    }
+
+    static severityIndex(value) {
+        if (typeof value === 'number' || /^\d$/.test(value)) {
+            const index = Number(value);
+            return index >= 0 && index <= 3 ? index : -1;
+        }
+        return ['low', 'medium', 'high', 'critical'].indexOf(String(value || '').trim().toLowerCase());
+    }
+
+    // Stable angle per source so each sensor's alerts arrive from the same side of the hub
+    static bearing(source) {
+        let hash = 0;
+        for (let i = 0; i < source.length; i++) {
+            hash = (hash * 31 + source.charCodeAt(i)) | 0;
+        }
+        return ((hash >>> 0) % 360) * Math.PI / 180;
+    }
+}
+
+// Replay clock over a sorted event list. advance() returns the events that fell due.
+export class SOCTelemetryPlayer {
+    constructor(events, { speed = 600, loop = true } = {}) {
+        this.events = events;
+        this.speed = speed;
+        this.loop = loop;
+        this.start = events[0].time;
+        this.end = events[events.length - 1].time;
+        this.listeners = [];
+        this.seek(0);
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+
+    // Offset in recorded milliseconds from the first event
+    seek(offset) {
+        this.clock = this.start + Math.max(0, offset);
+        this.cursor = this.events.findIndex(event => event.time >= this.clock);
+        if (this.cursor < 0) this.cursor = this.events.length;
+        this.replayed = [0, 0, 0, 0];
+        this.finished = false;
+        this.notify();
+    }
+
+    setSpeed(speed) {
+        this.speed = Math.max(0, speed);
+        this.notify();
+    }
+
+    setLoop(loop) {
+        this.loop = loop;
+        if (loop && this.finished) this.seek(0);
+        this.notify();
+    }
+
+    get progress() {
+        return this.end > this.start ? Math.max(0, this.clock - this.start) / (this.end - this.start) : 1;
+    }
+
+    advance(deltaMs) {
+        if (this.finished) return [];
+
+        this.clock += deltaMs * this.speed;
+        const due = [];
+        while (this.cursor < this.events.length && this.events[this.cursor].time <= this.clock) {
+            const event = this.events[this.cursor++];
+            this.replayed[event.severity]++;
+            due.push(event);
+        }
+
+        if (this.cursor >= this.events.length) {
+            if (this.loop) {
+                // A quiet replayed minute between passes keeps a one-event log from firing every frame
+                this.clock = this.start - 60000;
+                this.cursor = 0;
+                this.replayed = [0, 0, 0, 0];
+            } else {
+                this.finished = true;
+            }
+            this.notify();
+        }
+        return due;
+    }
+}
+
+// Replay controls in the hero: clock, per-severity counts, speed and loop
+export class SOCTelemetryHud {
+    constructor(element, player, signal) {
+        this.element = element;
+        this.player = player;
+        this.speeds = [1, 10, 60, 600];
+        this.clock = element.querySelector('.telemetry-clock');
+        this.counts = element.querySelector('.telemetry-counts');
+        this.speedButton = element.querySelector('.telemetry-speed');
+        this.loopButton = element.querySelector('.telemetry-loop');
+
+        this.speedButton.addEventListener('click', () => {
+            const next = this.speeds.find(speed => speed > player.speed) || this.speeds[0];
+            player.setSpeed(next);
+        }, { signal });
+        this.loopButton.addEventListener('click', () => player.setLoop(!player.loop), { signal });
+        player.onChange(() => this.update());
+        SOCI18n.onChange(() => this.update(), signal);
+
+        element.hidden = false;
+        this.timer = null;
+        this.resume();
+    }
+
+    // The clock only moves while the scene renders, so the HUD stops and starts with it
+    pause() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    resume() {
+        if (this.timer !== null) return;
+        this.update();
+        this.timer = setInterval(() => this.update(), 1000);
+    }
+
+    destroy() {
+        this.pause();
+        this.element.hidden = true;
+    }
+
+    update() {
+        const player = this.player;
+        const time = new Date(Math.max(player.clock, player.start));
+        this.clock.textContent = `${time.toISOString().slice(11, 19)} UTC${player.finished ? ' · END' : ''}`;
+        this.counts.replaceChildren(...['low', 'medium', 'high', 'critical'].map((level, index) => {
+            const count = document.createElement('span');
+            count.className = `telemetry-count telemetry-count--${level}`;
+            count.textContent = `${SOCI18n.t(`threat.${level}`).toLocaleUpperCase(SOCI18n.intl)} ${player.replayed[index]}`;
+            return count;
+        }).reverse());
+        this.speedButton.textContent = `${player.speed}×`;
+        this.loopButton.setAttribute('aria-pressed', String(player.loop));
+    }
+}
@@ -0,0 +1,529 @@
+import { SOCPortfolio } from './portfolio.js';
+import { SOCI18n } from './i18n.js';
+import { SOCProfile, SOCProfileRenderer } from './profile.js';
+import { SOCTheme, SOC_THEMES } from './theme.js';
+
+// Command console overlay. Commands read the same profile as the rendered sections, in the current
+// language, and, unless text-only mode is on, scroll to and highlight the element they describe.
+// The commands and their messages stay in English, like any shell.
+export class SOCTerminal {
+    constructor(element, profile, { toggle = null } = {}) {
+        this.element = element;
+        this.source = profile;
+        this.toggle = toggle;
+        this.output = element.querySelector('.terminal-output');
+        this.form = element.querySelector('.terminal-form');
+        this.input = element.querySelector('.terminal-input');
+        this.modeToggle = element.querySelector('.terminal-mode');
+        this.historyKey = 'soc-terminal-history';
+        this.modeKey = 'soc-terminal-mode';
+        this.maxHistory = 50;
+        this.maxLines = 400;
+        this.history = this.loadHistory();
+        this.historyIndex = this.history.length;
+        this.draft = '';
+        this.returnFocus = null;
+        this.greeted = false;
+        this.lifecycle = new AbortController();
+        this.commands = this.createCommands();
+
+        this.textOnly = this.storedMode === 'text';
+        this.modeToggle.checked = this.textOnly;
+
+        const signal = this.lifecycle.signal;
+        this.form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            const line = this.input.value;
+            this.input.value = '';
+            this.execute(line);
+        }, { signal });
+        this.input.addEventListener('keydown', (event) => this.onKeydown(event), { signal });
+        this.modeToggle.addEventListener('change', () => this.setTextOnly(this.modeToggle.checked), { signal });
+        element.querySelector('.terminal-close').addEventListener('click', () => this.close(), { signal });
+        if (toggle) {
+            toggle.addEventListener('click', () => (this.isOpen ? this.close() : this.open()), { signal });
+        }
+
+        // ` opens and closes the console from anywhere except while typing in a field
+        document.addEventListener('keydown', (event) => {
+            if (event.key !== '`' || event.ctrlKey || event.metaKey || event.altKey) return;
+            if (event.target !== this.input && event.target.closest('input, textarea, select, [contenteditable]')) return;
+            event.preventDefault();
+            if (this.isOpen) {
+                this.close();
+            } else {
+                this.open();
+            }
+        }, { signal });
+    }
+
+    // The profile as the page shows it, translated into the current language
+    get profile() {
+        return this.source ? SOCI18n.localize(this.source) : null;
+    }
+
+    get isOpen() {
+        return !this.element.hidden;
+    }
+
+    open() {
+        if (!this.isOpen) {
+            this.returnFocus = document.activeElement;
+        }
+        this.element.hidden = false;
+        if (this.toggle) this.toggle.setAttribute('aria-expanded', 'true');
+        if (!this.greeted) {
+            this.greeted = true;
+            this.print('SOC console ready. Type "help" for commands, Tab to complete, ` or Esc to close.', 'accent');
+        }
+        this.input.focus();
+    }
+
+    close() {
+        if (!this.isOpen) return;
+        this.element.hidden = true;
+        if (this.toggle) this.toggle.setAttribute('aria-expanded', 'false');
+        if (this.returnFocus && this.returnFocus.focus && this.returnFocus !== document.body) {
+            this.returnFocus.focus();
+        }
+    }
+
+    destroy() {
+        this.lifecycle.abort();
+        this.element.hidden = true;
+    }
+
+    get storedMode() {
+        try {
+            return localStorage.getItem(this.modeKey);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Text-only mode keeps focus and output in the console instead of moving around the page
+    setTextOnly(textOnly) {
+        this.textOnly = textOnly;
+        this.modeToggle.checked = textOnly;
+        try {
+            localStorage.setItem(this.modeKey, textOnly ? 'text' : 'visual');
+        } catch (error) {
+            console.warn('Terminal mode could not be saved:', error);
+        }
+    }
+
+    loadHistory() {
+        try {
+            const history = JSON.parse(localStorage.getItem(this.historyKey));
+            return Array.isArray(history) ? history : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    remember(line) {
+        if (line && line !== this.history[this.history.length - 1]) {
+            this.history.push(line);
+            this.history = this.history.slice(-this.maxHistory);
+            try {
+                localStorage.setItem(this.historyKey, JSON.stringify(this.history));
+            } catch (error) {
+                console.warn('Terminal history could not be saved:', error);
+            }
+        }
+        this.historyIndex = this.history.length;
+        this.draft = '';
+    }
+
+    onKeydown(event) {
+        if (event.key === 'Tab' && !event.shiftKey) {
+            // Tab only leaves the console when there is nothing to complete
+            if (this.input.value.trim()) {
+                event.preventDefault();
+                this.complete();
+            }
+        } else if (event.key === 'ArrowUp' || event.key === 'ArrowDown') {
+            event.preventDefault();
+            this.browseHistory(event.key === 'ArrowUp' ? -1 : 1);
+        } else if (event.key === 'Escape') {
+            event.preventDefault();
+            this.close();
+        } else if (event.key === 'l' && event.ctrlKey) {
+            event.preventDefault();
+            this.output.replaceChildren();
+        }
+    }
+
+    browseHistory(step) {
+        if (this.historyIndex === this.history.length) {
+            this.draft = this.input.value;
+        }
+        this.historyIndex = Math.min(this.history.length, Math.max(0, this.historyIndex + step));
+        this.input.value = this.historyIndex === this.history.length ? this.draft : this.history[this.historyIndex];
+    }
+
+    print(text, kind = 'info') {
+        String(text).split('\n').forEach(line => {
+            const row = document.createElement('div');
+            row.className = `terminal-line terminal-line--${kind}`;
+            row.textContent = line;
+            this.output.appendChild(row);
+        });
+        while (this.output.childElementCount > this.maxLines) {
+            this.output.firstElementChild.remove();
+        }
+        this.output.scrollTop = this.output.scrollHeight;
+    }
+
+    // Fixed-width columns for listings
+    printRows(rows) {
+        const widths = rows[0].map((_, column) => Math.max(...rows.map(row => String(row[column]).length)));
+        rows.forEach(row => {
+            this.print(row.map((cell, column) => String(cell).padEnd(column < row.length - 1 ? widths[column] + 2 : 0)).join(''));
+        });
+    }
+
+    reveal(selector) {
+        if (this.textOnly || !selector) return;
+        SOCPortfolio.focusContent(selector);
+    }
+
+    // Splits a command line into a name, positional arguments and --flags (--flag or --flag=value)
+    static parse(line) {
+        const tokens = [];
+        const pattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+        let match;
+        while ((match = pattern.exec(line))) {
+            tokens.push(match[1] !== undefined ? match[1] : match[2] !== undefined ? match[2] : match[3]);
+        }
+
+        const args = [];
+        const flags = {};
+        tokens.slice(1).forEach(token => {
+            const flag = /^--([\w-]+)(?:=(.*))?$/.exec(token);
+            if (flag) {
+                flags[flag[1]] = flag[2] === undefined ? true : flag[2];
+            } else {
+                args.push(token);
+            }
+        });
+        return { name: (tokens[0] || '').toLowerCase(), args: args, flags: flags };
+    }
+
+    execute(line) {
+        const trimmed = line.trim();
+        this.print(`soc@portfolio:~$ ${trimmed}`, 'command');
+        if (!trimmed) return;
+        this.remember(trimmed);
+
+        const { name, args, flags } = SOCTerminal.parse(trimmed);
+        const command = this.commands[name];
+        if (!command) {
+            this.print(`${name}: command not found. Type "help" for the list of commands.`, 'error');
+            return;
+        }
+        if (command.needsProfile && !this.profile) {
+            this.print(`${name}: portfolio content is unavailable right now.`, 'error');
+            return;
+        }
+
+        try {
+            command.run(args, flags);
+        } catch (error) {
+            this.print(`${name}: ${error.message}`, 'error');
+        }
+    }
+
+    // Completes the word before the cursor from the command's candidates; prints them when ambiguous
+    complete() {
+        const value = this.input.value;
+        const words = value.split(/\s+/);
+        const current = words[words.length - 1];
+        let candidates;
+        if (words.length === 1) {
+            candidates = Object.keys(this.commands);
+        } else {
+            const command = this.commands[words[0].toLowerCase()];
+            candidates = command && command.complete && (!command.needsProfile || this.profile) ? command.complete() : [];
+        }
+
+        const matches = candidates.filter(candidate => candidate.toLowerCase().startsWith(current.toLowerCase()));
+        if (!matches.length) return;
+
+        const head = value.slice(0, value.length - current.length);
+        if (matches.length === 1) {
+            this.input.value = `${head}${matches[0]} `;
+            return;
+        }
+
+        let prefix = matches[0];
+        matches.forEach(match => {
+            while (!match.toLowerCase().startsWith(prefix.toLowerCase())) prefix = prefix.slice(0, -1);
+        });
+        this.input.value = `${head}${prefix.length > current.length ? prefix : current}`;
+        this.print(matches.join('  '), 'muted');
+    }
+
+    get sections() {
+        return ['about', 'skills', 'experience', 'projects', 'techniques', 'contact'];
+    }
+
+    // Every item cat can show: sections plus project, role, technique and skill-domain ids
+    get targets() {
+        const entries = SOCProfile.entries(this.profile);
+        return [...this.sections, ...entries.projects, ...entries.roles, ...entries.techniques, ...entries.skills]
+            .map(entry => (typeof entry === 'string' ? entry : entry.id));
+    }
+
+    createCommands() {
+        return {
+            help: {
+                usage: 'help [command]',
+                summary: 'List the commands, or explain one',
+                run: args => this.help(args[0]),
+                complete: () => Object.keys(this.commands)
+            },
+            whoami: {
+                usage: 'whoami',
+                summary: 'Who runs this console',
+                needsProfile: true,
+                run: () => this.whoami()
+            },
+            ls: {
+                usage: 'ls [section]',
+                summary: 'List sections, or the items in one',
+                needsProfile: true,
+                run: args => this.list(args[0]),
+                complete: () => this.sections
+            },
+            cat: {
+                usage: 'cat <section|id>',
+                summary: 'Print a section or a single project, role, technique or skill domain',
+                needsProfile: true,
+                run: args => this.show(args[0]),
+                complete: () => this.targets
+            },
+            skills: {
+                usage: 'skills [domain] [--sort[=level|name]]',
+                summary: 'Skill levels, optionally sorted',
+                needsProfile: true,
+                run: (args, flags) => this.skills(args[0], flags.sort),
+                complete: () => [...this.profile.skills.map(category => category.id), '--sort', '--sort=name']
+            },
+            mitre: {
+                usage: 'mitre [technique]',
+                summary: 'MITRE ATT&CK techniques and the projects that cover them',
+                needsProfile: true,
+                run: args => this.mitre(args[0]),
+                complete: () => this.profile.techniques.map(technique => technique.id)
+            },
+            contact: {
+                usage: 'contact [--form]',
+                summary: 'Contact details; --form jumps to the message form',
+                needsProfile: true,
+                run: (args, flags) => this.contact(flags.form)
+            },
+            history: {
+                usage: 'history',
+                summary: 'Previously entered commands',
+                run: () => this.history.forEach((line, index) => this.print(`${String(index + 1).padStart(4)}  ${line}`))
+            },
+            mode: {
+                usage: 'mode [text|visual]',
+                summary: 'Text-only output, or scroll to what each command shows',
+                run: args => this.mode(args[0]),
+                complete: () => ['text', 'visual']
+            },
+            theme: {
+                usage: 'theme [name]',
+                summary: 'List the colour themes, or switch to one',
+                run: args => this.theme(args[0]),
+                complete: () => Object.keys(SOC_THEMES)
+            },
+            clear: {
+                usage: 'clear',
+                summary: 'Clear the screen (Ctrl+L)',
+                run: () => this.output.replaceChildren()
+            },
+            exit: {
+                usage: 'exit',
+                summary: 'Close the console',
+                run: () => this.close()
+            }
+        };
+    }
+
+    help(name) {
+        if (name) {
+            const command = this.commands[name.toLowerCase()];
+            if (!command) throw new Error(`no such command: ${name}`);
+            this.print(`usage: ${command.usage}`, 'accent');
+            this.print(command.summary);
+            return;
+        }
+        this.printRows(Object.values(this.commands).map(command => [command.usage, command.summary]));
+    }
+
+    whoami() {
+        const { person } = this.profile;
+        this.print(person.name, 'accent');
+        this.print(person.headline);
+        if (person.tagline) this.print(person.tagline);
+        (person.details || []).forEach(detail => this.print(`${detail.label}: ${detail.value}`, 'muted'));
+        if (this.textOnly) {
+            (person.summary || []).forEach(paragraph => this.print(paragraph));
+        }
+        this.reveal('#about');
+    }
+
+    list(section) {
+        const profile = this.profile;
+        switch ((section || '').toLowerCase()) {
+            case '':
+                this.print(this.sections.join('  '));
+                return;
+            case 'about':
+                this.print((profile.person.details || []).map(detail => detail.label.toLowerCase()).join('  '));
+                break;
+            case 'skills':
+                this.printRows(profile.skills.map(category => [category.id, category.title, `${category.items.length} skills`]));
+                break;
+            case 'experience':
+                this.printRows(profile.experience.map(role => [role.id, `${role.title} @ ${role.company}`, SOCProfileRenderer.period(role)]));
+                break;
+            case 'projects':
+                this.printRows(profile.projects.map(project => [project.id, `[${project.threat.toUpperCase()}]`, project.title]));
+                break;
+            case 'techniques':
+                this.mitre();
+                return;
+            case 'contact':
+                this.print('email  phone  location  form');
+                break;
+            default:
+                throw new Error(`${section}: no such section (try: ${this.sections.join(', ')})`);
+        }
+        this.reveal(`#${section.toLowerCase()}`);
+    }
+
+    show(target) {
+        if (!target) throw new Error('usage: cat <section|id>');
+        const key = target.toLowerCase();
+        const profile = this.profile;
+
+        if (key === 'about') {
+            this.print(profile.person.name, 'accent');
+            (profile.person.summary || []).forEach(paragraph => this.print(paragraph));
+            (profile.person.details || []).forEach(detail => this.print(`${detail.label}: ${detail.value}`, 'muted'));
+            this.reveal('#about');
+            return;
+        }
+        if (key === 'experience') {
+            SOCProfile.entries(profile).roles.forEach(entry => this.printEntry(entry));
+            this.reveal('#experience');
+            return;
+        }
+        if (key === 'projects') {
+            SOCProfile.entries(profile).projects.forEach(entry => this.printEntry(entry));
+            this.reveal('#projects');
+            return;
+        }
+        if (key === 'skills') {
+            this.skills();
+            return;
+        }
+        if (key === 'techniques') {
+            this.mitre();
+            return;
+        }
+        if (key === 'contact') {
+            this.contact(false);
+            return;
+        }
+
+        const entries = SOCProfile.entries(profile);
+        const entry = [...entries.projects, ...entries.roles, ...entries.techniques, ...entries.skills]
+            .find(item => item.id.toLowerCase() === key);
+        if (!entry) throw new Error(`${target}: no such section or item (try "ls")`);
+        this.printEntry(entry);
+        this.reveal(entry.selector);
+    }
+
+    printEntry(entry) {
+        this.print(entry.title, 'accent');
+        if (entry.subtitle) this.print(entry.subtitle, 'muted');
+        if (entry.summary) this.print(entry.summary);
+        (entry.details || []).forEach(detail => this.print(`  - ${detail}`));
+    }
+
+    skills(domain, sort) {
+        let categories = this.profile.skills;
+        if (domain) {
+            categories = categories.filter(category => category.id.toLowerCase() === domain.toLowerCase());
+            if (!categories.length) throw new Error(`${domain}: no such skill domain (try "ls skills")`);
+        }
+
+        const bar = level => `${'█'.repeat(Math.round(level / 10))}${'░'.repeat(10 - Math.round(level / 10))} ${level}%`;
+        if (sort) {
+            // Sorting flattens the domains into one ranked list
+            const byName = sort === 'name';
+            const skills = categories.flatMap(category => category.items)
+                .sort((a, b) => (byName ? (a.label || a.name).localeCompare(b.label || b.name) : b.level - a.level));
+            this.printRows(skills.map(skill => [skill.label || skill.name, bar(skill.level)]));
+        } else {
+            categories.forEach(category => {
+                this.print(category.title, 'accent');
+                this.printRows(category.items.map(skill => [`  ${skill.label || skill.name}`, bar(skill.level)]));
+            });
+        }
+        this.reveal(domain ? `.skill-category[data-category="${categories[0].id}"]` : '#skills');
+    }
+
+    mitre(id) {
+        const entries = SOCProfile.entries(this.profile).techniques;
+        if (!id) {
+            this.printRows(entries.map(entry => [entry.id, SOCProfile.technique(this.profile, entry.id).name, `${entry.details.length} project(s)`]));
+            this.reveal('#attack');
+            return;
+        }
+
+        const entry = entries.find(item => item.id.toLowerCase() === id.toLowerCase());
+        if (!entry) throw new Error(`${id}: not mapped in this portfolio (try "mitre" for the list)`);
+        this.printEntry(entry);
+        this.reveal(entry.selector);
+    }
+
+    contact(form) {
+        const { contact } = this.profile.person;
+        this.print(`email     ${contact.email}`);
+        if (contact.phone) this.print(`phone     ${contact.phone}`);
+        if (contact.location) this.print(`location  ${contact.location}`);
+        if (!form) {
+            this.print('Run "contact --form" to write a message.', 'muted');
+            this.reveal('#contact');
+            return;
+        }
+
+        // The form needs the keyboard, so the console steps aside
+        this.close();
+        SOCPortfolio.focusContent('#contact');
+        const field = document.querySelector('.contact-form .form-control');
+        if (field) field.focus({ preventScroll: true });
+    }
+
+    mode(value) {
+        if (value === 'text' || value === 'visual') {
+            this.setTextOnly(value === 'text');
+        } else if (value) {
+            throw new Error('usage: mode [text|visual]');
+        }
+        this.print(this.textOnly
+            ? 'text-only: output stays in the console and the page does not scroll'
+            : 'visual: commands scroll to and highlight what they show');
+    }
+
+    theme(name) {
+        if (name) SOCTheme.set(name.toLowerCase());
+        this.printRows(Object.entries(SOC_THEMES).map(([key, theme]) => [key === SOCTheme.current ? `* ${key}` : `  ${key}`, theme.label]));
+    }
+}
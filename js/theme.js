@@ -0,0 +1,157 @@
+// Colour themes, the single palette source for the CSS custom properties, canvases and the 3D scene.
+// Each colour becomes --soc-<name> and --soc-<name>-rgb (for rgba()) on <html>.
+export const SOC_THEMES = {
+    dark: {
+        label: 'SOC dark',
+        light: false,
+        colors: {
+            accent: '#0078d4', highlight: '#00ffff',
+            low: '#00ff41', medium: '#ffa500', high: '#ff6b35', critical: '#e01e5a',
+            background: '#0a0a0a', surface: '#1a1a2e', inset: '#111111',
+            text: '#f5f5f5', textSoft: '#e0e0e0', muted: '#a0a0a0',
+            frame: '#333333', screen: '#0a0a14', comment: '#6a9955'
+        }
+    },
+    'high-contrast': {
+        label: 'High contrast',
+        light: false,
+        colors: {
+            accent: '#3ea6ff', highlight: '#ffffff',
+            low: '#00ff66', medium: '#ffe600', high: '#ff8c1a', critical: '#ff3366',
+            background: '#000000', surface: '#000000', inset: '#000000',
+            text: '#ffffff', textSoft: '#ffffff', muted: '#e0e0e0',
+            frame: '#ffffff', screen: '#000000', comment: '#7ee787'
+        }
+    },
+    light: {
+        label: 'Light / print',
+        light: true,
+        colors: {
+            accent: '#005a9e', highlight: '#00707a',
+            low: '#1a7f37', medium: '#9a5b00', high: '#c2410c', critical: '#b3124a',
+            background: '#f5f7fa', surface: '#ffffff', inset: '#eef1f5',
+            text: '#1a1a2e', textSoft: '#2e3440', muted: '#5c6370',
+            frame: '#9aa4b2', screen: '#ffffff', comment: '#4d7a2f'
+        }
+    },
+    // Okabe-Ito colours: the ramp stays distinguishable with red-green colour blindness
+    colorblind: {
+        label: 'Colour-blind safe',
+        light: false,
+        colors: {
+            accent: '#0072b2', highlight: '#56b4e9',
+            low: '#009e73', medium: '#f0e442', high: '#e69f00', critical: '#d55e00',
+            background: '#0a0a0a', surface: '#1a1a2e', inset: '#111111',
+            text: '#f5f5f5', textSoft: '#e0e0e0', muted: '#a0a0a0',
+            frame: '#333333', screen: '#0a0a14', comment: '#a0a0a0'
+        }
+    }
+};
+
+// Theme preference - saved choice, ?theme= preview and the light palette while printing
+export class SOCTheme {
+    static init() {
+        SOCTheme.storageKey = 'soc-theme';
+        const preview = new URLSearchParams(window.location.search).get('theme');
+        const stored = SOCTheme.stored;
+        SOCTheme.current = SOC_THEMES[preview] ? preview : SOC_THEMES[stored] ? stored : 'dark';
+
+        SOCTheme.select = document.querySelector('.theme-select');
+        if (SOCTheme.select) {
+            SOCTheme.select.replaceChildren(...Object.entries(SOC_THEMES).map(([name, theme]) => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = theme.label;
+                return option;
+            }));
+            SOCTheme.select.addEventListener('change', () => SOCTheme.set(SOCTheme.select.value));
+        }
+
+        // Printing always uses the light palette, then the chosen theme comes back
+        window.addEventListener('beforeprint', () => SOCTheme.apply('light'));
+        window.addEventListener('afterprint', () => SOCTheme.apply(SOCTheme.current));
+
+        SOCTheme.apply(SOCTheme.current);
+    }
+
+    static get stored() {
+        try {
+            return localStorage.getItem(SOCTheme.storageKey);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    static set(name) {
+        if (!SOC_THEMES[name]) throw new Error(`Unknown theme ${name} (${Object.keys(SOC_THEMES).join(', ')})`);
+        SOCTheme.current = name;
+        try {
+            localStorage.setItem(SOCTheme.storageKey, name);
+        } catch (error) {
+            console.warn('Theme preference could not be saved:', error);
+        }
+        SOCTheme.apply(name);
+    }
+
+    static apply(name) {
+        const theme = SOC_THEMES[name];
+        SOCTheme.applied = name;
+
+        const root = document.documentElement;
+        Object.entries(theme.colors).forEach(([token, value]) => {
+            const property = `--soc-${token.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`;
+            root.style.setProperty(property, value);
+            root.style.setProperty(`${property}-rgb`, SOCTheme.channels(value).join(', '));
+        });
+        root.dataset.socTheme = name;
+        root.style.colorScheme = theme.light ? 'light' : 'dark';
+        if (SOCTheme.select) SOCTheme.select.value = SOCTheme.current;
+
+        SOCTheme.listeners.forEach(listener => listener(theme, name));
+    }
+
+    // An abort signal, when given, unsubscribes the listener
+    static onChange(listener, signal = null) {
+        SOCTheme.listeners.push(listener);
+        if (signal) {
+            signal.addEventListener('abort', () => {
+                SOCTheme.listeners = SOCTheme.listeners.filter(entry => entry !== listener);
+            });
+        }
+    }
+
+    // Severity names or indices (0 = low ... 3 = critical) to palette keys; anything else is the accent
+    static severity(level) {
+        const levels = ['low', 'medium', 'high', 'critical'];
+        if (typeof level === 'number') return levels[level] || 'accent';
+        return levels.includes(level) ? level : 'accent';
+    }
+
+    static color(name) {
+        return SOC_THEMES[SOCTheme.applied].colors[name];
+    }
+
+    static hex(name) {
+        return parseInt(SOCTheme.color(name).slice(1), 16);
+    }
+
+    static channels(color) {
+        const value = parseInt(color.slice(1), 16);
+        return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+    }
+
+    // 0-1 channels, as the particle colour buffers store them
+    static rgb(name) {
+        const [r, g, b] = SOCTheme.channels(SOCTheme.color(name));
+        return { r: r / 255, g: g / 255, b: b / 255 };
+    }
+
+    static rgba(name, alpha) {
+        return `rgba(${SOCTheme.channels(SOCTheme.color(name)).join(', ')}, ${alpha})`;
+    }
+}
+
+// The dark palette applies until init() picks the saved theme, so the scene can be built without it
+SOCTheme.current = 'dark';
+SOCTheme.applied = 'dark';
+SOCTheme.listeners = [];
@@ -0,0 +1,73 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEnvironment, createPortfolio } from './helpers/environment.js';
+import { SOCTheme, SOC_THEMES } from '../js/theme.js';
+
+let environment;
+let portfolio;
+
+before(async () => {
+    environment = createEnvironment();
+    portfolio = await createPortfolio();
+});
+
+after(() => {
+    portfolio.destroy();
+    environment.window.close();
+});
+
+test('severity names and indices map to the dark palette', () => {
+    assert.equal(portfolio.getAlertColor('low'), 0x00ff41);
+    assert.equal(portfolio.getAlertColor('medium'), 0xffa500);
+    assert.equal(portfolio.getAlertColor('high'), 0xff6b35);
+    assert.equal(portfolio.getAlertColor('critical'), 0xe01e5a);
+    assert.equal(portfolio.getAlertColor(3), 0xe01e5a);
+});
+
+test('unknown levels get the accent', () => {
+    assert.equal(portfolio.getAlertColor('unknown'), 0x0078d4);
+    assert.equal(portfolio.getAlertColor(null), 0x0078d4);
+    assert.equal(portfolio.getAlertColor(7), 0x0078d4);
+});
+
+test('getAlertColorRGB() gives 0-1 channels', () => {
+    assert.deepEqual(portfolio.getAlertColorRGB('low'), { r: 0, g: 1, b: 65 / 255 });
+    assert.deepEqual(portfolio.getAlertColorRGB('unknown'), { r: 0, g: 120 / 255, b: 212 / 255 });
+});
+
+test('colours follow the active theme, and the scene is recoloured', () => {
+    try {
+        SOCTheme.set('colorblind');
+        assert.equal(portfolio.getAlertColor('critical'), 0xd55e00);
+        assert.deepEqual(portfolio.getAlertColorRGB('medium'), { r: 240 / 255, g: 228 / 255, b: 66 / 255 });
+
+        SOCTheme.set('light');
+        assert.equal(portfolio.scene.fog.color.getHex(), 0xf5f7fa);
+    } finally {
+        SOCTheme.set('dark');
+    }
+});
+
+test('colour options override the theme until cleared', () => {
+    portfolio.setOptions({ criticalColor: '#123456' });
+    assert.equal(portfolio.getAlertColor('critical'), 0x123456);
+    assert.deepEqual(portfolio.getAlertColorRGB('critical'), { r: 0x12 / 255, g: 0x34 / 255, b: 0x56 / 255 });
+    assert.equal(portfolio.getAlertColor('high'), 0xff6b35);
+
+    portfolio.setOptions({ criticalColor: null });
+    assert.equal(portfolio.getAlertColor('critical'), 0xe01e5a);
+});
+
+test('every theme defines every palette colour, syntax colours included', () => {
+    const tokens = Object.keys(SOC_THEMES.dark.colors).sort();
+    assert.ok(tokens.includes('comment'));
+    Object.values(SOC_THEMES).forEach(theme => assert.deepEqual(Object.keys(theme.colors).sort(), tokens));
+
+    try {
+        SOCTheme.set('light');
+        assert.equal(document.documentElement.style.getPropertyValue('--soc-comment'), '#4d7a2f');
+        assert.equal(SOCTheme.color('comment'), '#4d7a2f');
+    } finally {
+        SOCTheme.set('dark');
+    }
+});
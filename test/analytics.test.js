@@ -0,0 +1,281 @@
+import { test, before, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEnvironment, createPortfolio } from './helpers/environment.js';
+import { SOCAnalytics } from '../js/analytics.js';
+
+let environment;
+let portfolio;
+let clock = 0;
+let beacons = [];
+
+// Initialises analytics, optionally with consent already given and an endpoint set
+function start({ consent = null, endpoint = '', batchSize = '20' } = {}) {
+    if (consent) localStorage.setItem('soc-analytics-consent', consent);
+    const banner = document.querySelector('.analytics-consent');
+    banner.dataset.endpoint = endpoint;
+    banner.dataset.batchSize = batchSize;
+    SOCAnalytics.init(banner);
+}
+
+const names = () => SOCAnalytics.log.map(event => event.name);
+
+function sectionTrigger(id) {
+    return environment.ScrollTrigger.triggers.find(trigger => trigger.vars.trigger.id === id && trigger.vars.onToggle);
+}
+
+function setHidden(hidden) {
+    Object.defineProperty(document, 'hidden', { value: hidden, configurable: true });
+    document.dispatchEvent(new Event('visibilitychange'));
+}
+
+before(async () => {
+    environment = createEnvironment();
+    portfolio = await createPortfolio();
+    mock.method(performance, 'now', () => clock);
+    navigator.sendBeacon = (url, blob) => {
+        beacons.push({ url, blob });
+        return true;
+    };
+});
+
+afterEach(() => {
+    SOCAnalytics.destroy();
+    localStorage.clear();
+    delete navigator.doNotTrack;
+    delete document.hidden;
+    document.querySelector('.analytics-consent').hidden = true;
+    beacons = [];
+    clock = 0;
+});
+
+after(() => {
+    mock.restoreAll();
+    portfolio.destroy();
+    environment.window.close();
+});
+
+test('nothing is recorded before the visitor chooses, and the banner asks', () => {
+    start();
+
+    assert.equal(document.querySelector('.analytics-consent').hidden, false);
+    assert.equal(SOCAnalytics.track('skills.view'), null);
+    SOCAnalytics.dwellStart('card', 'kql-hunting');
+    assert.equal(SOCAnalytics.dwells.size, 0);
+});
+
+test('allowing in the banner starts recording and remembers the choice', () => {
+    start();
+    document.querySelector('.analytics-accept').click();
+
+    assert.equal(document.querySelector('.analytics-consent').hidden, true);
+    assert.equal(localStorage.getItem('soc-analytics-consent'), 'granted');
+    assert.equal(SOCAnalytics.track('skills.view').name, 'skills.view');
+});
+
+test('Do Not Track wins over consent and hides the banner and settings', () => {
+    Object.defineProperty(navigator, 'doNotTrack', { value: '1', configurable: true });
+    localStorage.removeItem('soc-analytics-consent');
+    start();
+
+    assert.equal(document.querySelector('.analytics-consent').hidden, true);
+    assert.equal(document.querySelector('.analytics-settings').hidden, true);
+
+    SOCAnalytics.setConsent('granted');
+    assert.equal(SOCAnalytics.enabled, false);
+    assert.equal(SOCAnalytics.track('skills.view'), null);
+});
+
+test('section dwell is measured from the middle of the viewport', () => {
+    start({ consent: 'granted' });
+    const trigger = sectionTrigger('projects');
+
+    clock = 1000;
+    trigger.toggle(true);
+    clock = 4200;
+    trigger.toggle(false);
+
+    // A glance is not a read
+    trigger.toggle(true);
+    clock = 4500;
+    trigger.toggle(false);
+
+    assert.deepEqual(SOCAnalytics.log.map(({ name, id, ms }) => ({ name, id, ms })), [{ name: 'section.dwell', id: 'projects', ms: 3200 }]);
+});
+
+test('a section on screen when consent arrives starts its dwell then', () => {
+    start();
+    const trigger = sectionTrigger('about');
+    trigger.toggle(true);
+    assert.equal(SOCAnalytics.dwells.size, 0);
+
+    clock = 2000;
+    SOCAnalytics.setConsent('granted');
+    clock = 3000;
+    trigger.toggle(false);
+    assert.equal(SOCAnalytics.log[0].ms, 1000);
+});
+
+test('hiding the tab closes open dwells and reopens them on return', () => {
+    start({ consent: 'granted' });
+    const card = document.querySelector('.project-card');
+    card.dispatchEvent(new Event('mouseenter'));
+
+    clock = 800;
+    setHidden(true);
+    clock = 60000;
+    setHidden(false);
+    clock = 61000;
+    card.dispatchEvent(new Event('mouseleave'));
+
+    assert.deepEqual(SOCAnalytics.log.map(({ name, id, ms, via }) => ({ name, id, ms, via })), [
+        { name: 'card.dwell', id: card.dataset.project, ms: 800, via: 'hover' },
+        { name: 'card.dwell', id: card.dataset.project, ms: 1000, via: 'hover' }
+    ]);
+});
+
+test('card hovers, keyboard focus and clicks are recorded', () => {
+    start({ consent: 'granted' });
+    const card = document.querySelector('.project-card');
+    const id = card.dataset.project;
+
+    card.dispatchEvent(new Event('mouseenter'));
+    clock = 1500;
+    card.dispatchEvent(new Event('mouseleave'));
+    card.dispatchEvent(new FocusEvent('focusin', { bubbles: true }));
+    clock = 2500;
+    card.dispatchEvent(new FocusEvent('focusout', { bubbles: true }));
+    card.click();
+
+    assert.deepEqual(SOCAnalytics.log.map(({ t, ...event }) => event), [
+        { name: 'card.dwell', id, ms: 1500, via: 'hover' },
+        { name: 'card.dwell', id, ms: 1000, via: 'focus' },
+        { name: 'card.click', id }
+    ]);
+});
+
+test('the skills view is recorded when the section scrolls in', () => {
+    start({ consent: 'granted' });
+    environment.ScrollTrigger.triggers.find(trigger => trigger.vars.trigger === '.skills').enter();
+    assert.ok(names().includes('skills.view'));
+});
+
+test('the form funnel records steps and broken field names, never values', async () => {
+    start();
+    const email = document.querySelector('#email');
+    email.value = 'not-an-address';
+    // Focus before consent records nothing, so the funnel starts on the next one
+    email.dispatchEvent(new FocusEvent('focusin', { bubbles: true }));
+    SOCAnalytics.setConsent('granted');
+    email.dispatchEvent(new FocusEvent('focusin', { bubbles: true }));
+    email.dispatchEvent(new FocusEvent('focusin', { bubbles: true }));
+
+    await portfolio.handleSecureFormSubmission();
+
+    assert.deepEqual(names(), ['form.start', 'form.submit', 'form.invalid']);
+    assert.deepEqual(SOCAnalytics.log[2].fields, ['name', 'email', 'inquiry', 'message']);
+    assert.ok(!JSON.stringify(SOCAnalytics.log).includes('not-an-address'));
+});
+
+test('the session id comes from the Web Crypto API', () => {
+    start();
+    assert.match(SOCAnalytics.session, /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+
+    // Without a secure context there is no randomUUID()
+    Object.defineProperty(crypto, 'randomUUID', { value: undefined, configurable: true });
+    try {
+        assert.match(SOCAnalytics.sessionId(), /^[0-9a-f]{32}$/);
+    } finally {
+        delete crypto.randomUUID;
+    }
+});
+
+test('full batches go to the first-party endpoint with sendBeacon', async () => {
+    start({ consent: 'granted', endpoint: '/collect', batchSize: '2' });
+    SOCAnalytics.track('skills.view');
+    assert.equal(beacons.length, 0);
+    SOCAnalytics.track('card.click', { id: 'kql-hunting' });
+
+    assert.equal(beacons.length, 1);
+    assert.equal(beacons[0].url, 'http://localhost/collect');
+    const body = JSON.parse(await beacons[0].blob.text());
+    assert.deepEqual(body.events.map(event => event.name), ['skills.view', 'card.click']);
+    assert.equal(body.session, SOCAnalytics.session);
+    assert.equal(SOCAnalytics.queue.length, 0);
+    assert.ok(SOCAnalytics.log.every(event => event.sent));
+});
+
+test('hiding the tab sends what is queued; a refused beacon keeps it', () => {
+    start({ consent: 'granted', endpoint: '/collect' });
+    SOCAnalytics.track('skills.view');
+
+    const sendBeacon = navigator.sendBeacon;
+    navigator.sendBeacon = () => false;
+    setHidden(true);
+    assert.equal(SOCAnalytics.queue.length, 1);
+
+    navigator.sendBeacon = sendBeacon;
+    SOCAnalytics.flush();
+    assert.equal(beacons.length, 1);
+    assert.equal(SOCAnalytics.queue.length, 0);
+});
+
+test('a beacon that keeps being refused keeps only the newest events', () => {
+    start({ consent: 'granted', endpoint: '/collect', batchSize: '1' });
+    const sendBeacon = navigator.sendBeacon;
+    navigator.sendBeacon = () => false;
+    try {
+        for (let n = 0; n < 150; n++) SOCAnalytics.track('card.click', { id: `card-${n}` });
+        assert.equal(SOCAnalytics.queue.length, SOCAnalytics.queueLimit);
+        assert.equal(SOCAnalytics.queue[0].id, 'card-50');
+        assert.equal(SOCAnalytics.queue.at(-1).id, 'card-149');
+    } finally {
+        navigator.sendBeacon = sendBeacon;
+    }
+});
+
+test('third-party endpoints are ignored and events stay in the browser', () => {
+    const warn = mock.method(console, 'warn', () => {});
+    start({ consent: 'granted', endpoint: 'https://tracker.example/collect', batchSize: '1' });
+    warn.mock.restore();
+
+    assert.equal(SOCAnalytics.endpoint, null);
+    SOCAnalytics.track('skills.view');
+    assert.equal(beacons.length, 0);
+    assert.equal(SOCAnalytics.log.length, 1);
+});
+
+test('withdrawing consent drops unsent events and stops recording', () => {
+    start({ consent: 'granted', endpoint: '/collect' });
+    SOCAnalytics.track('skills.view');
+    document.querySelector('.analytics-settings').click();
+    assert.equal(document.querySelector('.analytics-consent').hidden, false);
+
+    document.querySelector('.analytics-decline').click();
+    assert.equal(SOCAnalytics.queue.length, 0);
+    assert.equal(SOCAnalytics.log.length, 0);
+    assert.equal(SOCAnalytics.track('skills.view'), null);
+    assert.equal(beacons.length, 0);
+});
+
+test('the debug view lists the captured events, newest first', () => {
+    window.history.replaceState(null, '', '?telemetry=off&clock=frozen&seed=test&analytics=debug');
+    try {
+        start({ consent: 'granted' });
+        clock = 1500;
+        SOCAnalytics.track('skills.view');
+        clock = 2000;
+        SOCAnalytics.track('card.click', { id: 'kql-hunting' });
+
+        const panel = document.querySelector('.analytics-debug');
+        assert.match(panel.querySelector('.analytics-debug-status').textContent, /Consent: granted · endpoint: none \(local only\) · queued: 2/);
+        assert.deepEqual([...panel.querySelectorAll('li')].map(item => item.textContent), [
+            '2.0s card.click {"id":"kql-hunting"}',
+            '1.5s skills.view {}'
+        ]);
+
+        panel.querySelector('[data-action="clear"]').click();
+        assert.equal(panel.querySelectorAll('li').length, 0);
+    } finally {
+        window.history.replaceState(null, '', '?telemetry=off&clock=frozen&seed=test');
+    }
+});
@@ -0,0 +1,280 @@
+import { test, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEnvironment, createPortfolio } from './helpers/environment.js';
+import { SOCContactGuard } from '../js/contact-guard.js';
+
+const NOW = 1700000000000;
+
+let environment;
+let portfolio;
+
+function payload(changes = {}) {
+    return {
+        name: 'Alex',
+        email: 'alex@example.com',
+        inquiry: 'consultation',
+        message: 'Looking for a SOC analyst for our night shift.',
+        website: '',
+        sentAt: new Date(NOW).toISOString(),
+        page: 'http://localhost/',
+        ...changes
+    };
+}
+
+// A guard whose visitor started typing ten seconds ago
+function guard(options = {}) {
+    const instance = new SOCContactGuard({ honeypot: 'website', difficulty: 4, ...options });
+    instance.startedAt = NOW - 10000;
+    return instance;
+}
+
+before(async () => {
+    environment = createEnvironment();
+    portfolio = await createPortfolio();
+});
+
+beforeEach(() => {
+    localStorage.clear();
+});
+
+after(() => {
+    portfolio.destroy();
+    environment.window.close();
+});
+
+test('reads its settings from the form', () => {
+    const settings = SOCContactGuard.fromForm(document.querySelector('.contact-form'));
+
+    assert.equal(settings.honeypot, 'website');
+    assert.equal(settings.minFillTime, 3000);
+    assert.equal(settings.rateLimit, 3);
+    assert.equal(settings.difficulty, 14);
+    assert.equal(settings.maxLinks, 2);
+});
+
+test('a filled honeypot is caught and the field never leaves the browser', () => {
+    const trapped = payload({ website: 'https://spam.example' });
+    assert.deepEqual(guard().inspect(trapped, NOW), { ok: false, reason: 'honeypot', params: {} });
+    assert.equal('website' in trapped, false);
+
+    const clean = payload();
+    assert.deepEqual(guard().inspect(clean, NOW), { ok: true });
+    assert.equal('website' in clean, false);
+});
+
+test('forms sent too soon after the first keystroke, or never typed in, are refused', () => {
+    const quick = guard();
+    quick.startedAt = NOW - 1000;
+    assert.equal(quick.inspect(payload(), NOW).reason, 'tooFast');
+
+    const scripted = guard();
+    scripted.reset();
+    assert.equal(scripted.inspect(payload(), NOW).reason, 'tooFast');
+});
+
+test('focusing, typing in or autofilling the form starts the clock once', () => {
+    ['focusin', 'input', 'change'].forEach(type => {
+        const watcher = new SOCContactGuard();
+        const form = document.createElement('form');
+        form.append(document.createElement('input'));
+        const lifecycle = new AbortController();
+        watcher.watch(form, lifecycle.signal);
+        assert.equal(watcher.startedAt, null);
+
+        form.firstChild.dispatchEvent(new Event(type, { bubbles: true }));
+        const started = watcher.startedAt;
+        assert.equal(typeof started, 'number', type);
+        form.firstChild.dispatchEvent(new Event('input', { bubbles: true }));
+        assert.equal(watcher.startedAt, started);
+
+        // The next message is timed from its own first interaction
+        watcher.reset();
+        form.firstChild.dispatchEvent(new Event(type, { bubbles: true }));
+        assert.equal(typeof watcher.startedAt, 'number');
+        lifecycle.abort();
+    });
+});
+
+test('sends are limited per browser within the window', () => {
+    const limited = guard({ rateLimit: 2, rateWindow: 600000 });
+    limited.record(NOW - 700000);
+    limited.record(NOW - 300000);
+    assert.equal(limited.inspect(payload(), NOW).ok, true);
+
+    limited.record(NOW - 60000);
+    assert.deepEqual(limited.inspect(payload(), NOW), { ok: false, reason: 'rateLimited', params: { count: 5 } });
+    assert.deepEqual(JSON.parse(localStorage.getItem('soc-contact-sends')), [NOW - 300000, NOW - 60000]);
+});
+
+test('unreadable send history counts as none', () => {
+    localStorage.setItem('soc-contact-sends', '{broken');
+    assert.deepEqual(guard().recentSends(NOW), []);
+});
+
+test('links beyond the limit are refused, not counting the page address', () => {
+    const links = 'See https://a.example and www.b.example';
+    assert.equal(guard().inspect(payload({ message: links }), NOW).ok, true);
+    assert.deepEqual(guard().inspect(payload({ message: `${links} or http://c.example` }), NOW),
+        { ok: false, reason: 'tooManyLinks', params: { count: 2 } });
+});
+
+test('payloads above the size limit are refused', () => {
+    const verdict = guard({ maxBytes: 2048 }).inspect(payload({ message: 'பா'.repeat(400) }), NOW);
+    assert.equal(verdict.reason, 'tooLarge');
+    assert.deepEqual(verdict.params, { size: 3, max: 2 });
+});
+
+test('leading zero bits are counted across bytes', () => {
+    assert.equal(SOCContactGuard.leadingZeroBits(new Uint8Array([0, 0, 0x10, 0xff])), 19);
+    assert.equal(SOCContactGuard.leadingZeroBits(new Uint8Array([0x80])), 0);
+    assert.equal(SOCContactGuard.leadingZeroBits(new Uint8Array([0, 0])), 16);
+});
+
+test('the proof of work reports progress and verifies against its message', async () => {
+    const message = payload();
+    const progress = [];
+    Object.assign(message, await guard({ difficulty: 10 }).authorize(message, value => progress.push(value)));
+
+    assert.equal(message.proofDifficulty, 10);
+    assert.equal(progress.at(-1), 1);
+    assert.ok(progress.every((value, index) => index === 0 || value >= progress[index - 1]));
+    assert.equal(await SOCContactGuard.verify(message, 10), true);
+    assert.equal(await SOCContactGuard.verify(message, 12), false);
+    assert.equal(await SOCContactGuard.verify({ ...message, message: 'Something else entirely.' }, 10), false);
+    assert.equal(await SOCContactGuard.verify(payload(), 1), false);
+});
+
+test('a blocked message is explained and never reaches delivery', async () => {
+    let sent = false;
+    const send = portfolio.contactDelivery.send;
+    portfolio.contactDelivery.send = async () => {
+        sent = true;
+        return { status: 'delivered' };
+    };
+    document.querySelector('#name').value = 'Alex';
+    document.querySelector('#email').value = 'alex@example.com';
+    document.querySelector('#inquiry').value = 'consultation';
+    document.querySelector('#message').value = 'Links: https://a.example https://b.example https://c.example';
+    mock.timers.enable({ apis: ['setTimeout', 'Date'], now: NOW });
+
+    try {
+        // Autofill fills the fields without a keystroke
+        document.querySelector('#message').dispatchEvent(new Event('change', { bubbles: true }));
+        mock.timers.tick(10000);
+        await portfolio.handleSecureFormSubmission();
+        assert.equal(sent, false);
+        assert.equal(document.querySelector('.contact-form .btn').dataset.state, 'blocked');
+        assert.equal(document.querySelector('.form-status').textContent, 'Messages can include at most 2 links.');
+
+        // The honeypot pretends to deliver
+        document.querySelector('#message').value = 'Looking for a SOC analyst for our night shift.';
+        document.querySelector('#website').value = 'https://spam.example';
+        mock.timers.tick(4000);
+        await portfolio.handleSecureFormSubmission();
+        assert.equal(sent, false);
+        assert.equal(document.querySelector('.contact-form .btn').dataset.state, 'delivered');
+        assert.equal(document.querySelector('#website').value, '');
+        mock.timers.tick(2500);
+    } finally {
+        portfolio.contactDelivery.send = send;
+        mock.timers.reset();
+    }
+});
+
+// Fills the form as autofill would and lets the minimum fill time pass
+function autofill() {
+    document.querySelector('#name').value = 'Alex';
+    document.querySelector('#email').value = 'alex@example.com';
+    document.querySelector('#inquiry').value = 'consultation';
+    document.querySelector('#message').value = 'Looking for a SOC analyst for our night shift.';
+    document.querySelector('#name').dispatchEvent(new Event('change', { bubbles: true }));
+    mock.timers.tick(4000);
+}
+
+test('a mail client handoff skips the proof of work and is not counted as a send', async () => {
+    const send = portfolio.contactDelivery.send;
+    portfolio.contactDelivery.send = async () => ({ status: 'handoff', transport: 'mailto' });
+    const authorize = mock.method(portfolio.contactGuard, 'authorize');
+    mock.timers.enable({ apis: ['setTimeout', 'Date'], now: NOW });
+
+    try {
+        assert.equal(portfolio.contactDelivery.handsOff, true);
+        autofill();
+        await portfolio.handleSecureFormSubmission();
+
+        assert.equal(authorize.mock.callCount(), 0);
+        assert.equal(localStorage.getItem('soc-contact-sends'), null);
+        assert.equal(document.querySelector('#name').value, '');
+        mock.timers.tick(2500);
+    } finally {
+        portfolio.contactDelivery.send = send;
+        authorize.mock.restore();
+        mock.timers.reset();
+    }
+});
+
+test('network sends are proven, and counted once delivered or queued', async () => {
+    const send = portfolio.contactDelivery.send;
+    const transports = portfolio.contactDelivery.transports;
+    const results = [{ status: 'failed', error: new Error('HTTP 400') }, { status: 'queued', error: new Error('HTTP 503') }];
+    const payloads = [];
+    portfolio.contactDelivery.transports = [{ name: 'json', label: 'JSON', queueable: true }];
+    portfolio.contactDelivery.send = async (payload) => {
+        payloads.push(payload);
+        return results.shift();
+    };
+    portfolio.contactGuard.difficulty = 4;
+    mock.timers.enable({ apis: ['setTimeout', 'Date'], now: NOW });
+
+    try {
+        autofill();
+        await portfolio.handleSecureFormSubmission();
+        assert.equal(payloads[0].proofDifficulty, 4);
+        assert.equal(localStorage.getItem('soc-contact-sends'), null);
+        mock.timers.tick(4000);
+
+        await portfolio.handleSecureFormSubmission();
+        assert.equal(payloads.length, 2);
+        assert.equal(JSON.parse(localStorage.getItem('soc-contact-sends')).length, 1);
+        mock.timers.tick(4000);
+    } finally {
+        portfolio.contactDelivery.send = send;
+        portfolio.contactDelivery.transports = transports;
+        portfolio.contactGuard.difficulty = 14;
+        mock.timers.reset();
+    }
+});
+
+test('a proof of work or handoff that throws is reported as a failed send and the button comes back', async () => {
+    const transports = portfolio.contactDelivery.transports;
+    const handoff = portfolio.contactDelivery.handoff;
+    const authorize = mock.method(portfolio.contactGuard, 'authorize', async () => {
+        throw new Error('digest unavailable');
+    });
+    const button = document.querySelector('.contact-form .btn');
+    portfolio.contactDelivery.transports = [{ name: 'json', label: 'JSON', queueable: true }];
+    mock.timers.enable({ apis: ['setTimeout', 'Date'], now: NOW });
+
+    try {
+        autofill();
+        await portfolio.handleSecureFormSubmission();
+        assert.equal(button.dataset.state, 'failed');
+        assert.equal(document.querySelector('.form-status').textContent, 'Delivery failed (digest unavailable). Send it by email instead');
+        assert.equal(localStorage.getItem('soc-contact-sends'), null);
+        mock.timers.tick(4000);
+        assert.equal(button.disabled, false);
+
+        portfolio.contactDelivery.transports = [];
+        portfolio.contactDelivery.handoff = { name: 'mailto', send: () => { throw new Error('blocked by the browser'); } };
+        await portfolio.handleSecureFormSubmission();
+        assert.equal(button.dataset.state, 'failed');
+        assert.match(document.querySelector('.form-status').textContent, /blocked by the browser/);
+        mock.timers.tick(4000);
+        assert.equal(button.disabled, false);
+    } finally {
+        portfolio.contactDelivery.transports = transports;
+        portfolio.contactDelivery.handoff = handoff;
+        authorize.mock.restore();
+        mock.timers.reset();
+    }
+});
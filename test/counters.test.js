@@ -0,0 +1,67 @@
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEnvironment, createPortfolio } from './helpers/environment.js';
+import { SOCMotion } from '../js/motion.js';
+
+let environment;
+let portfolio;
+
+// Scrolls the stats into view, as far as the counters can tell
+function enterStats() {
+    const trigger = environment.ScrollTrigger.triggers.find(entry => entry.vars.trigger === '.hero-stats');
+    assert.ok(trigger, 'the counters register a ScrollTrigger on .hero-stats');
+    trigger.enter();
+    return [...document.querySelectorAll('.stat-number')];
+}
+
+before(async () => {
+    environment = createEnvironment();
+    portfolio = await createPortfolio();
+});
+
+afterEach(() => {
+    SOCMotion.set(null);
+    document.querySelectorAll('.stat-number').forEach(counter => {
+        counter.textContent = '0';
+    });
+});
+
+after(() => {
+    portfolio.destroy();
+    environment.window.close();
+});
+
+test('counters start at zero and count up to the profile stats', () => {
+    const counters = [...document.querySelectorAll('.stat-number')];
+    assert.deepEqual(counters.map(counter => counter.textContent), ['0', '0', '0']);
+
+    assert.deepEqual(enterStats().map(counter => counter.textContent), ['100', '800', '7']);
+});
+
+test('counts are formatted with the visitor\'s digit grouping', () => {
+    const counter = document.querySelector('.stat-number');
+    counter.setAttribute('data-target', '12500');
+    try {
+        enterStats();
+        assert.equal(counter.textContent, new Intl.NumberFormat().format(12500));
+    } finally {
+        counter.setAttribute('data-target', '100');
+    }
+});
+
+test('a finished count pulses the counter', () => {
+    environment.gsap.calls = [];
+    const counters = enterStats();
+
+    counters.forEach(counter => {
+        assert.ok(environment.gsap.calls.some(call => call.target === counter && call.vars.scale === 1.1));
+    });
+});
+
+test('under reduced motion the totals appear without tweening', () => {
+    SOCMotion.set('reduce');
+    environment.gsap.calls = [];
+
+    assert.deepEqual(enterStats().map(counter => counter.textContent), ['100', '800', '7']);
+    assert.equal(environment.gsap.calls.length, 0);
+});
@@ -0,0 +1,193 @@
+import { test, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEnvironment, createPortfolio } from './helpers/environment.js';
+import { SOCContactValidator, SOC_CONTACT_SCHEMA } from '../js/contact-validation.js';
+import { SOCI18n } from '../js/i18n.js';
+
+const MESSAGE = 'Looking for a SOC analyst for our night shift.';
+
+let environment;
+let portfolio;
+
+// Sets a field, validates it and returns its state and the glow tween, if any
+function validate(selector, value) {
+    const field = document.querySelector(selector);
+    field.value = value;
+    portfolio.validateField(field);
+
+    const tween = environment.gsap.calls.findLast(call => call.target === field && 'boxShadow' in call.vars);
+    return {
+        state: field.parentElement.querySelector('.form-validation').className.replace('form-validation', '').trim(),
+        glow: tween ? tween.vars.boxShadow : null
+    };
+}
+
+function fill(values) {
+    Object.entries(values).forEach(([name, value]) => {
+        document.querySelector(`#${name}`).value = value;
+    });
+}
+
+const rule = (name, value) => {
+    const error = SOCContactValidator.check(SOC_CONTACT_SCHEMA[name], value);
+    return error && error.rule;
+};
+
+before(async () => {
+    environment = createEnvironment();
+    portfolio = await createPortfolio();
+});
+
+beforeEach(() => {
+    environment.gsap.calls = [];
+    portfolio.clearFormValidation(document.querySelector('.contact-form'));
+    fill({ name: '', email: '', inquiry: '', message: '' });
+});
+
+after(() => {
+    portfolio.destroy();
+    environment.window.close();
+});
+
+test('email fields need a well-formed address', () => {
+    assert.equal(rule('email', 'analyst@example.com'), null);
+    assert.equal(rule('email', ' first.last@soc.example.co.uk '), null);
+    assert.equal(rule('email', 'analyst@example'), 'email');
+    assert.equal(rule('email', 'analyst example.com'), 'email');
+    assert.equal(rule('email', 'analyst..x@example.com'), 'email');
+    assert.equal(rule('email', 'analyst@-example.com'), 'email');
+    assert.equal(rule('email', `${'a'.repeat(250)}@example.com`), 'tooLong');
+});
+
+test('lengths are trimmed and counted in graphemes', () => {
+    assert.equal(rule('name', 'Al'), null);
+    assert.equal(rule('name', '  A  '), 'tooShort');
+    assert.equal(rule('name', 'பா'), 'tooShort');
+    assert.equal(rule('name', 'x'.repeat(81)), 'tooLong');
+    assert.equal(rule('message', 'Too short'), 'tooShort');
+    assert.equal(rule('message', MESSAGE), null);
+    assert.equal(rule('message', '   '), 'required');
+});
+
+test('the inquiry must be one of the listed types', () => {
+    const options = [...document.querySelectorAll('#inquiry option')].map(option => option.value).filter(Boolean);
+    assert.deepEqual(SOC_CONTACT_SCHEMA.inquiry.oneOf, options);
+    assert.equal(rule('inquiry', 'collaboration'), null);
+    assert.equal(rule('inquiry', 'sales'), 'choice');
+    assert.equal(rule('inquiry', ''), 'required');
+});
+
+test('links are refused in names and markup everywhere', () => {
+    assert.equal(rule('name', 'Visit https://spam.example'), 'links');
+    assert.equal(rule('name', 'www.spam.example'), 'links');
+    assert.equal(rule('message', `${MESSAGE} <script>alert(1)</script>`), 'markup');
+    assert.equal(rule('message', `${MESSAGE} [url=https://spam.example]deal[/url]`), 'markup');
+    assert.equal(rule('message', `${MESSAGE} Details: https://jobs.example/123`), null);
+    assert.equal(rule('message', 'Is 3 < 4 in your triage scale? Asking for a friend.'), null);
+});
+
+test('messages are readable and follow the language', async () => {
+    const tooLong = SOCContactValidator.check(SOC_CONTACT_SCHEMA.name, 'x'.repeat(83));
+    assert.equal(SOCContactValidator.message(tooLong), 'Shorten this by 3 characters (limit 80).');
+
+    try {
+        await SOCI18n.set('ta');
+        assert.equal(SOCContactValidator.message(tooLong), 'இதை 3 எழுத்துகள் குறைக்கவும் (வரம்பு 80).');
+    } finally {
+        await SOCI18n.set('en');
+    }
+});
+
+test('valid fields glow low, invalid ones critical, empty ones not at all', () => {
+    assert.equal(validate('#name', 'Alex').glow, '0 0 25px rgba(0, 255, 65, 0.4)');
+    assert.equal(validate('#name', 'A').glow, '0 0 25px rgba(224, 30, 90, 0.4)');
+    environment.gsap.calls = [];
+    assert.equal(validate('#name', '').glow, null);
+    assert.equal(validate('#inquiry', 'other').state, 'valid');
+});
+
+test('typing does not report a field until it has been left', () => {
+    const field = document.querySelector('#email');
+    const message = document.querySelector('#email-error');
+    field.value = 'analyst@';
+    field.dispatchEvent(new Event('input', { bubbles: true }));
+    assert.equal(field.hasAttribute('aria-invalid'), false);
+    assert.equal(message.textContent, '');
+
+    field.dispatchEvent(new Event('blur'));
+    assert.equal(field.getAttribute('aria-invalid'), 'true');
+    assert.equal(field.getAttribute('aria-describedby'), 'email-error');
+    assert.equal(message.textContent, 'Enter an email address such as name@example.com.');
+
+    field.value = 'analyst@example.com';
+    field.dispatchEvent(new Event('input', { bubbles: true }));
+    assert.equal(field.getAttribute('aria-invalid'), 'false');
+    assert.equal(message.textContent, '');
+});
+
+test('an invalid submission is blocked, summarised and focuses the first error', async () => {
+    let sent = false;
+    const send = portfolio.contactDelivery.send;
+    portfolio.contactDelivery.send = async () => {
+        sent = true;
+        return { status: 'delivered' };
+    };
+    fill({ name: 'Alex', email: 'alex@', inquiry: '', message: MESSAGE });
+
+    try {
+        await portfolio.handleSecureFormSubmission();
+    } finally {
+        portfolio.contactDelivery.send = send;
+    }
+
+    const summary = document.querySelector('.form-error-summary');
+    assert.equal(sent, false);
+    assert.equal(document.querySelector('.contact-form .btn').disabled, false);
+    assert.equal(summary.hidden, false);
+    assert.equal(summary.querySelector('.form-error-title').textContent, '2 fields need attention before the message can be sent:');
+    assert.deepEqual([...summary.querySelectorAll('a')].map(link => link.getAttribute('href')), ['#email', '#inquiry']);
+    assert.equal(document.activeElement, document.querySelector('#email'));
+    assert.equal(document.querySelector('#name').getAttribute('aria-invalid'), 'false');
+
+    // Fixing the fields shrinks the summary, then hides it
+    document.querySelector('#email').value = 'alex@example.com';
+    document.querySelector('#email').dispatchEvent(new Event('input', { bubbles: true }));
+    assert.equal(summary.querySelectorAll('a').length, 1);
+    summary.querySelector('a').click();
+    assert.equal(document.activeElement, document.querySelector('#inquiry'));
+
+    document.querySelector('#inquiry').value = 'consultation';
+    document.querySelector('#inquiry').dispatchEvent(new Event('input', { bubbles: true }));
+    assert.equal(summary.hidden, true);
+});
+
+test('a valid submission is sent and clears the reports', async () => {
+    let payload = null;
+    const send = portfolio.contactDelivery.send;
+    portfolio.contactDelivery.send = async (sent) => {
+        payload = sent;
+        return { status: 'delivered' };
+    };
+    fill({ name: 'Alex', email: 'alex@example.com', inquiry: 'consultation', message: MESSAGE });
+    portfolio.validateForm();
+    // Past the anti-abuse checks: typed in a while ago
+    mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+
+    try {
+        // Earlier tests already started the clock on the real one
+        portfolio.contactGuard.reset();
+        document.querySelector('#message').dispatchEvent(new Event('input', { bubbles: true }));
+        mock.timers.tick(10000);
+        await portfolio.handleSecureFormSubmission();
+
+        assert.equal(payload.email, 'alex@example.com');
+        assert.equal(document.querySelector('#name').hasAttribute('aria-invalid'), false);
+        assert.equal(document.querySelector('#name').value, '');
+
+        mock.timers.tick(2500);
+        assert.equal(document.querySelector('.contact-form .btn').disabled, false);
+    } finally {
+        portfolio.contactDelivery.send = send;
+        mock.timers.reset();
+    }
+});
@@ -0,0 +1,81 @@
+// Test environment: index.html in jsdom, installed as the global scope the modules expect, with
+// the CDN libraries replaced by the stubs. Relative fetches read files from the repository.
+import { readFileSync } from 'node:fs';
+import { JSDOM } from 'jsdom';
+import * as THREE from '../stubs/three.js';
+import { createGsap, createScrollTrigger } from '../stubs/gsap.js';
+import { setEnvironment } from '../../js/env.js';
+import { SOCI18n } from '../../js/i18n.js';
+import { SOCMotion } from '../../js/motion.js';
+import { SOCPortfolio } from '../../js/portfolio.js';
+import { SOCProfile, SOCProfileRenderer } from '../../js/profile.js';
+import { SOCRandom } from '../../js/random.js';
+import { SOCTheme } from '../../js/theme.js';
+
+const root = new URL('../../', import.meta.url);
+
+// Node has its own versions of these; the DOM only accepts jsdom's
+const domGlobals = ['Event', 'EventTarget', 'CustomEvent', 'AbortController', 'AbortSignal', 'FormData', 'navigator', 'localStorage', 'fetch'];
+
+// A 2D context that accepts every drawing call
+function createContext2d(canvas) {
+    return new Proxy({ canvas }, {
+        get: (context, name) => name in context
+            ? context[name]
+            : (name === 'measureText' ? () => ({ width: 8 }) : () => ({ addColorStop() {} })),
+        set: (context, name, value) => {
+            context[name] = value;
+            return true;
+        }
+    });
+}
+
+export function createEnvironment({ url = 'http://localhost/?telemetry=off&clock=frozen&seed=test' } = {}) {
+    const html = readFileSync(new URL('index.html', root), 'utf8').replace(/<script\b[^>]*><\/script>/g, '');
+    const { window } = new JSDOM(html, { url, pretendToBeVisual: true });
+
+    window.HTMLCanvasElement.prototype.getContext = function (type) {
+        return type === '2d' ? createContext2d(this) : {};
+    };
+    // Enough of WebGL for the renderer probe, so the scene is built on the THREE stub's WebGLRenderer
+    window.WebGLRenderingContext = function WebGLRenderingContext() {};
+    window.matchMedia = query => ({ matches: false, media: query, addEventListener() {}, removeEventListener() {} });
+    window.CSS = { escape: value => String(value).replace(/["\\]/g, '\\$&') };
+    window.scrollTo = () => {};
+    window.Element.prototype.scrollIntoView = () => {};
+    window.fetch = async (resource) => {
+        const file = new URL(String(resource).replace(/^\//, ''), root);
+        try {
+            const body = readFileSync(file, 'utf8');
+            return { ok: true, status: 200, headers: new Map(), json: async () => JSON.parse(body), text: async () => body };
+        } catch (error) {
+            return { ok: false, status: 404, headers: new Map(), json: async () => ({}), text: async () => '' };
+        }
+    };
+
+    Object.getOwnPropertyNames(window).forEach(name => {
+        if (!(name in globalThis) || domGlobals.includes(name)) {
+            Object.defineProperty(globalThis, name, { configurable: true, get: () => window[name] });
+        }
+    });
+
+    const gsap = createGsap();
+    const ScrollTrigger = createScrollTrigger();
+    setEnvironment({ THREE, gsap, ScrollTrigger });
+    return { window, document: window.document, gsap, ScrollTrigger };
+}
+
+// The page's start-up up to the portfolio, as in main.js: motion, seed, theme, language, profile
+export async function createPortfolio(options = {}) {
+    SOCMotion.init();
+    SOCRandom.init();
+    SOCTheme.init();
+    await SOCI18n.init();
+    const profile = await SOCProfile.load();
+    SOCProfileRenderer.render(SOCI18n.localize(profile));
+
+    const portfolio = new SOCPortfolio(profile, options);
+    // Frames are rendered with step() rather than by the animation loop
+    portfolio.pause();
+    return portfolio;
+}
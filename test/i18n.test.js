@@ -0,0 +1,160 @@
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createEnvironment, createPortfolio } from './helpers/environment.js';
+import { SOCI18n } from '../js/i18n.js';
+import { SOCKqlSnippet } from '../js/kql.js';
+import { SOCAttackMatrix } from '../js/attack-matrix.js';
+import { SOCProfile, SOCProfileRenderer } from '../js/profile.js';
+import { SOCProjectFilter } from '../js/project-filter.js';
+import { SOCTelemetryHud } from '../js/telemetry.js';
+import { SOCTerminal } from '../js/terminal.js';
+
+const tamil = JSON.parse(readFileSync(new URL('../data/locales/ta.json', import.meta.url), 'utf8'));
+
+let environment;
+let portfolio;
+let profile;
+const lifecycle = new AbortController();
+
+const text = selector => document.querySelector(selector).textContent;
+
+before(async () => {
+    environment = createEnvironment();
+    portfolio = await createPortfolio();
+    profile = await SOCProfile.load();
+    // As main.js wires it
+    SOCI18n.onChange(() => SOCProfileRenderer.renderCopy(SOCI18n.localize(profile)), lifecycle.signal);
+});
+
+afterEach(async () => {
+    await SOCI18n.set('en');
+});
+
+after(() => {
+    lifecycle.abort();
+    portfolio.destroy();
+    environment.window.close();
+});
+
+test('the Tamil pack only translates profile sections localize() overlays', () => {
+    assert.deepEqual(Object.keys(tamil.profile).filter(key => !SOCI18n.profileKeys.includes(key)), []);
+    ['skills', 'experience', 'projects', 'techniques'].forEach(key => assert.ok(tamil.profile[key], `${key} is translated`));
+});
+
+test('skills, experience and projects switch language in place', async () => {
+    const card = document.querySelector('.project-card[data-project="kql-hunting"]');
+    await SOCI18n.set('ta');
+
+    assert.equal(text('.skill-category[data-category="operations"] h3'), 'பாதுகாப்புச் செயல்பாடுகள்');
+    assert.equal(text('.skill-category[data-category="operations"] .skill-name'), 'சம்பவ மறுமொழி');
+    // Product names are not translated
+    assert.equal(text('.skill-category[data-category="tools"] .skill-name'), 'CrowdStrike Falcon');
+    assert.equal(text('.timeline-item[data-role="cybersecurity-intern"] .timeline-location'), 'கோயம்புத்தூர், இந்தியா');
+    assert.equal(document.querySelectorAll('.timeline-item[data-role="soc-analyst-trainee"] .timeline-achievements li').length, 5);
+    assert.equal(document.querySelector('.project-card[data-project="kql-hunting"]'), card);
+    assert.equal(card.querySelector('h3').textContent, 'அங்கீகார முரண்பாடுகளுக்கான KQL வேட்டை வினவல்கள்');
+    assert.equal(card.querySelector('.project-status').textContent, 'பயன்பாட்டில்');
+    assert.equal(text('[data-profile-section="badges"] .badge'), '🛡️ CROWDSTRIKE சான்றிதழ்');
+
+    await SOCI18n.set('en');
+    assert.equal(card.querySelector('h3').textContent, 'KQL Hunting Queries for Authentication Anomalies');
+    assert.equal(text('.skill-category[data-category="operations"] .skill-name'), 'Incident Response');
+});
+
+test('scene panel labels follow the language, also while the panel is open', async () => {
+    const node = portfolio.incidentNodes.find(mesh => mesh.userData.target.kind === 'project');
+    portfolio.scenePanel.open(node.userData.target);
+    assert.equal(text('.scene-panel-kind'), 'PROJECT');
+    assert.equal(text('.scene-panel-subtitle'), 'Production · HIGH threat');
+
+    await SOCI18n.set('ta');
+    assert.equal(text('.scene-panel-kind'), 'திட்டம்');
+    assert.equal(text('.scene-panel-subtitle'), 'பயன்பாட்டில் · உயர் அச்சுறுத்தல்');
+    assert.equal(text('.scene-panel-title'), 'அங்கீகார முரண்பாடுகளுக்கான KQL வேட்டை வினவல்கள்');
+    assert.equal(node.userData.target.title, 'அங்கீகார முரண்பாடுகளுக்கான KQL வேட்டை வினவல்கள்');
+
+    const technique = SOCProfile.entries(SOCI18n.localize(profile)).techniques.find(entry => entry.id === 'T1566');
+    assert.equal(technique.subtitle, 'MITRE ATT&CK நுட்பம்');
+    assert.equal(technique.summary, 'உள்ளடக்கும் திட்டங்கள்:');
+    portfolio.scenePanel.close(false);
+});
+
+test('the terminal prints the profile in the current language', async () => {
+    const terminal = new SOCTerminal(document.querySelector('.soc-terminal'), profile);
+    try {
+        await SOCI18n.set('ta');
+        terminal.execute('cat kql-hunting');
+        const output = terminal.output.textContent;
+        assert.match(output, /அங்கீகார முரண்பாடுகளுக்கான KQL வேட்டை வினவல்கள்/);
+        assert.match(output, /பயன்பாட்டில் · உயர் அச்சுறுத்தல்/);
+        assert.doesNotMatch(output, /command not found/);
+    } finally {
+        terminal.destroy();
+    }
+});
+
+test('the ATT&CK detail and the filter chips follow the language', async () => {
+    const matrixRoot = document.querySelector('[data-attack-matrix]');
+    const filter = new SOCProjectFilter(document.querySelector('[data-project-filters]'), profile);
+    const matrix = new SOCAttackMatrix(matrixRoot, await SOCAttackMatrix.load(), profile, { filter });
+    try {
+        matrix.select('T1566');
+        assert.equal(text('.attack-detail-projects a'), 'Detection Mapping and Triage Checklists (MITRE ATT&CK)');
+
+        await SOCI18n.set('ta');
+        assert.equal(text('.attack-detail-projects a'), 'கண்டறிதல் வரைபடமாக்கல் மற்றும் வகைப்படுத்தல் சரிபார்ப்புப் பட்டியல்கள் (MITRE ATT&CK)');
+        assert.match(text('.attack-triage li'), /SPF, DKIM மற்றும் DMARC/);
+        assert.equal(text('.filter-chip[data-facet="status"][data-value="Production"]'), 'பயன்பாட்டில் (1)');
+        assert.equal(text('.filter-chip[data-facet="threat"][data-value="high"]'), 'உயர் (1)');
+
+        // Searching works in either language
+        matrix.select(null);
+        filter.update({ q: 'வேட்டை' });
+        assert.equal(text('.filter-count'), '2 திட்டங்களில் 1');
+        filter.update({ q: 'hunting' });
+        assert.equal(document.querySelectorAll('.project-card.filtered-out, .project-card.filtering-out').length, 1);
+    } finally {
+        filter.clear();
+        matrix.destroy();
+        filter.destroy();
+    }
+});
+
+test('the KQL snippet buttons, statuses and results follow the language', async () => {
+    const block = document.querySelector('.project-code[data-language="kql"]');
+    const snippet = new SOCKqlSnippet(block);
+    try {
+        assert.equal(text('.code-copy'), 'Copy');
+        assert.equal(text('.code-run'), 'Run against sample data');
+        await snippet.run();
+        assert.match(text('.kql-result-meta'), /^\d+ rows? in [\d.]+ ms/);
+        // jsdom has no clipboard
+        await snippet.copy();
+        assert.equal(text('.code-status'), 'Copy failed - select the query instead');
+
+        await SOCI18n.set('ta');
+        assert.equal(text('.code-copy'), 'நகலெடு');
+        assert.equal(text('.kql-execute'), 'இயக்கு');
+        assert.equal(text('.code-status'), 'நகலெடுக்க முடியவில்லை - வினவலைத் தேர்ந்தெடுக்கவும்');
+        assert.match(text('.kql-result-meta'), /வரிசை/);
+    } finally {
+        snippet.destroy();
+    }
+});
+
+test('the telemetry HUD names severities in the current language', async () => {
+    const lifecycle = new AbortController();
+    const player = { clock: 0, start: 0, finished: false, replayed: [1, 2, 3, 4], speed: 1, loop: false, onChange() {} };
+    const hud = new SOCTelemetryHud(document.querySelector('.telemetry-hud'), player, lifecycle.signal);
+    const counts = () => [...hud.counts.children].map(count => count.textContent);
+    try {
+        assert.deepEqual(counts(), ['CRITICAL 4', 'HIGH 3', 'MEDIUM 2', 'LOW 1']);
+        hud.pause();
+        await SOCI18n.set('ta');
+        assert.deepEqual(counts(), ['தீவிர 4', 'உயர் 3', 'நடுத்தர 2', 'குறைந்த 1']);
+    } finally {
+        hud.destroy();
+        lifecycle.abort();
+    }
+});
@@ -0,0 +1,44 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEnvironment } from './helpers/environment.js';
+import { SOCQualityManager } from '../js/quality.js';
+
+let environment;
+
+// Feeds whole seconds at a steady frame rate and returns the time reached
+function run(quality, fps, seconds, now) {
+    for (let second = 0; second < seconds; second++) {
+        for (let frame = 1; frame <= fps; frame++) quality.sample(now + second * 1000 + (frame * 1000) / fps);
+    }
+    return now + seconds * 1000;
+}
+
+before(() => {
+    environment = createEnvironment();
+});
+
+after(() => {
+    environment.window.close();
+});
+
+test('load-time dips slow upgrades down only until the scene holds steady', () => {
+    const quality = new SOCQualityManager();
+    quality.reset(0);
+    let now = 0;
+
+    // Two rounds of slow frames while shaders compile and fonts swap
+    now = run(quality, 20, 3, now);
+    now = run(quality, 45, 1, now);
+    now = run(quality, 20, 3, now);
+    assert.equal(quality.tier.name, 'low');
+    assert.equal(quality.upgradeBackoff, 4);
+
+    // A steady minute halves the wait; the next one halves it again
+    now = run(quality, 45, 60, now);
+    assert.equal(quality.upgradeBackoff, 2);
+    now = run(quality, 45, 60, now);
+    assert.equal(quality.upgradeBackoff, 1);
+
+    run(quality, 60, 10, now);
+    assert.equal(quality.tier.name, 'medium');
+});
@@ -0,0 +1,136 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEnvironment, createPortfolio } from './helpers/environment.js';
+import { SOCRandom } from '../js/random.js';
+import { SOCSceneTuner } from '../js/scene-options.js';
+
+let environment;
+const portfolios = [];
+
+async function build(options) {
+    const portfolio = await createPortfolio(options);
+    portfolios.push(portfolio);
+    return portfolio;
+}
+
+before(() => {
+    environment = createEnvironment();
+});
+
+after(() => {
+    portfolios.forEach(portfolio => portfolio.destroy());
+    environment.window.close();
+});
+
+test('builds the default scene on the WebGL renderer', async () => {
+    const portfolio = await build();
+
+    assert.equal(portfolio.sceneReady, true);
+    assert.equal(document.documentElement.dataset.socRenderer, 'webgl');
+    assert.equal(portfolio.monitorScreens.length, 8);
+    assert.equal(portfolio.incidentNodes.length, 12);
+    assert.equal(portfolio.alertData.length, 500);
+    assert.equal(portfolio.alertParticleSystem.geometry.attributes.position.count, 500);
+    assert.equal(portfolio.dataStreams.length, 30);
+    assert.equal(portfolio.interactiveMeshes.length, 8 + 12);
+});
+
+test('takes counts from constructor options and scene- query parameters', async () => {
+    window.history.replaceState(null, '', '?telemetry=off&clock=frozen&seed=test&scene-node-count=5');
+    try {
+        const portfolio = await build({ screenCount: 3, streamCount: 4 });
+
+        assert.equal(portfolio.monitorScreens.length, 3);
+        assert.equal(portfolio.incidentNodes.length, 5);
+        assert.equal(portfolio.dataStreams.length, 4);
+        assert.equal(portfolio.interactiveMeshes.length, 3 + 5);
+    } finally {
+        window.history.replaceState(null, '', '?telemetry=off&clock=frozen&seed=test');
+    }
+});
+
+test('setOptions() rebuilds only the groups whose counts changed', async () => {
+    const portfolio = await build();
+    const oldNodes = portfolio.incidentNodes;
+    const oldScreens = portfolio.monitorScreens;
+    const oldParticles = portfolio.alertParticleSystem;
+
+    portfolio.setOptions({ nodeCount: 4, alertCount: 100 });
+
+    assert.equal(portfolio.incidentNodes.length, 4);
+    assert.equal(portfolio.alertData.length, 100);
+    assert.equal(portfolio.alertParticleSystem.geometry.attributes.position.count, 100);
+    assert.ok(oldNodes.every(node => node.parent === null && node.geometry.disposed));
+    assert.equal(oldParticles.parent, null);
+    assert.equal(portfolio.monitorScreens, oldScreens);
+    assert.equal(portfolio.interactiveMeshes.length, 8 + 4);
+});
+
+test('the same seed and frozen clock give the same scene', async () => {
+    const positions = async (seed) => {
+        SOCRandom.streams.clear();
+        window.history.replaceState(null, '', `?telemetry=off&clock=frozen&seed=${seed}`);
+        const portfolio = await build();
+        portfolio.step(30);
+        return Array.from(portfolio.alertParticleSystem.geometry.attributes.position.array);
+    };
+
+    try {
+        const first = await positions('alpha');
+        assert.deepEqual(await positions('alpha'), first);
+        assert.notDeepEqual(await positions('beta'), first);
+    } finally {
+        window.history.replaceState(null, '', '?telemetry=off&clock=frozen&seed=test');
+    }
+});
+
+test('a frozen clock renders the same frames wherever the pointer is', async () => {
+    const frame = async (pointer) => {
+        SOCRandom.streams.clear();
+        const portfolio = await build();
+        if (pointer) document.dispatchEvent(new MouseEvent('mousemove', pointer));
+        portfolio.step(20);
+        const { x, y } = portfolio.alertParticleSystem.material.uniforms.mousePos.value;
+        return { camera: [portfolio.camera.position.x, portfolio.camera.position.y], mouse: [x, y] };
+    };
+
+    const still = await frame(null);
+    assert.deepEqual(await frame({ clientX: 5, clientY: 700 }), still);
+    assert.deepEqual(still.mouse, [0, 0]);
+});
+
+test('the telemetry HUD stops and starts with the render loop', async () => {
+    window.history.replaceState(null, '', '?clock=frozen&seed=test');
+    try {
+        const portfolio = await build();
+        await portfolio.telemetryReady;
+        const hud = portfolio.telemetryHud;
+        assert.equal(hud.element.hidden, false);
+        assert.equal(hud.timer, null);
+
+        portfolio.resume();
+        assert.notEqual(hud.timer, null);
+
+        portfolio.pause('hidden');
+        assert.equal(hud.timer, null);
+        portfolio.resume('hidden');
+        assert.notEqual(hud.timer, null);
+        portfolio.pause();
+    } finally {
+        window.history.replaceState(null, '', '?telemetry=off&clock=frozen&seed=test');
+    }
+});
+
+test('the tuner shows its JSON for copying by hand when the clipboard fails', async () => {
+    const portfolio = await build({ nodeCount: 4 });
+    const tuner = new SOCSceneTuner(portfolio);
+    try {
+        await tuner.copy();
+        assert.equal(tuner.output.hidden, false);
+        assert.equal(JSON.parse(tuner.output.value).nodeCount, 4);
+        assert.equal(document.activeElement, tuner.output);
+        assert.equal(tuner.status.textContent, 'Copy failed - select the JSON below');
+    } finally {
+        tuner.destroy();
+    }
+});
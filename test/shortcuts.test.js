@@ -0,0 +1,58 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEnvironment, createPortfolio } from './helpers/environment.js';
+import { SOCShortcuts } from '../js/keyboard.js';
+
+let environment;
+let portfolio;
+
+// Records where the shortcuts send the page instead of scrolling
+function router() {
+    return {
+        active: null,
+        visited: [],
+        navigate(hash) {
+            this.visited.push(hash);
+        }
+    };
+}
+
+function helpKeys() {
+    return [...document.querySelectorAll('.shortcut-list dt')].map(term => term.textContent);
+}
+
+before(async () => {
+    environment = createEnvironment();
+    portfolio = await createPortfolio();
+});
+
+after(() => {
+    portfolio.destroy();
+    environment.window.close();
+});
+
+test('the help lists the number keys for the sections in the nav', () => {
+    const shortcuts = new SOCShortcuts({ router: router() });
+    try {
+        assert.deepEqual(helpKeys(), ['j', 'k', '1…7', 'p', 'm', '`', '?', 'Esc']);
+    } finally {
+        shortcuts.destroy();
+    }
+});
+
+test('the number keys follow the nav when sections are removed', () => {
+    const links = [...document.querySelectorAll('.nav-link')].slice(2).map(link => link.closest('li'));
+    const parent = links[0].parentNode;
+    links.forEach(item => item.remove());
+    const shortcuts = new SOCShortcuts({ router: router() });
+
+    try {
+        assert.deepEqual(helpKeys().slice(0, 3), ['j', 'k', '12']);
+        document.dispatchEvent(new KeyboardEvent('keydown', { key: '2' }));
+        document.dispatchEvent(new KeyboardEvent('keydown', { key: '3' }));
+        assert.deepEqual(shortcuts.router.visited, ['#about']);
+    } finally {
+        shortcuts.destroy();
+        parent.append(...links);
+    }
+});
@@ -0,0 +1,77 @@
+// Stand-ins for GSAP and ScrollTrigger. Tweens jump to their end values at once and run their
+// callbacks synchronously, and every call is recorded so tests can look at what was animated.
+
+export function createGsap() {
+    const tween = (target, vars) => {
+        // Plain objects (counters and the like) take the end values; DOM elements are left alone
+        [].concat(target).forEach(item => {
+            if (item && !(item.nodeType > 0) && typeof item === 'object') {
+                Object.keys(vars).forEach(key => {
+                    if (typeof vars[key] === 'number' && typeof item[key] === 'number') item[key] = vars[key];
+                });
+            }
+        });
+        if (vars.onUpdate) vars.onUpdate();
+        if (vars.onComplete) vars.onComplete();
+        return {
+            vars,
+            scrollTrigger: null,
+            progress() {
+                return this;
+            },
+            kill() {}
+        };
+    };
+
+    const gsap = {
+        calls: [],
+        to(target, vars) {
+            gsap.calls.push({ method: 'to', target, vars });
+            return tween(target, vars);
+        },
+        fromTo(target, from, vars) {
+            gsap.calls.push({ method: 'fromTo', target, from, vars });
+            return tween(target, vars);
+        },
+        set(target, vars) {
+            gsap.calls.push({ method: 'set', target, vars });
+            return tween(target, {});
+        },
+        context(callback) {
+            callback();
+            return { revert() {} };
+        },
+        registerPlugin() {},
+        utils: {
+            toArray: (targets) => typeof targets === 'string' ? [...document.querySelectorAll(targets)] : [...targets]
+        }
+    };
+    return gsap;
+}
+
+// Triggers never fire on their own; tests call enter() or toggle() on the ones they care about
+export function createScrollTrigger() {
+    const ScrollTrigger = {
+        triggers: [],
+        create(vars) {
+            const trigger = {
+                vars,
+                isActive: false,
+                enter() {
+                    if (vars.onEnter) vars.onEnter();
+                },
+                toggle(active) {
+                    trigger.isActive = active;
+                    if (vars.onToggle) vars.onToggle(trigger);
+                },
+                kill() {
+                    ScrollTrigger.triggers = ScrollTrigger.triggers.filter(entry => entry !== trigger);
+                }
+            };
+            ScrollTrigger.triggers.push(trigger);
+            return trigger;
+        },
+        refresh() {}
+    };
+    return ScrollTrigger;
+}
@@ -0,0 +1,270 @@
+// Lightweight stand-in for the parts of Three.js the portfolio uses. Objects keep the state the
+// tests look at (positions, colours, children, attributes); rendering only counts frames.
+
+export class Vector2 {
+    constructor(x = 0, y = 0) {
+        this.x = x;
+        this.y = y;
+    }
+
+    set(x, y) {
+        this.x = x;
+        this.y = y;
+        return this;
+    }
+}
+
+export class Vector3 {
+    constructor(x = 0, y = 0, z = 0) {
+        this.x = x;
+        this.y = y;
+        this.z = z;
+    }
+
+    set(x, y, z) {
+        this.x = x;
+        this.y = y;
+        this.z = z;
+        return this;
+    }
+
+    setScalar(value) {
+        return this.set(value, value, value);
+    }
+
+    copy(vector) {
+        return this.set(vector.x, vector.y, vector.z);
+    }
+
+    lerpVectors(a, b, t) {
+        return this.set(a.x + (b.x - a.x) * t, a.y + (b.y - a.y) * t, a.z + (b.z - a.z) * t);
+    }
+
+    project() {
+        return this;
+    }
+}
+
+export class Color {
+    constructor(hex = 0xffffff) {
+        this.setHex(hex);
+    }
+
+    setHex(hex) {
+        this.r = ((hex >> 16) & 255) / 255;
+        this.g = ((hex >> 8) & 255) / 255;
+        this.b = (hex & 255) / 255;
+        return this;
+    }
+
+    getHex() {
+        return (Math.round(this.r * 255) << 16) | (Math.round(this.g * 255) << 8) | Math.round(this.b * 255);
+    }
+
+    getHexString() {
+        return this.getHex().toString(16).padStart(6, '0');
+    }
+
+    lerp(color, t) {
+        this.r += (color.r - this.r) * t;
+        this.g += (color.g - this.g) * t;
+        this.b += (color.b - this.b) * t;
+        return this;
+    }
+}
+
+export class Object3D {
+    constructor() {
+        this.position = new Vector3();
+        this.rotation = new Vector3();
+        this.scale = new Vector3(1, 1, 1);
+        this.children = [];
+        this.parent = null;
+        this.userData = {};
+        this.visible = true;
+    }
+
+    add(...objects) {
+        objects.forEach(object => {
+            if (object.parent) object.parent.remove(object);
+            object.parent = this;
+            this.children.push(object);
+        });
+        return this;
+    }
+
+    remove(object) {
+        this.children = this.children.filter(child => child !== object);
+        object.parent = null;
+        return this;
+    }
+
+    clear() {
+        [...this.children].forEach(child => this.remove(child));
+        return this;
+    }
+
+    traverse(callback) {
+        callback(this);
+        this.children.forEach(child => child.traverse(callback));
+    }
+
+    lookAt() {}
+
+    getWorldPosition(target) {
+        return target.copy(this.position);
+    }
+}
+
+export class Scene extends Object3D {}
+
+export class Mesh extends Object3D {
+    constructor(geometry, material) {
+        super();
+        this.geometry = geometry;
+        this.material = material;
+    }
+}
+
+export class Points extends Mesh {}
+export class Line extends Mesh {}
+
+export class PerspectiveCamera extends Object3D {
+    constructor(fov, aspect, near, far) {
+        super();
+        Object.assign(this, { fov, aspect, near, far });
+    }
+
+    updateProjectionMatrix() {}
+}
+
+class Light extends Object3D {
+    constructor(color, intensity = 1) {
+        super();
+        this.color = new Color(color);
+        this.intensity = intensity;
+    }
+}
+
+export class AmbientLight extends Light {}
+export class PointLight extends Light {}
+
+export class SpotLight extends Light {
+    constructor(color, intensity) {
+        super(color, intensity);
+        this.target = new Object3D();
+    }
+}
+
+export class Fog {
+    constructor(color, near, far) {
+        this.color = new Color(color);
+        this.near = near;
+        this.far = far;
+    }
+}
+
+export class BufferAttribute {
+    constructor(array, itemSize) {
+        this.array = array;
+        this.itemSize = itemSize;
+        this.count = array.length / itemSize;
+        this.needsUpdate = false;
+    }
+
+    setXYZ(index, x, y, z) {
+        this.array.set([x, y, z], index * this.itemSize);
+        return this;
+    }
+}
+
+export class BufferGeometry {
+    constructor() {
+        this.attributes = {};
+        this.drawRange = { start: 0, count: Infinity };
+    }
+
+    setAttribute(name, attribute) {
+        this.attributes[name] = attribute;
+        return this;
+    }
+
+    setFromPoints(points) {
+        return this.setAttribute('position', new BufferAttribute(new Float32Array(points.flatMap(point => [point.x, point.y, point.z])), 3));
+    }
+
+    setDrawRange(start, count) {
+        this.drawRange = { start, count };
+    }
+
+    dispose() {
+        this.disposed = true;
+    }
+}
+
+export class PlaneGeometry extends BufferGeometry {}
+export class RingGeometry extends BufferGeometry {}
+export class CylinderGeometry extends BufferGeometry {}
+export class OctahedronGeometry extends BufferGeometry {}
+
+class Material {
+    constructor(parameters = {}) {
+        Object.assign(this, parameters);
+        if ('color' in parameters) this.color = new Color(parameters.color);
+        this.needsUpdate = false;
+    }
+
+    dispose() {
+        this.disposed = true;
+    }
+}
+
+export class MeshBasicMaterial extends Material {}
+export class MeshLambertMaterial extends Material {}
+export class LineBasicMaterial extends Material {}
+export class ShaderMaterial extends Material {}
+
+export class CanvasTexture {
+    constructor(image) {
+        this.image = image;
+        this.needsUpdate = false;
+    }
+
+    dispose() {
+        this.disposed = true;
+    }
+}
+
+export class Raycaster {
+    setFromCamera() {}
+
+    intersectObjects() {
+        return [];
+    }
+}
+
+export class WebGLRenderer {
+    constructor({ canvas }) {
+        this.domElement = canvas;
+        this.shadowMap = { enabled: false, type: null };
+        this.capabilities = { getMaxAnisotropy: () => 1 };
+        this.frames = 0;
+    }
+
+    setSize() {}
+    setPixelRatio() {}
+    setClearColor() {}
+
+    render() {
+        this.frames++;
+    }
+
+    dispose() {
+        this.disposed = true;
+    }
+}
+
+export const DoubleSide = 2;
+export const FrontSide = 0;
+export const AdditiveBlending = 2;
+export const PCFSoftShadowMap = 2;
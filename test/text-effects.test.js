@@ -0,0 +1,156 @@
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEnvironment, createPortfolio } from './helpers/environment.js';
+import { SOCI18n } from '../js/i18n.js';
+import { SOCMotion } from '../js/motion.js';
+
+const SCRAMBLE = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789░▒▓█▄▌▐▀';
+const DATA = '01█▓▒░';
+
+let environment;
+let portfolio;
+let runs;
+
+// Intervals are captured instead of scheduled, so each test ticks the effect by hand
+function captureIntervals() {
+    runs = [];
+    portfolio.textInterval = (callback, delay) => {
+        const run = { delay, ticks: 0, stopped: false };
+        run.tick = () => {
+            run.ticks++;
+            callback(() => {
+                run.stopped = true;
+            });
+        };
+        runs.push(run);
+    };
+}
+
+function runToEnd(run) {
+    while (!run.stopped && run.ticks < 1000) run.tick();
+}
+
+function element(text) {
+    const span = document.createElement('span');
+    span.textContent = text;
+    document.body.append(span);
+    return span;
+}
+
+const visual = span => span.querySelector('.scramble-visual');
+
+before(async () => {
+    environment = createEnvironment();
+    portfolio = await createPortfolio();
+});
+
+afterEach(() => {
+    delete portfolio.textInterval;
+    SOCMotion.set(null);
+});
+
+after(() => {
+    portfolio.destroy();
+    environment.window.close();
+});
+
+test('decrypt reveals a glyph every three ticks, scrambling the rest', () => {
+    captureIntervals();
+    const span = element('SOC ANALYST');
+    portfolio.socDecryptAnimation(span);
+    const [run] = runs;
+    assert.equal(run.delay, 50);
+
+    run.tick();
+    assert.equal(visual(span).textContent.length, 11);
+    assert.ok([...visual(span).textContent].every(glyph => SCRAMBLE.includes(glyph)));
+
+    for (let i = 0; i < 6; i++) run.tick();
+    assert.equal(visual(span).textContent.slice(0, 2), 'SO');
+
+    runToEnd(run);
+    assert.equal(visual(span).textContent, 'SOC ANALYST');
+    assert.ok(Math.abs(run.ticks - (11 * 3 + 1)) <= 1);
+});
+
+test('the scrambled copy is hidden and the real text stays readable', () => {
+    captureIntervals();
+    const span = element('Incident Response');
+    portfolio.socDecryptAnimation(span);
+    runs[0].tick();
+
+    assert.equal(visual(span).getAttribute('aria-hidden'), 'true');
+    assert.equal(span.querySelector('.scramble-label').textContent, 'Incident Response');
+});
+
+test('decrypt keeps Tamil graphemes whole', () => {
+    captureIntervals();
+    const text = 'பாதுகாப்பு';
+    const glyphs = SOCI18n.graphemes(text);
+    assert.ok(glyphs.length < [...text].length);
+
+    const span = element(text);
+    portfolio.socDecryptAnimation(span);
+    const [run] = runs;
+    for (let i = 0; i < 4; i++) run.tick();
+
+    const shown = SOCI18n.graphemes(visual(span).textContent);
+    assert.equal(shown.length, glyphs.length);
+    assert.equal(shown[0], glyphs[0]);
+
+    runToEnd(run);
+    assert.equal(visual(span).textContent, text);
+});
+
+test('the data flow runs sixteen ticks of data glyphs, then reveals left to right', () => {
+    captureIntervals();
+    const span = element('Threat Hunter');
+    portfolio.matrixDataFlow(span);
+    const [flow] = runs;
+    assert.equal(flow.delay, 80);
+
+    for (let i = 0; i < 15; i++) {
+        flow.tick();
+        assert.ok([...visual(span).textContent].every(glyph => DATA.includes(glyph)));
+    }
+    assert.equal(runs.length, 1);
+    flow.tick();
+    assert.equal(flow.stopped, true);
+
+    const reveal = runs[1];
+    assert.equal(reveal.delay, 100);
+    reveal.tick();
+    assert.equal(visual(span).textContent, 'T' + '█'.repeat(12));
+    reveal.tick();
+    assert.equal(visual(span).textContent, 'Th' + '█'.repeat(11));
+
+    runToEnd(reveal);
+    assert.equal(visual(span).textContent, 'Threat Hunter');
+});
+
+test('reduced motion sets the text at once', () => {
+    SOCMotion.set('reduce');
+    captureIntervals();
+    const decrypt = element('SOC ANALYST');
+    const flow = element('Threat Hunter');
+
+    portfolio.socDecryptAnimation(decrypt);
+    portfolio.matrixDataFlow(flow);
+
+    assert.equal(runs.length, 0);
+    assert.equal(visual(decrypt).textContent, 'SOC ANALYST');
+    assert.equal(visual(flow).textContent, 'Threat Hunter');
+});
+
+test('switching to reduced motion mid-effect settles the text on the next tick', () => {
+    captureIntervals();
+    const span = element('SOC ANALYST');
+    portfolio.socDecryptAnimation(span);
+    const [run] = runs;
+    run.tick();
+
+    SOCMotion.set('reduce');
+    run.tick();
+    assert.equal(run.stopped, true);
+    assert.equal(visual(span).textContent, 'SOC ANALYST');
+});
@@ -0,0 +1,76 @@
+// Local mock of the contact form endpoint for exercising the delivery pipeline.
+//
+//   node tools/mock-contact-endpoint.js [port]
+//
+// Then serve the site from localhost and open it with
+//   ?contact-endpoint=http://localhost:8787/contact
+//
+// MOCK_FAIL=0.5   fail that fraction of requests with a 503 (1 = always)
+// MOCK_DELAY=1500 add latency in milliseconds before responding
+// MOCK_PROOF=14   reject messages without a proof of work of at least that many bits
+import http from 'http';
+import { SOCContactGuard } from '../js/contact-guard.js';
+
+const port = parseInt(process.argv[2]) || 8787;
+const failRate = parseFloat(process.env.MOCK_FAIL) || 0;
+const delay = parseInt(process.env.MOCK_DELAY) || 0;
+const proofBits = parseInt(process.env.MOCK_PROOF) || 0;
+let received = 0;
+
+function parseBody(contentType, raw) {
+    if (contentType.includes('application/json')) {
+        return JSON.parse(raw);
+    }
+    if (contentType.includes('application/x-www-form-urlencoded')) {
+        return Object.fromEntries(new URLSearchParams(raw));
+    }
+    throw new Error(`unsupported content type: ${contentType || 'none'}`);
+}
+
+function respond(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Accept'
+    });
+    res.end(JSON.stringify(body));
+}
+
+const server = http.createServer((req, res) => {
+    if (req.method === 'OPTIONS') {
+        return respond(res, 204, {});
+    }
+    if (req.method !== 'POST') {
+        return respond(res, 405, { ok: false, error: 'POST only' });
+    }
+
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+        setTimeout(async () => {
+            if (Math.random() < failRate) {
+                console.log(`[mock] ${req.url} -> 503 (simulated failure)`);
+                return respond(res, 503, { ok: false, error: 'simulated failure' });
+            }
+
+            try {
+                const message = parseBody(req.headers['content-type'] || '', raw);
+                if (proofBits && !(await SOCContactGuard.verify(message, proofBits))) {
+                    throw new Error(`missing or invalid proof of work (need ${proofBits} bits)`);
+                }
+                received++;
+                console.log(`[mock] ${req.url} -> 200 #${received}`, message);
+                respond(res, 200, { ok: true, id: received });
+            } catch (error) {
+                console.log(`[mock] ${req.url} -> 400 (${error.message})`);
+                respond(res, 400, { ok: false, error: error.message });
+            }
+        }, delay);
+    });
+});
+
+server.listen(port, () => {
+    console.log(`Mock contact endpoint listening on http://localhost:${port}/contact`);
+    console.log(`fail rate ${failRate}, delay ${delay}ms, proof ${proofBits || 'not checked'}`);
+});